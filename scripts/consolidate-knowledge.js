@@ -1,6 +1,33 @@
 const fs = require('fs');
 const path = require('path');
 
+// ESM module, loaded through require(esm) (Node 20.19+)
+const {
+  courseCategory,
+  courseCode,
+  courseId,
+  courseLevel,
+  courseTitle,
+  crossListKey,
+  describeLinkRequirement,
+  formatMeeting,
+  isBannerExport,
+  linkGroupKey,
+  linkRequirements,
+  sectionCredits,
+  sectionId,
+  sectionInstructors,
+  subjectName
+} = require('../src/lib/banner.js');
+const { diningValidity, mergeValidity, sectionValidity } = require('../src/lib/chunkValidity.js');
+const { parseDateRange } = require('../src/lib/diningHours.js');
+const { formatDedupReport, mergeDuplicates } = require('../src/lib/chunkDedup.js');
+const { chunkDocument, documentToChunks, extractDocument } = require('../src/lib/documentProcessor.js');
+const { isDocumentFile } = require('../src/lib/documentExtractors.js');
+const { createManifest, createVersionId, writeSnapshot } = require('../src/lib/kbManifest.js');
+const { uploadedDocumentChunks } = require('../src/lib/kbUploads.js');
+const { validateKnowledgeSources, reportValidation } = require('./validate-knowledge.js');
+
 const KNOWLEDGE_BASE_PATH = path.join(__dirname, '../knowledge-base');
 const OUTPUT_PATH = path.join(KNOWLEDGE_BASE_PATH, 'unified-knowledge.json');
 
@@ -16,138 +43,219 @@ function extractKeywords(text) {
     .slice(0, 20) || [];
 }
 
-// Split text into chunks by headers
-function splitIntoChunks(content, filename, category) {
-  const chunks = [];
-  let chunkId = 1;
+// "CS 105-A52 (CRN 12345, MW 1:00 PM - 2:15 PM)" for link and cross-list lines
+function sectionLabel(section) {
+  const meeting = (section.meetingsFaculty || [])
+    .map(({ meetingTime }) => meetingTime && formatMeeting(meetingTime))
+    .find(Boolean);
+  return `${courseCode(section)}-${section.sequenceNumber} (CRN ${section.courseReferenceNumber}${meeting ? `, ${meeting.split(',')[0]}` : ''})`;
+}
+
+// Full text for one section - every meeting, instructor, seat and wait list number
+// links = { required: [{ type, sections }], crossListed: [sections] }
+function sectionContent(section, code, links) {
+  let content = `${code}-${section.sequenceNumber} - ${courseTitle(section)}\n`;
+  content += `CRN: ${section.courseReferenceNumber}\n`;
+  content += `Section: ${section.sequenceNumber}\n`;
+  content += `Type: ${section.scheduleTypeDescription}\n`;
+  content += `Course: ${code} (${courseLevel(section.courseNumber)}, ${sectionCredits(section)} credits, ${section.termDesc})\n`;
+  content += `Instructor: ${sectionInstructors(section).join('; ') || 'Staff'}\n`;
+  content += `Instructional Method: ${section.instructionalMethodDescription || section.instructionalMethod || 'Unknown'}\n`;
   
-  // Split by markdown headers (### or ##)
-  const sections = content.split(/(?=^#{2,3}\s)/m);
+  // All meeting times (labs and lectures can have several)
+  const meetings = (section.meetingsFaculty || []).map(({ meetingTime }) => meetingTime).filter(Boolean);
+  const scheduled = meetings.map(formatMeeting).filter(Boolean);
+  if (scheduled.length > 0) {
+    scheduled.forEach(meeting => { content += `Schedule: ${meeting}\n`; });
+  } else {
+    content += `Schedule: TBA\n`;
+  }
+  const dates = meetings.find(meeting => meeting.startDate);
+  if (dates) content += `Dates: ${dates.startDate} - ${dates.endDate}\n`;
   
+  content += `Seats: ${section.seatsAvailable} available of ${section.maximumEnrollment} (${section.enrollment} enrolled)\n`;
+  content += `Wait List: ${section.waitAvailable} available of ${section.waitCapacity}\n`;
+  
+  // Lecture / lab / discussion links and the seats shared with cross-listed sections
+  links.required.forEach(({ type, sections }) => {
+    content += `Linked Sections: ${describeLinkRequirement(type, sections.map(sectionLabel))}\n`;
+  });
+  if (section.crossList) {
+    const partners = links.crossListed.map(sectionLabel);
+    content += `Cross-listed${partners.length > 0 ? ` with: ${partners.join(', ')}` : `: yes (${section.crossList})`}\n`;
+    content += `Combined Seats: ${section.crossListAvailable} available of ${section.crossListCapacity} across the cross-list (${section.crossListCount} enrolled)\n`;
+  }
+  return content;
+}
+
+// One line per section for the course summary
+function sectionSummaryLine(section, links) {
+  const meetings = (section.meetingsFaculty || [])
+    .map(({ meetingTime }) => meetingTime && formatMeeting(meetingTime))
+    .filter(Boolean);
+  const instructor = sectionInstructors(section)[0] || 'Staff';
+  const notes = links.required.map(({ type, sections }) => describeLinkRequirement(type, sections.map(other => `Section ${other.sequenceNumber}`)));
+  if (section.crossList) notes.push(`cross-listed, ${section.crossListAvailable}/${section.crossListCapacity} combined seats open`);
+  return `- Section ${section.sequenceNumber} (CRN ${section.courseReferenceNumber}, ${section.scheduleTypeDescription}): ` +
+    `${meetings.join('; ') || 'TBA'}, ${instructor}, ${section.seatsAvailable}/${section.maximumEnrollment} seats open` +
+    notes.map(note => `; ${note}`).join('');
+}
+
+// Sections grouped by a key, sections without one (null) left out
+function groupSections(sections, key) {
+  const groups = new Map();
   sections.forEach(section => {
-    const trimmed = section.trim();
-    if (trimmed.length < 50) return; // Skip very short sections
-    
-    // Extract title from header
-    const titleMatch = trimmed.match(/^#{2,3}\s+(.+)$/m);
-    const title = titleMatch ? titleMatch[1].trim() : 'General Information';
-    
-    // Clean content (remove markdown formatting for better search)
-    const cleanContent = trimmed
-      .replace(/^#{1,6}\s+/gm, '') // Remove headers
-      .replace(/\*\*(.+?)\*\*/g, '$1') // Remove bold
-      .replace(/\*(.+?)\*/g, '$1') // Remove italic
-      .replace(/`(.+?)`/g, '$1') // Remove code
-      .trim();
-    
-    chunks.push({
-      id: `${category}-${chunkId++}`,
-      title,
-      category,
-      content: cleanContent,
-      metadata: {
-        source: filename,
-        length: cleanContent.length,
-        created: new Date().toISOString()
-      },
-      keywords: extractKeywords(cleanContent)
-    });
+    const value = key(section);
+    if (value === null) return;
+    if (!groups.has(value)) groups.set(value, []);
+    groups.get(value).push(section);
   });
-  
-  return chunks;
+  return groups;
 }
 
-// Process course JSON files (Banner API format)
-function processCourseJSON(data, filename, category) {
+// Process course sections (Banner API format) from every Banner export
+// subject, level, term and category all come from the section fields, not the file name
+// every course gets a summary chunk (parent) and every section its own chunk (child)
+function processCourseSections(entries) {
   const chunks = [];
   
-  if (!data.data || !Array.isArray(data.data)) return chunks;
+  // Group sections by term + subject + course number (dedupe sections exported twice)
+  const courseGroups = new Map();
+  const seenSections = new Set();
   
-  // Group courses by course number
-  const courseGroups = {};
-  
-  data.data.forEach(section => {
-    const courseNum = section.courseNumber;
-    if (!courseGroups[courseNum]) {
-      courseGroups[courseNum] = {
-        title: section.courseTitle,
-        credits: section.creditHourLow || section.creditHours,
+  entries.forEach(({ section, filename }) => {
+    const sectionKey = `${section.term}-${section.courseReferenceNumber}`;
+    if (seenSections.has(sectionKey)) return;
+    seenSections.add(sectionKey);
+    
+    const id = courseId(section);
+    if (!courseGroups.has(id)) {
+      courseGroups.set(id, {
+        id,
+        first: section,
+        filename,
+        title: courseTitle(section),
+        credits: sectionCredits(section),
         sections: []
-      };
+      });
     }
-    courseGroups[courseNum].sections.push(section);
+    courseGroups.get(id).sections.push({ section, filename });
+  });
+  
+  // Linked lecture / lab / discussion sections and cross-lists, over every file so a cross-listed
+  // pair split between the graduate and undergraduate exports is found
+  const allSections = [...courseGroups.values()].flatMap(group => group.sections.map(entry => entry.section));
+  const requirements = new Map();
+  groupSections(allSections, linkGroupKey).forEach(members => {
+    linkRequirements(members, section => section.scheduleTypeDescription).forEach((required, section) => requirements.set(section, required));
+  });
+  const crossLists = groupSections(allSections, crossListKey);
+  const sectionLinks = (section) => ({
+    required: requirements.get(section) || [],
+    crossListed: (crossLists.get(crossListKey(section)) || []).filter(other => other !== section)
   });
   
+  // Cross-listed sections of different courses (CS 415 with CS 515) are one class listed twice,
+  // chunkDedup.js merges the section chunks that share a duplicate_key
+  const duplicateKey = (section) => {
+    const otherCourse = sectionLinks(section).crossListed.some(other => courseId(other) !== courseId(section));
+    return otherCourse ? { duplicate_key: `crosslist-${crossListKey(section)}` } : {};
+  };
+  
   // Create chunks for each course
-  let chunkId = 1;
-  Object.entries(courseGroups).forEach(([courseNum, courseData]) => {
-    let content = `CS ${courseNum} - ${courseData.title}\n`;
+  courseGroups.forEach(courseData => {
+    const { first } = courseData;
+    const code = courseCode(first);
+    const category = courseCategory(first);
+    const level = courseLevel(first.courseNumber);
+    const sections = courseData.sections.map(entry => entry.section);
+    
+    let content = `${code} - ${courseData.title}\n`;
+    content += `Subject: ${subjectName(first)}\n`;
+    content += `Level: ${level}\n`;
     content += `Credits: ${courseData.credits}\n`;
-    content += `Term: ${data.data[0]?.termDesc || 'Fall 2025'}\n`;
-    content += `Total Sections: ${courseData.sections.length}\n\n`;
+    content += `Term: ${first.termDesc}\n`;
+    content += `Total Sections: ${sections.length}\n`;
+    const crossListedCourses = [...new Set(sections.flatMap(section => sectionLinks(section).crossListed)
+      .filter(other => courseId(other) !== courseData.id)
+      .map(courseCode))];
+    if (crossListedCourses.length > 0) content += `Cross-listed with: ${crossListedCourses.join(', ')}\n`;
+    content += `\nSections:\n`;
+    sections.forEach(section => { content += `${sectionSummaryLine(section, sectionLinks(section))}\n`; });
     
-    // Add first 3 sections (to keep chunk size reasonable)
-    const sectionsToShow = courseData.sections.slice(0, 3);
-    sectionsToShow.forEach(section => {
-      content += `Section ${section.sequenceNumber}:\n`;
-      content += `CRN: ${section.courseReferenceNumber}\n`;
-      content += `Type: ${section.scheduleTypeDescription}\n`;
-      
-      // Get instructor from faculty array
-      if (section.faculty && section.faculty.length > 0) {
-        const instructor = section.faculty[0].displayName || 'Staff';
-        content += `Instructor: ${instructor}\n`;
-      } else {
-        content += `Instructor: Staff\n`;
-      }
-      
-      // Get meeting times
-      if (section.meetingsFaculty && section.meetingsFaculty.length > 0) {
-        const meeting = section.meetingsFaculty[0].meetingTime;
-        if (meeting.meetingScheduleType !== 'TBA') {
-          const days = [
-            meeting.monday && 'M',
-            meeting.tuesday && 'T', 
-            meeting.wednesday && 'W',
-            meeting.thursday && 'R',
-            meeting.friday && 'F'
-          ].filter(Boolean).join('');
-          
-          if (days) {
-            content += `Schedule: ${days} ${meeting.beginTime || ''} - ${meeting.endTime || ''}\n`;
-            content += `Location: ${meeting.building || ''} ${meeting.room || ''}\n`;
-          }
-        }
-      }
-      
-      content += `Seats: ${section.seatsAvailable}/${section.maximumEnrollment}\n`;
-      content += `Wait List: ${section.waitAvailable}/${section.waitCapacity}\n\n`;
-    });
+    // Get primary instructor (from first section)
+    const primaryInstructor = sectionInstructors(first)[0] || 'Staff';
     
-    if (courseData.sections.length > 3) {
-      content += `... and ${courseData.sections.length - 3} more sections available\n`;
-    }
+    // Course is valid while any of its sections meets
+    const validity = mergeValidity(sections.map(sectionValidity));
     
-    // Get primary instructor (from first section)
-    const primaryInstructor = courseData.sections[0]?.faculty?.[0]?.displayName || 'Staff';
+    const courseMetadata = {
+      subject: first.subject,
+      subject_name: subjectName(first),
+      course_number: first.courseNumber,
+      level,
+      credits: courseData.credits,
+      term: first.termDesc,
+      term_code: first.term
+    };
     
     chunks.push({
-      id: `${category}-${chunkId++}`,
-      title: `CS ${courseNum} - ${courseData.title}`,
+      id: courseData.id,
+      title: `${code} - ${courseData.title}`,
       category,
       content: content.trim(),
       metadata: {
-        source: filename,
-        course_number: courseNum,
-        level: category.includes('graduate') ? 'Graduate' : 'Undergraduate',
+        source: courseData.filename,
+        type: 'course',
+        ...courseMetadata,
         instructor: primaryInstructor,
-        total_sections: courseData.sections.length,
-        credits: courseData.credits,
-        term: data.data[0]?.termDesc || 'Fall 2025',
+        total_sections: sections.length,
+        section_ids: sections.map(sectionId),
+        ...validity,
         created: new Date().toISOString()
       },
       keywords: extractKeywords(content)
     });
+    
+    // Section chunks, linked back to the course chunk
+    courseData.sections.forEach(({ section, filename }) => {
+      const links = sectionLinks(section);
+      const text = sectionContent(section, code, links);
+      chunks.push({
+        id: sectionId(section),
+        title: `${code}-${section.sequenceNumber} - ${courseTitle(section)} (${section.scheduleTypeDescription}, CRN ${section.courseReferenceNumber})`,
+        category,
+        content: text.trim(),
+        metadata: {
+          source: filename,
+          type: 'section',
+          parent_id: courseData.id,
+          ...courseMetadata,
+          credits: sectionCredits(section),
+          crn: section.courseReferenceNumber,
+          section: section.sequenceNumber,
+          schedule_type: section.scheduleTypeDescription,
+          instructor: sectionInstructors(section)[0] || 'Staff',
+          instructional_method: section.instructionalMethod,
+          seats_available: section.seatsAvailable,
+          wait_available: section.waitAvailable,
+          ...(section.isSectionLinked ? {
+            link_identifier: section.linkIdentifier,
+            linked_crns: links.required.flatMap(({ sections }) => sections.map(other => other.courseReferenceNumber))
+          } : {}),
+          ...(section.crossList ? {
+            cross_list: section.crossList,
+            cross_list_available: section.crossListAvailable,
+            cross_list_capacity: section.crossListCapacity,
+            cross_listed_crns: links.crossListed.map(other => other.courseReferenceNumber)
+          } : {}),
+          ...duplicateKey(section),
+          ...sectionValidity(section),
+          created: new Date().toISOString()
+        },
+        keywords: extractKeywords(text)
+      });
+    });
   });
   
   return chunks;
@@ -158,10 +266,22 @@ function processDiningHoursJSON(data, filename) {
   const chunks = [];
   const category = 'dining hours';
   
-  if (!data.locations || !Array.isArray(data.locations)) return chunks;
+  // validate-knowledge.js rejects these before we get here
+  if (!Array.isArray(data.locations)) throw new Error(`${filename}: "locations" is not an array`);
   
   const week = data.week || 'Current Week';
-  let chunkId = 1;
+  
+  // Ids from the week (or the file without one) and the location, e.g. "dining-2025-10-06-hinman-dining-hall",
+  // so two weekly files never produce the same id
+  const slug = text => String(text).normalize('NFKD').replace(/[\u0300-\u036f'’]/g, '')
+    .toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+  const weekKey = (data.week && parseDateRange(data.week)?.from) || slug(path.basename(filename, '.json'));
+  const usedIds = new Map();
+  const locationId = (name) => {
+    const id = `dining-${weekKey}-${slug(name) || 'location'}`;
+    usedIds.set(id, (usedIds.get(id) || 0) + 1);
+    return usedIds.get(id) > 1 ? `${id}-${usedIds.get(id)}` : id;
+  };
   
   // Create a chunk for each dining location
   data.locations.forEach(location => {
@@ -185,7 +305,7 @@ function processDiningHoursJSON(data, filename) {
     }
     
     chunks.push({
-      id: `dining-${chunkId++}`,
+      id: locationId(location.name),
       title: location.name,
       category,
       content: content.trim(),
@@ -194,6 +314,7 @@ function processDiningHoursJSON(data, filename) {
         location: location.name,
         week: week,
         type: 'dining_location',
+        ...diningValidity(data.week, location),
         created: new Date().toISOString()
       },
       keywords: extractKeywords(content)
@@ -208,91 +329,140 @@ async function consolidateKnowledge() {
   console.log('🚀 Starting knowledge base consolidation...\n');
   
   try {
-    // Read all .txt files in knowledge-base directory
-    const txtFiles = fs.readdirSync(KNOWLEDGE_BASE_PATH)
-      .filter(file => file.endsWith('.txt'));
+    // Documents in knowledge-base directory - every type the extractor registry reads
+    const documentFiles = fs.readdirSync(KNOWLEDGE_BASE_PATH)
+      .filter(isDocumentFile);
     
     // Read all course JSON files
     const jsonFiles = fs.readdirSync(KNOWLEDGE_BASE_PATH)
       .filter(file => file.endsWith('.json') && !file.includes('unified'));
     
-    console.log(`📁 Found ${txtFiles.length} text files and ${jsonFiles.length} JSON files:`);
-    txtFiles.forEach(file => console.log(`   - ${file}`));
+    console.log(`📁 Found ${documentFiles.length} documents and ${jsonFiles.length} JSON files:`);
+    documentFiles.forEach(file => console.log(`   - ${file}`));
     jsonFiles.forEach(file => console.log(`   - ${file}`));
     console.log('');
     
+    // Validate JSON sources first, a malformed file must not quietly become zero chunks
+    console.log('🔎 Validating JSON sources...');
+    if (!reportValidation(validateKnowledgeSources(jsonFiles))) {
+      throw new Error('Source validation failed, see the errors above (node scripts/validate-knowledge.js)');
+    }
+    console.log('');
+    
     const allChunks = [];
     const categories = new Set();
     
-    // Process text files
-    for (const filename of txtFiles) {
+    // Process documents, same extractors and chunking as uploads (category from the file name)
+    const documentSources = [];
+    for (const filename of documentFiles) {
       const filepath = path.join(KNOWLEDGE_BASE_PATH, filename);
-      const content = fs.readFileSync(filepath, 'utf-8');
-      
-      // Determine category from filename
-      const category = filename
-        .replace('.txt', '')
-        .replace(/_/g, ' ')
-        .toLowerCase();
-      
-      categories.add(category);
+      const { text, blocks } = await extractDocument(filepath);
+      if (!text.trim() || /^\[Error extracting/.test(text)) {
+        console.warn(`⚠️  Skipping ${filename}: no text extracted`);
+        continue;
+      }
       
-      // Split into chunks
-      const chunks = splitIntoChunks(content, filename, category);
+      const chunks = documentToChunks({ fileName: filename, chunks: chunkDocument(blocks) });
+      chunks.forEach(chunk => categories.add(chunk.category));
       allChunks.push(...chunks);
+      documentSources.push(filename);
       
       console.log(`✅ Processed ${filename}: ${chunks.length} chunks`);
     }
     
-    // Process JSON course files
+    // Process JSON files - the type is detected from the content, not the file name
+    const courseSections = [];
     for (const filename of jsonFiles) {
       const filepath = path.join(KNOWLEDGE_BASE_PATH, filename);
       const data = JSON.parse(fs.readFileSync(filepath, 'utf-8'));
       
-      let chunks = [];
-      let category;
-      
-      // Determine file type and process accordingly
-      if (filename.includes('dining')) {
+      if (isBannerExport(data)) {
+        // Banner course export, chunked together below so a course split over files becomes one chunk
+        data.data.forEach(section => courseSections.push({ section, filename }));
+        console.log(`✅ Read ${filename}: ${data.data.length} course sections`);
+      } else if (Array.isArray(data.locations)) {
         // Dining hours file
-        chunks = processDiningHoursJSON(data, filename);
-        category = 'dining hours';
-      } else if (filename.includes('music')) {
-        // Music courses
-        category = 'fall 2025 music courses';
-        chunks = processCourseJSON(data, filename, category);
-      } else if (filename.includes('graduate') || filename.includes('grad')) {
-        // Graduate CS courses
-        category = 'fall 2025 graduate cs courses';
-        chunks = processCourseJSON(data, filename, category);
-      } else {
-        // Undergraduate CS courses
-        category = 'fall 2025 undergraduate cs courses';
-        chunks = processCourseJSON(data, filename, category);
+        const chunks = processDiningHoursJSON(data, filename);
+        chunks.forEach(chunk => categories.add(chunk.category));
+        allChunks.push(...chunks);
+        console.log(`✅ Processed ${filename}: ${chunks.length} chunks`);
+      } else if (data.crawl && Array.isArray(data.chunks)) {
+        // Web pages from scripts/crawl-site.js, already chunked and cited by url
+        data.chunks.forEach(chunk => categories.add(chunk.category));
+        allChunks.push(...data.chunks);
+        console.log(`✅ Processed ${filename}: ${data.crawl.pages.length} web pages, ${data.chunks.length} chunks`);
       }
-      
-      categories.add(category);
-      allChunks.push(...chunks);
-      
-      console.log(`✅ Processed ${filename}: ${chunks.length} chunks`);
     }
     
+    // Documents uploaded through /api/admin/upload (knowledge-base/uploads/)
+    const uploads = await uploadedDocumentChunks(KNOWLEDGE_BASE_PATH);
+    uploads.chunks.forEach(chunk => categories.add(chunk.category));
+    allChunks.push(...uploads.chunks);
+    if (uploads.sources.length > 0) {
+      console.log(`✅ Processed ${uploads.sources.length} uploaded documents: ${uploads.chunks.length} chunks`);
+    }
+    
+    const courseChunks = processCourseSections(courseSections);
+    courseChunks.forEach(chunk => categories.add(chunk.category));
+    allChunks.push(...courseChunks);
+    console.log(`✅ Processed ${courseSections.length} course sections: ${courseChunks.filter(chunk => chunk.metadata.type === 'course').length} course chunks, ${courseChunks.filter(chunk => chunk.metadata.type === 'section').length} section chunks`);
+    
+    // Merge exact and near duplicate chunks (same dining hours in two weeks, cross-listed sections)
+    // unless --no-dedup, every source of a merged chunk is kept in metadata.sources
+    let merges = [];
+    if (!process.argv.includes('--no-dedup')) {
+      console.log('\n🧹 Deduplicating chunks...');
+      const deduped = mergeDuplicates(allChunks);
+      merges = deduped.merges;
+      allChunks.splice(0, allChunks.length, ...deduped.chunks);
+      formatDedupReport(merges).forEach(line => console.log(`   ${line}`));
+    }
+    
+    // Ids key overrides, parent links, the admin routes and build diffs - two chunks must never share one
+    const idCounts = allChunks.reduce((counts, chunk) => counts.set(chunk.id, (counts.get(chunk.id) || 0) + 1), new Map());
+    const duplicateIds = [...idCounts].filter(([, count]) => count > 1).map(([id]) => id);
+    if (duplicateIds.length > 0) {
+      const sources = id => [...new Set(allChunks.filter(chunk => chunk.id === id).map(chunk => chunk.metadata?.source))].join(', ');
+      duplicateIds.slice(0, 10).forEach(id => console.error(`   ❌ ${id} (${sources(id)})`));
+      throw new Error(`${duplicateIds.length} chunk ids are used more than once, two sources describe the same thing differently`);
+    }
+    
+    // Every build gets a version and a manifest of what went into it
+    const builtAt = new Date();
+    const version = createVersionId(builtAt);
+    const manifest = createManifest({
+      version,
+      created: builtAt.toISOString(),
+      sources: [
+        ...[...documentSources, ...jsonFiles].map(file => ({ file, path: path.join(KNOWLEDGE_BASE_PATH, file) })),
+        ...uploads.sources
+      ],
+      chunks: allChunks
+    });
+    
     // Create unified knowledge base
     const knowledgeBase = {
-      version: '1.0.0',
-      last_updated: new Date().toISOString(),
+      version,
+      last_updated: builtAt.toISOString(),
       total_chunks: allChunks.length,
       categories: Array.from(categories),
+      manifest,
       chunks: allChunks
     };
     
-    // Save to file
-    fs.writeFileSync(OUTPUT_PATH, JSON.stringify(knowledgeBase, null, 2));
+    // Save to file, and a snapshot under versions/ for diffing builds
+    const output = JSON.stringify(knowledgeBase, null, 2);
+    fs.writeFileSync(OUTPUT_PATH, output);
+    const snapshotFiles = { 'unified-knowledge.json': output };
+    if (merges.length > 0) snapshotFiles['dedup-report.json'] = JSON.stringify({ version, merges }, null, 2);
+    const snapshotDir = writeSnapshot(KNOWLEDGE_BASE_PATH, version, manifest, snapshotFiles);
     
     console.log('\n✅ Knowledge base consolidated successfully!');
+    console.log(`🏷️  Version: ${version}`);
     console.log(`📊 Total chunks: ${allChunks.length}`);
     console.log(`📁 Categories: ${knowledgeBase.categories.join(', ')}`);
     console.log(`💾 Saved to: ${OUTPUT_PATH}`);
+    console.log(`🗂️  Snapshot: ${snapshotDir}`);
     
     return knowledgeBase;
     
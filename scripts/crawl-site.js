@@ -0,0 +1,110 @@
+const fs = require('fs');
+const path = require('path');
+
+// ESM module, loaded through require(esm) (Node 20.19+)
+const {
+  DEFAULT_MAX_PAGES,
+  DEFAULT_WEB_CATEGORY,
+  crawlSite,
+  httpLoader,
+  mirrorLoader,
+  pagesToChunks,
+  sitemapUrls
+} = require('../src/lib/siteCrawler.js');
+
+const KNOWLEDGE_BASE_PATH = path.join(__dirname, '../knowledge-base');
+
+/* Crawls a vetted snapshot of university web pages into knowledge-base/web_pages.json
+ * (consolidate-knowledge.js adds its chunks to the next build, cited by url)
+ *
+ *   node scripts/crawl-site.js --dir ./mirror/www.binghamton.edu --base-url https://www.binghamton.edu
+ *   node scripts/crawl-site.js --sitemap http://localhost:8080/sitemap.xml --base-url https://www.binghamton.edu
+ *
+ *   --dir          local mirror (wget --mirror layout), --base-url is the site it was taken from
+ *   --sitemap      sitemap url (or file) on a local server, --base-url is the public site to cite
+ *   --start        page to start from, repeatable (default the base url, or every sitemap page)
+ *   --max-pages    pages to load at most (default CRAWL_MAX_PAGES or 500)
+ *   --category     kb category of the chunks (default "university web pages")
+ *   --out          output file in knowledge-base/ (default web_pages.json)
+ */
+
+// Command line options
+function argValue(name) {
+  const index = process.argv.indexOf(name);
+  return index !== -1 ? process.argv[index + 1] : undefined;
+}
+
+function argValues(name) {
+  return process.argv.flatMap((arg, index) => arg === name && process.argv[index + 1] ? [process.argv[index + 1]] : []);
+}
+
+async function main() {
+  const dir = argValue('--dir');
+  const sitemap = argValue('--sitemap');
+  const baseUrl = argValue('--base-url');
+  const maxPages = Number(argValue('--max-pages') || DEFAULT_MAX_PAGES);
+  const category = (argValue('--category') || DEFAULT_WEB_CATEGORY).toLowerCase();
+  const outFile = path.basename(argValue('--out') || 'web_pages.json');
+
+  if (!dir === !sitemap) throw new Error('Pass either --dir <mirror> --base-url <url> or --sitemap <url>');
+  if (dir && !baseUrl) throw new Error('--dir needs --base-url, the address the mirror was taken from');
+  if (dir && !fs.existsSync(dir)) throw new Error(`No mirror directory ${dir}`);
+  if (!outFile.endsWith('.json') || outFile.startsWith('unified-knowledge')) throw new Error(`${outFile} is not a source file name`);
+
+  console.log('🕸️  Crawling university web pages...\n');
+  let loader;
+  let seeds = argValues('--start');
+  if (dir) {
+    loader = mirrorLoader(dir, baseUrl);
+    console.log(`📁 Mirror ${path.resolve(dir)} as ${loader.start}`);
+  } else {
+    const urls = await sitemapUrls(sitemap);
+    if (urls.length === 0) throw new Error(`No page urls in ${sitemap}`);
+    loader = httpLoader(urls[0], baseUrl);
+    if (seeds.length === 0) seeds = urls;
+    console.log(`🗺️  Sitemap ${sitemap}: ${urls.length} pages${baseUrl ? `, cited as ${loader.start}` : ''}`);
+  }
+
+  const { pages, skipped, truncated } = await crawlSite(loader, {
+    ...(seeds.length > 0 ? { seeds } : {}),
+    maxPages,
+    onPage: page => console.log(`   ✅ ${page.url}`)
+  });
+  if (pages.length === 0) throw new Error('No pages with text found, nothing written');
+
+  const chunks = pagesToChunks(pages, { category });
+  const output = {
+    crawl: {
+      source: dir ? `mirror:${path.resolve(dir)}` : sitemap,
+      base_url: loader.start,
+      crawled_at: new Date().toISOString(),
+      max_pages: maxPages,
+      truncated,
+      pages: pages.map(page => ({
+        url: page.url,
+        title: page.title,
+        aliases: page.aliases,
+        content_hash: page.content_hash,
+        chunks: chunks.filter(chunk => chunk.metadata.url === page.url).length
+      })),
+      skipped
+    },
+    chunks
+  };
+
+  const outPath = path.join(KNOWLEDGE_BASE_PATH, outFile);
+  fs.writeFileSync(outPath, JSON.stringify(output, null, 2));
+
+  const duplicates = pages.reduce((sum, page) => sum + page.aliases.length, 0);
+  console.log(`\n✅ ${pages.length} pages, ${chunks.length} chunks (${duplicates} duplicate urls merged, ${skipped.length} skipped)`);
+  skipped.slice(0, 20).forEach(({ url, reason }) => console.log(`   ⏭️  ${url}: ${reason}`));
+  if (skipped.length > 20) console.log(`   ... and ${skipped.length - 20} more`);
+  if (truncated) console.log(`⚠️  Stopped at --max-pages ${maxPages}, some linked pages were not crawled`);
+  console.log(`💾 Saved to: ${outPath}`);
+  console.log('   Run node scripts/consolidate-knowledge.js and generate-embeddings.js to add it to the knowledge base');
+}
+
+main().catch(error => {
+  console.error('❌', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,98 @@
+const fs = require('fs');
+const path = require('path');
+
+// ESM module, loaded through require(esm) (Node 20.19+)
+const {
+  diffKnowledgeBases,
+  diffManifests,
+  formatDiffReport,
+  listVersions,
+  versionDir
+} = require('../src/lib/kbManifest.js');
+
+const KNOWLEDGE_BASE_PATH = path.join(__dirname, '../knowledge-base');
+
+/* Lists added, removed and changed chunks between two knowledge base builds
+ *
+ *   node scripts/diff-knowledge.js                      # previous build -> latest build
+ *   node scripts/diff-knowledge.js 20251019-153000      # that build -> latest build
+ *   node scripts/diff-knowledge.js <from> <to>          # version ids, "current" or paths to kb json files
+ *   node scripts/diff-knowledge.js --list               # builds with their manifests
+ *   node scripts/diff-knowledge.js --json               # machine readable diff
+ */
+
+// version id, "current" (knowledge-base/unified-knowledge.json) or a file -> { kb, manifest, label }
+function loadBuild(ref) {
+  let file;
+  if (ref === 'current') {
+    file = path.join(KNOWLEDGE_BASE_PATH, 'unified-knowledge.json');
+  } else if (fs.existsSync(ref) && fs.statSync(ref).isFile()) {
+    file = ref;
+  } else {
+    const dir = versionDir(KNOWLEDGE_BASE_PATH, ref);
+    // the plain build, or the embedded one when only that was kept
+    file = ['unified-knowledge.json', 'unified-knowledge-embedded.json']
+      .map(name => path.join(dir, name))
+      .find(candidate => fs.existsSync(candidate));
+    if (!file) throw new Error(`No build "${ref}" (see --list)`);
+  }
+
+  const kb = JSON.parse(fs.readFileSync(file, 'utf-8'));
+  const manifestPath = path.join(path.dirname(file), 'manifest.json');
+  // the snapshot manifest also has the embedding model
+  const manifest = kb.version && fs.existsSync(manifestPath)
+    ? JSON.parse(fs.readFileSync(manifestPath, 'utf-8'))
+    : kb.manifest || null;
+  return { kb, manifest, label: kb.version || ref };
+}
+
+function listBuilds() {
+  const versions = listVersions(KNOWLEDGE_BASE_PATH);
+  if (versions.length === 0) {
+    console.log('No builds yet, run node scripts/consolidate-knowledge.js');
+    return;
+  }
+  versions.forEach(version => {
+    const manifest = JSON.parse(fs.readFileSync(path.join(versionDir(KNOWLEDGE_BASE_PATH, version), 'manifest.json'), 'utf-8'));
+    const embedding = manifest.embedding ? `${manifest.embedding.provider}/${manifest.embedding.model}` : 'not embedded';
+    console.log(`${version}  ${manifest.total_chunks} chunks  ${manifest.sources.length} sources  ${embedding}  ${manifest.content_hash.slice(0, 12)}`);
+  });
+}
+
+function main() {
+  const args = process.argv.slice(2);
+  if (args.includes('--list')) {
+    listBuilds();
+    return;
+  }
+
+  const refs = args.filter(arg => !arg.startsWith('--'));
+  const versions = listVersions(KNOWLEDGE_BASE_PATH);
+  let [from, to] = refs;
+  if (!to) to = versions[versions.length - 1];
+  if (!from) from = versions[versions.length - 2];
+  if (!from || !to) {
+    console.error('❌ Need two builds to compare, run consolidate-knowledge.js again or pass two files');
+    process.exit(1);
+  }
+
+  const before = loadBuild(from);
+  const after = loadBuild(to);
+  const diff = diffKnowledgeBases(before.kb, after.kb);
+  diff.from = before.label;
+  diff.to = after.label;
+  const manifestDiff = diffManifests(before.manifest, after.manifest);
+
+  if (args.includes('--json')) {
+    console.log(JSON.stringify({ ...diff, manifest: manifestDiff }, null, 2));
+  } else {
+    console.log(formatDiffReport(diff, manifestDiff));
+  }
+}
+
+try {
+  main();
+} catch (error) {
+  console.error('❌', error.message);
+  process.exit(1);
+}
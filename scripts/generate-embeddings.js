@@ -1,89 +1,295 @@
-const { GoogleGenerativeAI } = require("@google/generative-ai");
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
 
-// Read .env.local file manually
+// Read .env.local file manually (real env vars win)
 const envPath = path.join(__dirname, '../.env.local');
-const envContent = fs.readFileSync(envPath, 'utf-8');
-const apiKeyMatch = envContent.match(/GOOGLE_AI_API_KEY=(.+)/);
-const apiKey = apiKeyMatch ? apiKeyMatch[1].trim() : null;
+if (fs.existsSync(envPath)) {
+  fs.readFileSync(envPath, 'utf-8').split('\n').forEach(line => {
+    const match = line.match(/^\s*([A-Z0-9_]+)\s*=\s*(.*)$/);
+    if (match && process.env[match[1]] === undefined) {
+      process.env[match[1]] = match[2].trim();
+    }
+  });
+}
+
+// ESM module, loaded through require(esm) (Node 20.19+)
+const { getEmbeddingProvider } = require('../src/lib/providers/index.js');
+const { readEmbeddingFile, writeEmbeddingFile } = require('../src/lib/embeddingStore.js');
+const { createVersionId, writeSnapshot } = require('../src/lib/kbManifest.js');
+
+const provider = getEmbeddingProvider();
 
-if (!apiKey) {
-  console.error('❌ GOOGLE_AI_API_KEY not found in .env.local');
+if (provider.name === 'gemini' && !process.env.GOOGLE_AI_API_KEY) {
+  console.error('❌ GOOGLE_AI_API_KEY not found in .env.local (or set EMBEDDING_PROVIDER=mock to run offline)');
   process.exit(1);
 }
 
-const genAI = new GoogleGenerativeAI(apiKey);
+const KNOWLEDGE_BASE_PATH = path.join(__dirname, '../knowledge-base');
+const KNOWLEDGE_PATH = path.join(KNOWLEDGE_BASE_PATH, 'unified-knowledge.json');
+const OUTPUT_PATH = path.join(KNOWLEDGE_BASE_PATH, 'unified-knowledge-embedded.json');
+// one vector file per run, unified-knowledge-embeddings-<run>.bin - the json switches to it when it is renamed
+const EMBEDDINGS_PREFIX = 'unified-knowledge-embeddings';
+// vectors of finished batches, an interrupted run picks up from here
+const CHECKPOINT_PATH = path.join(KNOWLEDGE_BASE_PATH, '.embeddings-checkpoint.jsonl');
+
+// Command line options
+function argValue(name) {
+  const index = process.argv.indexOf(name);
+  return index !== -1 ? process.argv[index + 1] : undefined;
+}
+
+// --quantize int8 (or EMBEDDING_FORMAT=int8) stores 1 byte per dimension instead of 4
+const EMBEDDING_FORMAT = argValue('--quantize') || process.env.EMBEDDING_FORMAT || 'float32';
+// texts per embedding call
+const BATCH_SIZE = Number(argValue('--batch-size') || process.env.EMBEDDING_BATCH_SIZE || 20);
+// attempts per batch before its chunks are reported as missing
+const MAX_ATTEMPTS = Number(process.env.EMBEDDING_MAX_ATTEMPTS || 5);
+// --force re-embeds everything, --allow-missing writes the output even when some chunks have no vector
+const FORCE = process.argv.includes('--force');
+const ALLOW_MISSING = process.argv.includes('--allow-missing');
+
+// Combine title + content for better embeddings
+function chunkText(chunk) {
+  return `${chunk.title}\n\n${chunk.content}`;
+}
+
+function hashText(text) {
+  return crypto.createHash('sha256').update(text).digest('hex');
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Retry with exponential backoff (1s, 2s, 4s ... plus jitter)
+async function withRetry(fn, label) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await fn();
+    } catch (error) {
+      if (attempt >= MAX_ATTEMPTS) throw error;
+      const delay = Math.pow(2, attempt - 1) * 1000 + Math.floor(Math.random() * 250);
+      console.log(`⚠️  ${label} failed (${error.message}), retry ${attempt}/${MAX_ATTEMPTS - 1} in ${delay}ms`);
+      await sleep(delay);
+    }
+  }
+}
 
-const KNOWLEDGE_PATH = path.join(__dirname, '../knowledge-base/unified-knowledge.json');
-const OUTPUT_PATH = path.join(__dirname, '../knowledge-base/unified-knowledge-embedded.json');
+// Vectors we already have, by content hash: previous output + checkpoint of an interrupted run
+function loadReusableVectors() {
+  const vectors = new Map();
+  if (FORCE) return vectors;
+
+  // previous output, only when it was made by the same model
+  if (fs.existsSync(OUTPUT_PATH)) {
+    try {
+      const previous = JSON.parse(fs.readFileSync(OUTPUT_PATH, 'utf-8'));
+      const sameModel = previous.embedding_provider === provider.name && previous.embedding_model === provider.embeddingModel;
+      // dequantized int8 vectors are only reused for another int8 run
+      const sameFormat = !previous.embeddings || previous.embeddings.format === 'float32' || previous.embeddings.format === EMBEDDING_FORMAT;
+
+      if (sameModel && sameFormat) {
+        const matrix = previous.embeddings?.file
+          ? readEmbeddingFile(path.join(path.dirname(OUTPUT_PATH), previous.embeddings.file))
+          : null;
+        previous.chunks.forEach(chunk => {
+          const hash = chunk.content_hash || hashText(chunkText(chunk));
+          if (chunk.embedding) vectors.set(hash, chunk.embedding); // older inline format
+          else if (matrix && matrix.hasRow(chunk.embedding_row)) vectors.set(hash, Array.from(matrix.vector(chunk.embedding_row)));
+        });
+      }
+    } catch (error) {
+      console.log(`⚠️  Could not reuse previous embeddings: ${error.message}`);
+    }
+  }
+
+  // checkpoint lines: first a header with the model, then { hash, embedding } per chunk
+  if (fs.existsSync(CHECKPOINT_PATH)) {
+    const [header, ...lines] = fs.readFileSync(CHECKPOINT_PATH, 'utf-8').split('\n').filter(Boolean);
+    const meta = header ? JSON.parse(header) : {};
+    if (meta.provider === provider.name && meta.model === provider.embeddingModel) {
+      let resumed = 0;
+      lines.forEach(line => {
+        try {
+          const { hash, embedding } = JSON.parse(line);
+          vectors.set(hash, embedding);
+          resumed++;
+        } catch {
+          // last line of a killed run can be cut off
+        }
+      });
+      console.log(`♻️  Resuming from checkpoint (${resumed} vectors)`);
+    } else {
+      fs.unlinkSync(CHECKPOINT_PATH);
+    }
+  }
+
+  return vectors;
+}
+
+// Sidecar the current output points at (null when there is none)
+function previousEmbeddingsFile() {
+  try {
+    return JSON.parse(fs.readFileSync(OUTPUT_PATH, 'utf-8')).embeddings?.file || null;
+  } catch {
+    return null;
+  }
+}
+
+// Sidecars of older runs; the previous one is kept for a server that read the old output just before the rename
+function removeOldEmbeddingFiles(keep) {
+  fs.readdirSync(KNOWLEDGE_BASE_PATH)
+    .filter(file => file.startsWith(EMBEDDINGS_PREFIX) && file.endsWith('.bin') && !keep.includes(file))
+    .forEach(file => fs.unlinkSync(path.join(KNOWLEDGE_BASE_PATH, file)));
+}
+
+function startCheckpoint() {
+  if (!fs.existsSync(CHECKPOINT_PATH)) {
+    fs.writeFileSync(CHECKPOINT_PATH, JSON.stringify({ provider: provider.name, model: provider.embeddingModel }) + '\n');
+  }
+}
 
 async function generateEmbeddings() {
   console.log('🚀 Starting embedding generation...\n');
-  
-  try {
-    // Load unified knowledge base
-    const knowledgeBase = JSON.parse(fs.readFileSync(KNOWLEDGE_PATH, 'utf-8'));
-    console.log(`📊 Loaded ${knowledgeBase.total_chunks} chunks\n`);
-    
-    const model = genAI.getGenerativeModel({ model: "gemini-embedding-001" });
-    
-    let processed = 0;
-    let failed = 0;
-    const total = knowledgeBase.chunks.length;
-    
-    // Generate embeddings for each chunk
-    for (const chunk of knowledgeBase.chunks) {
-      try {
-        // Combine title + content for better embeddings
-        const textToEmbed = `${chunk.title}\n\n${chunk.content}`;
-        
-        const result = await model.embedContent(textToEmbed);
-        chunk.embedding = result.embedding.values;
-        
-        processed++;
-        
-        // Progress indicator (every 5 chunks)
-        if (processed % 5 === 0 || processed === total) {
-          console.log(`✅ Progress: ${processed}/${total} (${Math.round(processed/total*100)}%)`);
+  const startTime = Date.now();
+
+  // Load unified knowledge base
+  const knowledgeBase = JSON.parse(fs.readFileSync(KNOWLEDGE_PATH, 'utf-8'));
+  console.log(`📊 Loaded ${knowledgeBase.total_chunks} chunks`);
+  console.log(`🧠 Embedding with ${provider.name} / ${provider.embeddingModel}\n`);
+
+  // Hash every chunk, unchanged chunks keep their vector
+  const hashes = knowledgeBase.chunks.map(chunk => hashText(chunkText(chunk)));
+  const vectors = loadReusableVectors();
+  const reused = hashes.filter(hash => vectors.has(hash)).length;
+
+  // Texts that still need a vector (identical texts are embedded once)
+  const pending = new Map();
+  knowledgeBase.chunks.forEach((chunk, i) => {
+    if (!vectors.has(hashes[i]) && !pending.has(hashes[i])) pending.set(hashes[i], chunkText(chunk));
+  });
+  console.log(`♻️  Reusing ${reused} vectors, embedding ${pending.size} texts in batches of ${BATCH_SIZE}\n`);
+
+  const failedHashes = new Set();
+  const todo = [...pending.entries()];
+  if (todo.length > 0) startCheckpoint();
+
+  for (let start = 0; start < todo.length; start += BATCH_SIZE) {
+    const batch = todo.slice(start, start + BATCH_SIZE);
+    const label = `Batch ${start / BATCH_SIZE + 1}/${Math.ceil(todo.length / BATCH_SIZE)}`;
+
+    try {
+      const embeddings = await withRetry(async () => {
+        const result = await provider.embed(batch.map(([, text]) => text));
+        if (result.length !== batch.length || result.some(vector => !vector?.length)) {
+          throw new Error(`expected ${batch.length} vectors, got ${result.length}`);
         }
-        
-        // Rate limiting - wait 100ms between requests
-        await new Promise(resolve => setTimeout(resolve, 100));
-        
-      } catch (error) {
-        failed++;
-        console.error(`❌ Error on chunk ${chunk.id}:`, error.message);
-      }
+        return result;
+      }, label);
+
+      // checkpoint right away so an interrupted run does not redo this batch
+      const lines = batch.map(([hash], i) => {
+        vectors.set(hash, embeddings[i]);
+        return JSON.stringify({ hash, embedding: embeddings[i] });
+      });
+      fs.appendFileSync(CHECKPOINT_PATH, lines.join('\n') + '\n');
+
+      const done = Math.min(start + BATCH_SIZE, todo.length);
+      console.log(`✅ ${label}: ${done}/${todo.length} (${Math.round(done / todo.length * 100)}%)`);
+    } catch (error) {
+      batch.forEach(([hash]) => failedHashes.add(hash));
+      console.error(`❌ ${label} failed after ${MAX_ATTEMPTS} attempts: ${error.message}`);
     }
-    
-    // Save updated knowledge base with embeddings
-    fs.writeFileSync(OUTPUT_PATH, JSON.stringify(knowledgeBase, null, 2));
-    
-    console.log('\n🎉 Embeddings generated successfully!');
-    console.log(`✅ Processed: ${processed}/${total}`);
-    console.log(`❌ Failed: ${failed}`);
-    console.log(`💾 Saved to: ${OUTPUT_PATH}`);
-    
-    // Calculate file sizes
-    const originalSize = (fs.statSync(KNOWLEDGE_PATH).size / 1024).toFixed(2);
-    const embeddedSize = (fs.statSync(OUTPUT_PATH).size / 1024).toFixed(2);
-    console.log(`📊 Size: ${originalSize}KB → ${embeddedSize}KB`);
-    
-    return knowledgeBase;
-    
-  } catch (error) {
-    console.error('❌ Fatal error:', error);
-    throw error;
   }
+
+  // Chunks still without a vector
+  const missing = knowledgeBase.chunks.filter((chunk, i) => !vectors.has(hashes[i]));
+  if (missing.length > 0) {
+    console.log(`\n⚠️  ${missing.length} chunks have no embedding:`);
+    missing.slice(0, 20).forEach(chunk => console.log(`   - ${chunk.id}`));
+    if (missing.length > 20) console.log(`   ... and ${missing.length - 20} more`);
+
+    if (!ALLOW_MISSING) {
+      console.log(`\n❌ Output not written. Re-run to retry (finished batches are kept in ${path.basename(CHECKPOINT_PATH)}),`);
+      console.log('   or pass --allow-missing to write it without those vectors.');
+      return { knowledgeBase: null, missing, reused, embedded: pending.size - failedHashes.size };
+    }
+  }
+
+  // Record which model made the vectors, query embeddings must use the same one
+  knowledgeBase.embedding_provider = provider.name;
+  knowledgeBase.embedding_model = provider.embeddingModel;
+
+  // Vectors go to this run's binary sidecar, chunks only keep their row number and content hash.
+  // The file the current output points at is left alone until the new output is in place
+  const previousFile = previousEmbeddingsFile();
+  const embeddingsFile = `${EMBEDDINGS_PREFIX}-${createVersionId()}.bin`;
+  const embeddingsPath = path.join(KNOWLEDGE_BASE_PATH, embeddingsFile);
+  const rows = hashes.map(hash => vectors.get(hash) || null);
+  const stored = writeEmbeddingFile(embeddingsPath, rows, EMBEDDING_FORMAT);
+  knowledgeBase.chunks.forEach((chunk, row) => {
+    delete chunk.embedding;
+    chunk.content_hash = hashes[row];
+    chunk.embedding_row = rows[row] ? row : null;
+  });
+  knowledgeBase.embeddings = {
+    file: embeddingsFile,
+    format: stored.format,
+    dimensions: stored.dimensions,
+    count: stored.count,
+    sha256: stored.sha256,
+    missing: missing.map(chunk => chunk.id)
+  };
+
+  // The build manifest records the embedding model too
+  if (knowledgeBase.manifest) {
+    knowledgeBase.manifest.embedding = {
+      provider: provider.name,
+      model: provider.embeddingModel,
+      format: stored.format,
+      dimensions: stored.dimensions,
+      count: stored.count,
+      missing: missing.length
+    };
+  }
+
+  // Save updated knowledge base (temp file + rename, a running server picks it up whole)
+  fs.writeFileSync(`${OUTPUT_PATH}.tmp`, JSON.stringify(knowledgeBase, null, 2));
+  fs.renameSync(`${OUTPUT_PATH}.tmp`, OUTPUT_PATH);
+  if (fs.existsSync(CHECKPOINT_PATH)) fs.unlinkSync(CHECKPOINT_PATH);
+  removeOldEmbeddingFiles([embeddingsFile, previousFile]);
+
+  // Complete the snapshot of this build (versions/<version>/)
+  let snapshotDir = null;
+  if (knowledgeBase.manifest) {
+    snapshotDir = writeSnapshot(KNOWLEDGE_BASE_PATH, knowledgeBase.version, knowledgeBase.manifest, {
+      'unified-knowledge-embedded.json': { copyFrom: OUTPUT_PATH },
+      [embeddingsFile]: { copyFrom: embeddingsPath }
+    });
+  }
+
+  console.log('\n🎉 Embeddings generated successfully!');
+  console.log(`♻️  Reused: ${reused}`);
+  console.log(`✅ Embedded: ${pending.size - failedHashes.size}`);
+  console.log(`❌ Missing: ${missing.length}`);
+  console.log(`⏱️  Took ${((Date.now() - startTime) / 1000).toFixed(1)}s`);
+  console.log(`💾 Saved to: ${OUTPUT_PATH}`);
+  console.log(`🧮 Vectors: ${embeddingsPath} (${stored.format}, ${stored.dimensions} dims, ${(stored.bytes / 1024).toFixed(2)}KB)`);
+  if (snapshotDir) console.log(`🗂️  Snapshot: ${snapshotDir} (version ${knowledgeBase.version})`);
+
+  // Calculate file sizes
+  const originalSize = (fs.statSync(KNOWLEDGE_PATH).size / 1024).toFixed(2);
+  const embeddedSize = (fs.statSync(OUTPUT_PATH).size / 1024).toFixed(2);
+  console.log(`📊 Size: ${originalSize}KB → ${embeddedSize}KB`);
+
+  return { knowledgeBase, missing, reused, embedded: pending.size - failedHashes.size };
 }
 
 // Run if called directly
 if (require.main === module) {
   generateEmbeddings()
-    .then(() => process.exit(0))
+    .then(({ missing }) => process.exit(missing.length > 0 && !ALLOW_MISSING ? 1 : 0))
     .catch((error) => {
-      console.error(error);
+      console.error('❌ Fatal error:', error);
       process.exit(1);
     });
 }
@@ -0,0 +1,45 @@
+const { vectorSearch, generateQueryEmbedding, getKnowledgeStats } = require('../src/lib/vectorStore.js');
+
+// compares the hnsw index against brute force search, recall@k should stay close to 100%
+const testQueries = [
+  "Which dining halls are open now?",
+  "Hinman dining hall hours",
+  "CS 559 lecture time and room",
+  "Who teaches machine learning?",
+  "Music ensemble classes",
+  "Courses with open seats on Friday",
+];
+
+const TOP_K = 10;
+
+async function test() {
+  console.log('🧪 Testing ANN recall\n');
+  console.log('📊 Embeddings:', getKnowledgeStats().embeddings, '\n');
+
+  let totalRecall = 0;
+
+  for (const query of testQueries) {
+    const embedding = await generateQueryEmbedding(query);
+
+    let start = Date.now();
+    const exact = vectorSearch(embedding, { topK: TOP_K, exact: true });
+    const exactTime = Date.now() - start;
+
+    start = Date.now();
+    const ann = vectorSearch(embedding, { topK: TOP_K });
+    const annTime = Date.now() - start;
+
+    // ties with the k-th exact score count as found (many chunks score exactly the same)
+    const cutoff = exact.length ? exact[exact.length - 1].similarity : 0;
+    const found = ann.filter(hit => hit.similarity >= cutoff - 1e-6).length;
+    const recall = exact.length ? Math.min(found / exact.length, 1) : 1;
+    totalRecall += recall;
+
+    console.log(`🔍 "${query}"`);
+    console.log(`   recall@${TOP_K}: ${(recall * 100).toFixed(0)}%  exact ${exactTime}ms / ann ${annTime}ms`);
+  }
+
+  console.log(`\n✅ Mean recall@${TOP_K}: ${(totalRecall / testQueries.length * 100).toFixed(1)}%\n`);
+}
+
+test();
@@ -0,0 +1,32 @@
+const { parseCampusTime } = require('../src/lib/campusClock.js');
+
+// values for ?at=, x-campus-now and body.now -> expected instant (null = rejected)
+const testValues = [
+  ['2025-10-08T18:30', '2025-10-08T22:30:00.000Z'],
+  ['2025-10-08 9:05', '2025-10-08T13:05:00.000Z'],
+  ['2025-10-08', '2025-10-08T04:00:00.000Z'], // date only is campus midnight
+  ['2025-12-01', '2025-12-01T05:00:00.000Z'], // after the dst change
+  ['2025-10-08T18:30:00Z', '2025-10-08T18:30:00.000Z'],
+  ['2025-13-01', null],
+  ['2025-10-08T24:00', null],
+  ['next tuesday', null],
+];
+
+function test() {
+  console.log('🧪 Testing campus clock parsing\n');
+
+  testValues.forEach(([value, expected]) => {
+    const date = parseCampusTime(value);
+    const actual = date ? date.toISOString() : null;
+    if (actual === expected) {
+      console.log(`✅ "${value}" → ${actual}`);
+    } else {
+      console.log(`❌ "${value}" → ${actual}, expected ${expected}`);
+      process.exitCode = 1;
+    }
+  });
+
+  console.log('\n✅ Test complete!\n');
+}
+
+test();
@@ -0,0 +1,36 @@
+const { answerCourseQuery } = require('../src/lib/courseQuery.js');
+
+const testQueries = [
+  "Which CS courses meet Tuesday after 5pm with open seats?",
+  "How many graduate CS courses have open seats?",
+  "CS classes on Monday mornings",
+  "Music lessons taught by Salmirs",
+  "CS 105 sections with open seats", // lecture + activity links
+  "Open seats in CS 515 discussions", // cross-listed, combined seats
+  "Who teaches CS 559?", // not a filter question, goes to normal retrieval
+  "How many credits is CS 559?", // counts credits, not sections - retrieval
+];
+
+function test() {
+  console.log('🧪 Testing course query engine\n');
+
+  for (const query of testQueries) {
+    console.log(`\n🔍 Query: "${query}"`);
+    console.log('─'.repeat(60));
+
+    const result = answerCourseQuery(query);
+    if (!result) {
+      console.log('⏭️  Not a course query');
+      continue;
+    }
+
+    console.log(`✅ ${result.summary}`);
+    if (result.table) console.log(result.table.split('\n').slice(0, 7).join('\n'));
+    if (result.sections.length > 5) console.log(`   ... ${result.sections.length - 5} more rows`);
+    if (result.notes) console.log(result.notes);
+  }
+
+  console.log('\n✅ Test complete!\n');
+}
+
+test();
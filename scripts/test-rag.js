@@ -4,8 +4,14 @@ const testQueries = [
   "Which dining halls are open now?",
   "Hinman dining hall hours",
   "Where can I eat on campus?",
+  "Who teaches CS 559?",
 ];
 
+// queries naming a course have to rank it first (vector similarity alone puts other CS courses on top)
+const expectedFirst = {
+  "Who teaches CS 559?": "CS 559",
+};
+
 async function test() {
   console.log('🧪 Testing RAG System\n');
   console.log('📊 Stats:', getKnowledgeStats(), '\n');
@@ -19,6 +25,11 @@ async function test() {
       
       if (chunks.length > 0) {
         console.log(`✅ Found ${chunks.length} chunks:`);
+        const expected = expectedFirst[query];
+        if (expected && !chunks[0].title.startsWith(expected)) {
+          console.log(`❌ Expected ${expected} first, got ${chunks[0].title}`);
+          process.exitCode = 1;
+        }
         chunks.forEach((chunk, i) => {
           console.log(`\n  ${i + 1}. ${chunk.title}`);
           console.log(`     Score: ${(chunk.similarity * 100).toFixed(1)}%`);
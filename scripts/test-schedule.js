@@ -0,0 +1,32 @@
+const { buildSchedules, formatSchedulePlan, parseScheduleRequest } = require('../src/lib/courseSchedule.js');
+
+const testQueries = [
+  "Do CS 559 and CS 515 clash?",
+  "Can I take CS 105 and CS 110 at the same time?",
+  "Does 10047 conflict with CS 110?", // CRN pins the CS 105 lecture
+  "Build me a schedule with CS 210 and CS 220 with open seats",
+  "What is the schedule for CS 559?", // one course, goes to the other stages
+];
+
+function test() {
+  console.log('🧪 Testing schedule builder\n');
+
+  for (const query of testQueries) {
+    console.log(`\n🔍 Query: "${query}"`);
+    console.log('─'.repeat(60));
+
+    const request = parseScheduleRequest(query);
+    if (!request) {
+      console.log('⏭️  Not a schedule question');
+      continue;
+    }
+
+    const plan = buildSchedules(request.items, { openOnly: request.openOnly, limit: 2 });
+    console.log(`✅ ${request.items.join(', ')}${request.openOnly ? ' (open seats)' : ''}: ${plan.conflictFree}/${plan.combinations} conflict-free`);
+    console.log(formatSchedulePlan(plan));
+  }
+
+  console.log('\n✅ Test complete!\n');
+}
+
+test();
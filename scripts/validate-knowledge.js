@@ -0,0 +1,54 @@
+const fs = require('fs');
+const path = require('path');
+
+// ESM module, loaded through require(esm) (Node 20.19+)
+const { validateSource } = require('../src/lib/sourceSchemas.js');
+
+const KNOWLEDGE_BASE_PATH = path.join(__dirname, '../knowledge-base');
+
+// Source JSON files (generated unified-* files are not sources)
+function sourceFiles() {
+  return fs.readdirSync(KNOWLEDGE_BASE_PATH)
+    .filter(file => file.endsWith('.json') && !file.includes('unified'));
+}
+
+/* Validates every source JSON file against the Banner, dining hours or web crawl schema
+ * returns [{ file, type, errors: [{ path, message }] }] */
+function validateKnowledgeSources(files = sourceFiles()) {
+  return files.map(file => {
+    let data;
+    try {
+      data = JSON.parse(fs.readFileSync(path.join(KNOWLEDGE_BASE_PATH, file), 'utf-8'));
+    } catch (error) {
+      return { file, type: null, errors: [{ path: '$', message: `invalid JSON: ${error.message}` }] };
+    }
+    return { file, ...validateSource(data) };
+  });
+}
+
+// Prints the results, returns true when every file is valid
+function reportValidation(results, { maxErrors = 50 } = {}) {
+  let valid = true;
+  results.forEach(({ file, type, errors }) => {
+    if (errors.length === 0) {
+      console.log(`✅ ${file} (${type})`);
+      return;
+    }
+    valid = false;
+    console.log(`❌ ${file}${type ? ` (${type})` : ''}: ${errors.length} error${errors.length === 1 ? '' : 's'}`);
+    errors.slice(0, maxErrors).forEach(error => console.log(`   ${error.path}: ${error.message}`));
+    if (errors.length > maxErrors) console.log(`   ... and ${errors.length - maxErrors} more`);
+  });
+  return valid;
+}
+
+// Run if called directly
+if (require.main === module) {
+  const files = process.argv.slice(2).map(file => path.basename(file));
+  console.log('🔎 Validating knowledge base sources...\n');
+  const valid = reportValidation(validateKnowledgeSources(files.length > 0 ? files : undefined));
+  console.log(valid ? '\n✅ All sources are valid' : '\n❌ Fix the errors above before running consolidate-knowledge.js');
+  process.exit(valid ? 0 : 1);
+}
+
+module.exports = { validateKnowledgeSources, reportValidation };
@@ -0,0 +1,10 @@
+import KnowledgeAdmin from "@/components/KnowledgeAdmin"
+
+export const metadata = {
+  title: "Knowledge base admin - Bot Bu",
+  robots: { index: false, follow: false },
+};
+
+export default function KnowledgeAdminPage() {
+  return <KnowledgeAdmin />
+}
@@ -0,0 +1,157 @@
+// ============================================================================
+// ADMIN KNOWLEDGE BASE CHUNK API ENDPOINT
+// ============================================================================
+// GET    /api/admin/kb/chunks/:id   generated chunk, its override and the chunk search sees
+// PUT    /api/admin/kb/chunks/:id   save an override: { disabled, title, content, category, note }
+// DELETE /api/admin/kb/chunks/:id   drop the override, the generated chunk is used again
+// (Authorization: Bearer $ADMIN_API_TOKEN)
+//
+// Overrides live in knowledge-base/overrides/chunk-overrides.json, apart from the generated
+// files, so they survive rebuilds. They are applied to the loaded KB right away. An edited
+// title or content is embedded again; when that fails the old vector keeps being used.
+// The course and dining hours engines read the source files, fix those for structured answers.
+
+import path from 'path';
+import { NextResponse } from 'next/server';
+import { checkAdminAuth } from '@/lib/adminAuth';
+import { EDITABLE_FIELDS, effectiveChunk, isEdit, removeOverride, saveOverride } from '@/lib/chunkOverrides';
+import { chunkFingerprint } from '@/lib/kbManifest';
+import { embedText } from '@/lib/providers';
+import { getLoadedKnowledgeBase, reloadKnowledgeBase } from '@/lib/vectorStore';
+
+const KNOWLEDGE_DIR = path.join(process.cwd(), 'knowledge-base');
+
+// vectors are stored with the override, not sent to the page
+function withoutEmbedding(value) {
+  if (!value) return value;
+  const { embedding, ...rest } = value;
+  return { ...rest, hasEmbedding: Boolean(embedding) };
+}
+
+function describe(chunk, override) {
+  return {
+    chunk,
+    override: withoutEmbedding(override) || null,
+    effective: withoutEmbedding(effectiveChunk(chunk, override)),
+    stale: Boolean(override?.base_hash && override.base_hash !== chunkFingerprint(chunk))
+  };
+}
+
+function findChunk(id) {
+  const kb = getLoadedKnowledgeBase();
+  const chunk = kb.chunks.find(candidate => candidate.id === id);
+  return { kb, chunk };
+}
+
+function notFound(id) {
+  return NextResponse.json({ success: false, error: `No chunk "${id}" in the loaded knowledge base` }, { status: 404 });
+}
+
+export async function GET(req, { params }) {
+  const denied = checkAdminAuth(req);
+  if (denied) {
+    return NextResponse.json({ success: false, error: denied.error }, { status: denied.status });
+  }
+
+  const { id } = await params;
+  const { kb, chunk } = findChunk(id);
+  if (!chunk) return notFound(id);
+
+  return NextResponse.json({
+    success: true,
+    version: kb.version,
+    ...describe(chunk, kb.overrides[id])
+  });
+}
+
+export async function PUT(req, { params }) {
+  const denied = checkAdminAuth(req);
+  if (denied) {
+    return NextResponse.json({ success: false, error: denied.error }, { status: denied.status });
+  }
+
+  const { id } = await params;
+  let patch;
+  try {
+    patch = await req.json();
+  } catch {
+    return NextResponse.json({ success: false, error: 'Expected a JSON body' }, { status: 400 });
+  }
+  if (!patch || typeof patch !== 'object' || Array.isArray(patch)) {
+    return NextResponse.json({ success: false, error: 'Expected a JSON object' }, { status: 400 });
+  }
+
+  const badField = EDITABLE_FIELDS.find(field => patch[field] !== undefined && typeof patch[field] !== 'string');
+  if (badField) {
+    return NextResponse.json({ success: false, error: `${badField} must be a string` }, { status: 400 });
+  }
+  if (typeof patch.content === 'string' && !patch.content.trim()) {
+    return NextResponse.json({ success: false, error: 'content cannot be empty, disable the chunk instead' }, { status: 400 });
+  }
+
+  try {
+    const { chunk } = findChunk(id);
+    if (!chunk) return notFound(id);
+
+    // embed the edited text the same way generate-embeddings.js does
+    const title = patch.title ?? chunk.title;
+    const content = patch.content ?? chunk.content;
+    let embedding = null;
+    if (title !== chunk.title || content !== chunk.content) {
+      try {
+        embedding = await embedText(`${title}\n\n${content}`);
+      } catch (error) {
+        console.error(`Embedding edited chunk ${id} failed, keeping its old vector:`, error.message);
+      }
+    }
+
+    const override = saveOverride(KNOWLEDGE_DIR, chunk, patch, embedding);
+    // nothing left to override (e.g. an edit back to the generated text)
+    if (!override.disabled && !isEdit(override) && !override.note) removeOverride(KNOWLEDGE_DIR, id);
+    reloadKnowledgeBase();
+
+    const kb = getLoadedKnowledgeBase();
+    console.log(`Admin override saved for chunk ${id}`);
+    return NextResponse.json({
+      success: true,
+      version: kb.version,
+      reembedded: Boolean(override.embedding),
+      ...describe(chunk, kb.overrides[id])
+    });
+  } catch (error) {
+    console.error('Admin chunk override error:', error);
+    return NextResponse.json({
+      success: false,
+      error: 'Failed to save chunk override'
+    }, { status: 500 });
+  }
+}
+
+export async function DELETE(req, { params }) {
+  const denied = checkAdminAuth(req);
+  if (denied) {
+    return NextResponse.json({ success: false, error: denied.error }, { status: denied.status });
+  }
+
+  const { id } = await params;
+  try {
+    if (!removeOverride(KNOWLEDGE_DIR, id)) {
+      return NextResponse.json({ success: false, error: `Chunk "${id}" has no override` }, { status: 404 });
+    }
+    reloadKnowledgeBase();
+
+    const { kb, chunk } = findChunk(id);
+    console.log(`Admin override removed for chunk ${id}`);
+    return NextResponse.json({
+      success: true,
+      version: kb.version,
+      ...(chunk ? describe(chunk, kb.overrides[id]) : { chunk: null, override: null, effective: null, stale: false })
+    });
+  } catch (error) {
+    console.error('Admin chunk override error:', error);
+    return NextResponse.json({
+      success: false,
+      error: 'Failed to remove chunk override'
+    }, { status: 500 });
+  }
+}
@@ -0,0 +1,113 @@
+// ============================================================================
+// ADMIN KNOWLEDGE BASE BROWSER API ENDPOINT
+// ============================================================================
+// GET /api/admin/kb/chunks   (Authorization: Bearer $ADMIN_API_TOKEN)
+//   q          full text search, every word must appear in the title, content or metadata
+//   category   only chunks of this category
+//   type       only chunks with this metadata.type ("text" for chunks without one)
+//   status     "disabled" | "edited" | "stale" - only chunks with that override state
+//   page       page number, starts at 1 (default 1)
+//   limit      chunks per page (default 50, max 200)
+//
+// Lists the chunks of the loaded KB version as they were generated, flagged with their
+// admin override state (see /api/admin/kb/chunks/[id]), plus chunk counts per category.
+
+import { NextResponse } from 'next/server';
+import { checkAdminAuth } from '@/lib/adminAuth';
+import { getLoadedKnowledgeBase } from '@/lib/vectorStore';
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+const SNIPPET_LENGTH = 200;
+
+// lowercased text a chunk is searched by
+function searchableText(chunk) {
+  return [chunk.title, chunk.content, chunk.category, JSON.stringify(chunk.metadata || {})]
+    .join('\n')
+    .toLowerCase();
+}
+
+export async function GET(req) {
+  const denied = checkAdminAuth(req);
+  if (denied) {
+    return NextResponse.json({ success: false, error: denied.error }, { status: denied.status });
+  }
+
+  try {
+    const params = new URL(req.url).searchParams;
+    const words = (params.get('q') || '').toLowerCase().split(/\s+/).filter(Boolean);
+    const category = params.get('category');
+    const type = params.get('type');
+    const status = params.get('status');
+    const page = Math.max(1, parseInt(params.get('page'), 10) || 1);
+    const limit = Math.min(MAX_LIMIT, Math.max(1, parseInt(params.get('limit'), 10) || DEFAULT_LIMIT));
+
+    const kb = getLoadedKnowledgeBase();
+    const flags = {
+      disabled: new Set(kb.disabled),
+      edited: new Set(kb.edited),
+      stale: new Set(kb.stale)
+    };
+    if (status && !flags[status]) {
+      return NextResponse.json({
+        success: false,
+        error: `Unknown status "${status}", expected disabled, edited or stale`
+      }, { status: 400 });
+    }
+
+    // search first, the category counts follow the search so the sidebar shows where the hits are
+    const found = words.length === 0
+      ? kb.chunks
+      : kb.chunks.filter(chunk => {
+        const text = searchableText(chunk);
+        return words.every(word => text.includes(word));
+      });
+
+    const categories = {};
+    found.forEach(chunk => {
+      categories[chunk.category] = (categories[chunk.category] || 0) + 1;
+    });
+
+    const matching = found.filter(chunk =>
+      (!category || chunk.category === category) &&
+      (!type || (chunk.metadata?.type || 'text') === type) &&
+      (!status || flags[status].has(chunk.id))
+    );
+
+    const chunks = matching.slice((page - 1) * limit, page * limit).map(chunk => ({
+      id: chunk.id,
+      title: chunk.title,
+      category: chunk.category,
+      type: chunk.metadata?.type || 'text',
+      source: chunk.metadata?.source || null,
+      snippet: chunk.content.length > SNIPPET_LENGTH ? `${chunk.content.slice(0, SNIPPET_LENGTH)}...` : chunk.content,
+      disabled: flags.disabled.has(chunk.id),
+      edited: flags.edited.has(chunk.id),
+      stale: flags.stale.has(chunk.id)
+    }));
+
+    return NextResponse.json({
+      success: true,
+      version: kb.version,
+      totalChunks: kb.chunks.length,
+      total: matching.length,
+      page,
+      limit,
+      categories: Object.entries(categories)
+        .map(([name, count]) => ({ name, count }))
+        .sort((a, b) => a.name.localeCompare(b.name)),
+      overrides: {
+        disabled: kb.disabled.length,
+        edited: kb.edited.length,
+        stale: kb.stale.length
+      },
+      chunks
+    });
+  } catch (error) {
+    console.error('Admin KB browse error:', error);
+    return NextResponse.json({
+      success: false,
+      error: 'Failed to list knowledge base chunks'
+    }, { status: 500 });
+  }
+}
@@ -0,0 +1,108 @@
+// ============================================================================
+// ADMIN RETRIEVAL TEST API ENDPOINT
+// ============================================================================
+// POST /api/admin/kb/search   (Authorization: Bearer $ADMIN_API_TOKEN)
+// {
+//   "query": "machine learning courses",
+//   "topK": 10,                       // optional, default 10 (max 50)
+//   "minScore": 0.25,                 // optional, vector similarity cutoff (chat uses 0.25)
+//   "category": "fall 2025 graduate cs courses",   // optional
+//   "filter": { "level": "Graduate" }, // optional metadata filter (see metadataFilter.js)
+//   "asOf": "2025-10-08"              // optional, date for chunk validity (default: today on campus)
+// }
+//
+// Runs one query through the hybrid search the chat uses (findRelevantChunks) and through
+// plain BM25 (keywordSearch, the fallback when embedding the query fails) and returns both
+// rankings with their scores, to see why a chunk is or isn't retrieved.
+
+import { NextResponse } from 'next/server';
+import { checkAdminAuth } from '@/lib/adminAuth';
+import { campusMoment } from '@/lib/campusClock';
+import { isExpired } from '@/lib/chunkValidity';
+import { findRelevantChunks, keywordSearch } from '@/lib/vectorStore';
+
+const DEFAULT_TOP_K = 10;
+const MAX_TOP_K = 50;
+const DEFAULT_MIN_SCORE = 0.25;
+
+function summarize(chunk, asOf) {
+  return {
+    id: chunk.id,
+    title: chunk.title,
+    category: chunk.category,
+    type: chunk.metadata?.type || 'text',
+    source: chunk.metadata?.source || null,
+    overridden: Boolean(chunk.overridden),
+    validUntil: chunk.metadata?.validUntil || null,
+    expired: isExpired(chunk, asOf)
+  };
+}
+
+export async function POST(req) {
+  const denied = checkAdminAuth(req);
+  if (denied) {
+    return NextResponse.json({ success: false, error: denied.error }, { status: denied.status });
+  }
+
+  let body;
+  try {
+    body = await req.json();
+  } catch {
+    return NextResponse.json({ success: false, error: 'Expected a JSON body' }, { status: 400 });
+  }
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return NextResponse.json({ success: false, error: 'Expected a JSON object' }, { status: 400 });
+  }
+
+  const query = typeof body.query === 'string' ? body.query.trim() : '';
+  if (!query) {
+    return NextResponse.json({ success: false, error: 'Query is required' }, { status: 400 });
+  }
+  const topK = Math.min(MAX_TOP_K, Math.max(1, parseInt(body.topK, 10) || DEFAULT_TOP_K));
+  const category = body.category || null;
+  const filter = body.filter || null;
+  const minScore = typeof body.minScore === 'number' ? body.minScore : DEFAULT_MIN_SCORE;
+  if (body.asOf && !/^\d{4}-\d{2}-\d{2}$/.test(body.asOf)) {
+    return NextResponse.json({ success: false, error: 'asOf must be a YYYY-MM-DD date' }, { status: 400 });
+  }
+  // same date the chat checks chunk validity against
+  const asOf = body.asOf || campusMoment().date;
+
+  // a bad filter is the caller's mistake, report it before searching
+  let keyword;
+  try {
+    keyword = keywordSearch(query, topK, { category, filter, asOf }).map(chunk => ({
+      ...summarize(chunk, asOf),
+      score: chunk.matchScore,
+      matches: chunk.matches
+    }));
+  } catch (error) {
+    return NextResponse.json({ success: false, error: error.message }, { status: 400 });
+  }
+
+  // the hybrid search needs the embedding provider, its error is shown next to the bm25 results
+  let vector;
+  let vectorError = null;
+  try {
+    vector = (await findRelevantChunks(query, { topK, category, filter, minScore, asOf })).map(chunk => ({
+      ...summarize(chunk, asOf),
+      score: chunk.score,
+      similarity: chunk.similarity,
+      bm25Score: chunk.bm25Score
+    }));
+  } catch (error) {
+    vector = [];
+    vectorError = error.message;
+  }
+
+  return NextResponse.json({
+    success: true,
+    query,
+    topK,
+    minScore,
+    asOf,
+    vector,
+    vectorError,
+    keyword
+  });
+}
@@ -0,0 +1,120 @@
+// ============================================================================
+// ADMIN KNOWLEDGE UPLOAD API ENDPOINT
+// ============================================================================
+// POST /api/admin/upload   (multipart/form-data, Authorization: Bearer $ADMIN_API_TOKEN)
+//   file       one or more files: .pdf .docx .txt .md .html .csv .xlsx, or a Banner export / dining hours .json
+//   title      optional title for document chunks (default: the file name)
+//   category   optional kb category for document chunks (default: "uploaded documents")
+//
+// Files are checked (JSON against the source schemas, documents must have extractable text),
+// written into knowledge-base/, and a new KB version is consolidated, embedded and swapped in.
+// Uploading a file with the same name replaces it. If publishing fails the previous files (sources
+// and the generated kb files) are put back and the current version keeps serving.
+// ADMIN_UPLOAD_MAX_MB limits the whole request, checked from Content-Length before the body is read.
+
+import path from 'path';
+import { NextResponse } from 'next/server';
+import { checkAdminAuth } from '@/lib/adminAuth';
+import { UPLOADS_DIR, stageUpload } from '@/lib/kbUploads';
+import { publishKnowledgeBase, withPublishLock } from '@/lib/kbPublisher';
+
+const KNOWLEDGE_DIR = path.join(process.cwd(), 'knowledge-base');
+const MAX_UPLOAD_BYTES = Number(process.env.ADMIN_UPLOAD_MAX_MB || 10) * 1024 * 1024;
+
+export async function POST(req) {
+  const denied = checkAdminAuth(req);
+  if (denied) {
+    return NextResponse.json({ success: false, error: denied.error }, { status: denied.status });
+  }
+
+  // formData() reads the whole body into memory, so the size is checked before
+  const length = Number(req.headers.get('content-length'));
+  if (!length) {
+    return NextResponse.json({
+      success: false,
+      error: 'Content-Length header required'
+    }, { status: 411 });
+  }
+  if (length > MAX_UPLOAD_BYTES) {
+    return NextResponse.json({
+      success: false,
+      error: `Upload is larger than ${MAX_UPLOAD_BYTES / 1024 / 1024}MB`
+    }, { status: 413 });
+  }
+
+  let formData;
+  try {
+    formData = await req.formData();
+  } catch {
+    return NextResponse.json({
+      success: false,
+      error: 'Expected multipart/form-data with a "file" field'
+    }, { status: 400 });
+  }
+
+  const files = formData.getAll('file').filter(file => typeof file === 'object' && file.name);
+  const title = formData.get('title') || null;
+  const category = formData.get('category') || null;
+
+  if (files.length === 0) {
+    return NextResponse.json({ success: false, error: 'No file uploaded' }, { status: 400 });
+  }
+
+  try {
+    return await withPublishLock(async () => {
+      const staged = [];
+      const rollback = () => staged.reverse().forEach(upload => upload.restore());
+
+      for (const file of files) {
+        const upload = await stageUpload(KNOWLEDGE_DIR, {
+          name: file.name,
+          buffer: Buffer.from(await file.arrayBuffer()),
+          title,
+          category
+        });
+        if (upload.error) {
+          rollback();
+          return NextResponse.json({
+            success: false,
+            error: upload.error,
+            details: upload.details
+          }, { status: 400 });
+        }
+        staged.push(upload);
+      }
+
+      try {
+        const published = await publishKnowledgeBase();
+        const chunksBySource = new Map(published.sources.map(source => [source.file, source.chunks]));
+
+        console.log(`Admin upload published KB ${published.version}: ${staged.map(upload => upload.file).join(', ')}`);
+        return NextResponse.json({
+          success: true,
+          version: published.version,
+          previousVersion: published.previousVersion,
+          totalChunks: published.totalChunks,
+          files: staged.map(upload => ({
+            file: upload.file,
+            type: upload.type,
+            chunks: chunksBySource.get(upload.kind === 'document' ? `${UPLOADS_DIR}/${upload.file}` : upload.file) ?? null
+          })),
+          changes: published.changes
+        });
+      } catch (error) {
+        rollback();
+        console.error('KB publish error:', error.message);
+        return NextResponse.json({
+          success: false,
+          error: `Publishing failed, the current knowledge base is unchanged: ${error.message}`,
+          log: error.log
+        }, { status: 500 });
+      }
+    });
+  } catch (error) {
+    console.error('Admin upload error:', error);
+    return NextResponse.json({
+      success: false,
+      error: 'Upload failed'
+    }, { status: 500 });
+  }
+}
@@ -0,0 +1,55 @@
+// ============================================================================
+// DINING "OPEN NOW" API ENDPOINT
+// ============================================================================
+// GET /api/dining/open                          what is open right now
+// GET /api/dining/open?at=2025-10-08T18:30      what is open at a campus time (or any ISO instant)
+// GET /api/dining/open?location=hinman          only matching locations
+
+import { NextResponse } from 'next/server';
+import { getDiningStatus } from '@/lib/diningHours';
+import { campusMoment, parseCampusTime, resolveNow } from '@/lib/campusClock';
+
+export async function GET(req) {
+  try {
+    const { searchParams } = new URL(req.url);
+    const at = searchParams.get('at');
+    const location = searchParams.get('location');
+
+    // without "at": now, or the x-campus-now header in development
+    let date;
+    try {
+      date = at ? parseCampusTime(at) : resolveNow(req);
+    } catch (error) {
+      return NextResponse.json({ success: false, error: error.message }, { status: 400 });
+    }
+    if (!date) {
+      return NextResponse.json({
+        success: false,
+        error: 'Invalid "at" parameter, expected YYYY-MM-DDTHH:mm (campus time)'
+      }, { status: 400 });
+    }
+    const moment = campusMoment(date);
+
+    const status = getDiningStatus(moment, { name: location });
+
+    return NextResponse.json({
+      success: true,
+      at: moment,
+      week: status.week,
+      inPublishedWeek: status.inPublishedWeek,
+      openCount: status.open.length,
+      open: status.open,
+      closed: status.closed
+    });
+  } catch (error) {
+    console.error('Error evaluating dining hours:', error);
+    return NextResponse.json(
+      {
+        success: false,
+        error: 'Failed to evaluate dining hours',
+        details: error.message
+      },
+      { status: 500 }
+    );
+  }
+}
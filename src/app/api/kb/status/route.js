@@ -0,0 +1,28 @@
+// ============================================================================
+// KNOWLEDGE BASE STATUS API ENDPOINT
+// ============================================================================
+// GET /api/kb/status      loaded kb version, chunk counts, embeddings and hot reload state
+//
+// status is 'ready', or 'degraded' when the kb file is missing or broken (chat still
+// answers from the other pipeline stages). A new build written to knowledge-base/ is
+// picked up without a restart, see KB_WATCH_INTERVAL_MS.
+
+import { NextResponse } from 'next/server';
+import { getKnowledgeStats } from '@/lib/vectorStore';
+
+export async function GET() {
+  try {
+    const stats = getKnowledgeStats();
+
+    return NextResponse.json({
+      success: true,
+      ...stats
+    });
+  } catch (error) {
+    console.error('KB status error:', error);
+    return NextResponse.json({
+      success: false,
+      error: 'Failed to read knowledge base status'
+    }, { status: 500 });
+  }
+}
@@ -0,0 +1,79 @@
+// ============================================================================
+// COURSE SCHEDULE API ENDPOINT
+// ============================================================================
+// POST /api/schedule   { "items": ["CS 559", "CS 515", "10047"], "openOnly": false, "limit": 10, "term": "Fall 2025" }
+// GET  /api/schedule?items=CS 559,CS 515&openOnly=1&limit=10
+//
+// items are course codes or CRNs (a CRN pins that section). Returns the time conflicts between
+// the courses and conflict-free section combinations, linked lectures / labs / activities kept
+// together. Meeting times come from the Banner files in knowledge-base/.
+
+import { NextResponse } from 'next/server';
+import { buildSchedules, formatSchedulePlan, serializeSchedulePlan } from '@/lib/courseSchedule';
+
+const MAX_ITEMS = 8;
+const MAX_LIMIT = 50;
+
+function scheduleResponse({ items, openOnly, limit, term }) {
+  if (!Array.isArray(items) || items.length === 0 || items.some(item => typeof item !== 'string' || !item.trim())) {
+    return NextResponse.json({
+      success: false,
+      error: '"items" must be a non-empty list of course codes ("CS 559") or CRNs'
+    }, { status: 400 });
+  }
+  if (items.length > MAX_ITEMS) {
+    return NextResponse.json({
+      success: false,
+      error: `At most ${MAX_ITEMS} courses per schedule`
+    }, { status: 400 });
+  }
+
+  const plan = buildSchedules(items, {
+    openOnly: Boolean(openOnly),
+    limit: Math.min(Math.max(Number(limit) || 10, 1), MAX_LIMIT),
+    term: term || null
+  });
+
+  return NextResponse.json({
+    success: true,
+    ...serializeSchedulePlan(plan),
+    summary: formatSchedulePlan(plan)
+  });
+}
+
+export async function POST(req) {
+  try {
+    const body = await req.json().catch(() => null);
+    if (!body) {
+      return NextResponse.json({ success: false, error: 'Invalid JSON body' }, { status: 400 });
+    }
+    return scheduleResponse(body);
+  } catch (error) {
+    console.error('Error building schedules:', error);
+    return NextResponse.json({
+      success: false,
+      error: 'Failed to build schedules',
+      details: error.message
+    }, { status: 500 });
+  }
+}
+
+export async function GET(req) {
+  try {
+    const { searchParams } = new URL(req.url);
+    const items = (searchParams.get('items') || '').split(',').map(item => item.trim()).filter(Boolean);
+    return scheduleResponse({
+      items,
+      openOnly: ['1', 'true'].includes(searchParams.get('openOnly')),
+      limit: searchParams.get('limit'),
+      term: searchParams.get('term')
+    });
+  } catch (error) {
+    console.error('Error building schedules:', error);
+    return NextResponse.json({
+      success: false,
+      error: 'Failed to build schedules',
+      details: error.message
+    }, { status: 500 });
+  }
+}
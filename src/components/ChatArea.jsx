@@ -13,9 +13,9 @@ export default function ChatArea({ currentChat, onToggleSidebar, messages, onSen
   const messagesEndRef = useRef(null)
   const [copiedMessageId, setCopiedMessageId] = useState(null)
 
-  const scrollToBottom = () => {
+  const scrollToBottom = (behavior = "smooth") => {
     if (messagesEndRef.current) {
-      messagesEndRef.current.scrollIntoView({ behavior: "smooth" })
+      messagesEndRef.current.scrollIntoView({ behavior })
     }
   }
 
@@ -31,7 +31,12 @@ export default function ChatArea({ currentChat, onToggleSidebar, messages, onSen
 
   useEffect(() => {
     scrollToBottom()
-  }, [messages, streamingMessage]) // Also scroll when streaming message updates
+  }, [messages])
+
+  // Follow the stream without smooth scrolling - tokens arrive faster than the animation
+  useEffect(() => {
+    if (streamingMessage) scrollToBottom("auto")
+  }, [streamingMessage])
 
   return (
     <div className="flex-1 flex flex-col bg-white overflow-hidden min-h-0">
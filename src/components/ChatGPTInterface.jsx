@@ -144,24 +144,13 @@ export default function ChatGPTInterface() {
 
     try {
       // Call smart API router (tries RAG, falls back to old API if needed)
+      // Tokens are shown as they arrive from the server
       const startTime = Date.now()
-      const data = await callChatAPI(content, messages, controller.signal)
+      const data = await callChatAPI(content, messages, controller.signal, setStreamingMessage)
       
       const responseTime = Date.now() - startTime
 
-      // Simulate streaming by revealing response word by word
       const fullResponse = data.message || "I'm here to help! However, I encountered an issue processing your request."
-      const words = fullResponse.split(' ')
-      
-      // Show response word by word for better UX
-      for (let i = 0; i < words.length; i++) {
-        const partial = words.slice(0, i + 1).join(' ')
-        setStreamingMessage(partial)
-        await new Promise(resolve => setTimeout(resolve, 30)) // 30ms per word
-      }
-      
-      // DON'T clear streaming message yet - let it transition smoothly
-      // setStreamingMessage("")
       
       const botMessage = {
         id: (Date.now() + 1).toString(),
@@ -0,0 +1,441 @@
+'use client';
+
+import { useState, useEffect, useCallback } from 'react';
+import { Button } from '@/components/ui/button';
+import { Alert, AlertDescription } from '@/components/ui/alert';
+import { cn } from '@/lib/utils';
+import { Database, Search, KeyRound, EyeOff, Eye, Save, RotateCcw, AlertTriangle, FileText, FlaskConical } from 'lucide-react';
+
+const TOKEN_KEY = 'kb-admin-token';
+const PAGE_SIZE = 50;
+
+// Admin view of the loaded knowledge base - browse / search chunks, test retrieval, disable or edit chunks
+export default function KnowledgeAdmin() {
+  const [token, setToken] = useState('');
+  const [tokenInput, setTokenInput] = useState('');
+  const [error, setError] = useState(null);
+
+  // browser state
+  const [query, setQuery] = useState('');
+  const [category, setCategory] = useState('');
+  const [status, setStatus] = useState('');
+  const [page, setPage] = useState(1);
+  const [listing, setListing] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  // selected chunk
+  const [selectedId, setSelectedId] = useState(null);
+  const [detail, setDetail] = useState(null);
+  const [draft, setDraft] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  // retrieval test
+  const [testQuery, setTestQuery] = useState('');
+  const [testResult, setTestResult] = useState(null);
+  const [testing, setTesting] = useState(false);
+
+  // Token survives reloads of the tab, not the browser session
+  useEffect(() => {
+    const saved = sessionStorage.getItem(TOKEN_KEY);
+    if (saved) setToken(saved);
+  }, []);
+
+  // fetch with the admin token, throws with the api error message
+  const api = useCallback(async (url, options = {}) => {
+    const response = await fetch(url, {
+      ...options,
+      headers: {
+        ...(options.body ? { 'Content-Type': 'application/json' } : {}),
+        Authorization: `Bearer ${token}`
+      }
+    });
+    const data = await response.json();
+    if (response.status === 401) {
+      sessionStorage.removeItem(TOKEN_KEY);
+      setToken('');
+    }
+    if (!data.success) throw new Error(data.error || `Request failed (${response.status})`);
+    return data;
+  }, [token]);
+
+  const loadChunks = useCallback(async () => {
+    if (!token) return;
+    try {
+      setLoading(true);
+      const params = new URLSearchParams({ page: String(page), limit: String(PAGE_SIZE) });
+      if (query) params.set('q', query);
+      if (category) params.set('category', category);
+      if (status) params.set('status', status);
+      setListing(await api(`/api/admin/kb/chunks?${params}`));
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [api, token, query, category, status, page]);
+
+  // Reload the list shortly after the search / filters stop changing
+  useEffect(() => {
+    const timer = setTimeout(loadChunks, 250);
+    return () => clearTimeout(timer);
+  }, [loadChunks]);
+
+  const showDetail = (data) => {
+    setDetail(data);
+    setDraft({
+      title: data.effective?.title ?? data.override?.title ?? data.chunk.title,
+      content: data.effective?.content ?? data.override?.content ?? data.chunk.content,
+      category: data.effective?.category ?? data.override?.category ?? data.chunk.category,
+      note: data.override?.note || ''
+    });
+  };
+
+  const selectChunk = async (id) => {
+    setSelectedId(id);
+    try {
+      showDetail(await api(`/api/admin/kb/chunks/${encodeURIComponent(id)}`));
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const saveOverride = async (disabled) => {
+    try {
+      setSaving(true);
+      showDetail(await api(`/api/admin/kb/chunks/${encodeURIComponent(selectedId)}`, {
+        method: 'PUT',
+        body: JSON.stringify({ ...draft, disabled })
+      }));
+      setError(null);
+      loadChunks();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const resetOverride = async () => {
+    try {
+      setSaving(true);
+      showDetail(await api(`/api/admin/kb/chunks/${encodeURIComponent(selectedId)}`, { method: 'DELETE' }));
+      setError(null);
+      loadChunks();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const runTest = async (e) => {
+    e.preventDefault();
+    if (!testQuery.trim()) return;
+    try {
+      setTesting(true);
+      setTestResult(await api('/api/admin/kb/search', {
+        method: 'POST',
+        body: JSON.stringify({ query: testQuery, category: category || null })
+      }));
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setTesting(false);
+    }
+  };
+
+  const signIn = (e) => {
+    e.preventDefault();
+    sessionStorage.setItem(TOKEN_KEY, tokenInput);
+    setToken(tokenInput);
+    setTokenInput('');
+  };
+
+  if (!token) {
+    return (
+      <div className="min-h-screen flex items-center justify-center bg-emerald-50">
+        <form onSubmit={signIn} className="w-full max-w-sm bg-white rounded-2xl shadow p-6 space-y-4">
+          <div className="flex items-center gap-2 text-emerald-900 font-semibold text-lg">
+            <KeyRound className="h-5 w-5" />
+            Knowledge base admin
+          </div>
+          {error && (
+            <Alert variant="destructive">
+              <AlertDescription>{error}</AlertDescription>
+            </Alert>
+          )}
+          <input
+            type="password"
+            value={tokenInput}
+            onChange={(e) => setTokenInput(e.target.value)}
+            placeholder="Admin token (ADMIN_API_TOKEN)"
+            className="w-full rounded-lg border border-emerald-200 px-3 py-2 focus:outline-none focus:ring-2 focus:ring-emerald-500"
+          />
+          <Button type="submit" className="w-full" disabled={!tokenInput}>Sign in</Button>
+        </form>
+      </div>
+    );
+  }
+
+  const totalPages = listing ? Math.max(1, Math.ceil(listing.total / PAGE_SIZE)) : 1;
+
+  return (
+    <div className="h-screen flex flex-col bg-gray-50 text-gray-900">
+      {/* Header */}
+      <header className="flex items-center justify-between px-6 py-3 bg-emerald-900 text-emerald-50">
+        <div className="flex items-center gap-2 font-semibold">
+          <Database className="h-5 w-5" />
+          Knowledge base
+          {listing && (
+            <span className="text-sm font-normal text-emerald-200">
+              version {listing.version || 'unknown'} · {listing.totalChunks} chunks · {listing.overrides.disabled} disabled · {listing.overrides.edited} edited
+            </span>
+          )}
+        </div>
+        <Button
+          variant="ghost"
+          size="sm"
+          className="text-emerald-100 hover:bg-emerald-800"
+          onClick={() => { sessionStorage.removeItem(TOKEN_KEY); setToken(''); }}
+        >
+          Sign out
+        </Button>
+      </header>
+
+      {error && (
+        <Alert variant="destructive" className="rounded-none">
+          <AlertDescription>{error}</AlertDescription>
+        </Alert>
+      )}
+
+      <div className="flex-1 flex min-h-0">
+        {/* Categories */}
+        <aside className="w-64 border-r border-emerald-100 bg-white overflow-y-auto p-3 space-y-1">
+          <button
+            onClick={() => { setCategory(''); setPage(1); }}
+            className={cn('w-full text-left px-3 py-2 rounded-lg text-sm', !category ? 'bg-emerald-100 text-emerald-900' : 'hover:bg-emerald-50')}
+          >
+            All categories
+          </button>
+          {listing?.categories.map(({ name, count }) => (
+            <button
+              key={name}
+              onClick={() => { setCategory(name); setPage(1); }}
+              className={cn('w-full flex justify-between gap-2 text-left px-3 py-2 rounded-lg text-sm', category === name ? 'bg-emerald-100 text-emerald-900' : 'hover:bg-emerald-50')}
+            >
+              <span className="truncate">{name}</span>
+              <span className="text-gray-500">{count}</span>
+            </button>
+          ))}
+        </aside>
+
+        {/* Chunk list */}
+        <section className="w-[28rem] border-r border-emerald-100 flex flex-col min-h-0">
+          <div className="p-3 space-y-2 border-b border-emerald-100 bg-white">
+            <div className="relative">
+              <Search className="absolute left-3 top-2.5 h-4 w-4 text-gray-400" />
+              <input
+                value={query}
+                onChange={(e) => { setQuery(e.target.value); setPage(1); }}
+                placeholder="Search title, content and metadata"
+                className="w-full rounded-lg border border-emerald-200 pl-9 pr-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-emerald-500"
+              />
+            </div>
+            <div className="flex items-center justify-between text-sm">
+              <select
+                value={status}
+                onChange={(e) => { setStatus(e.target.value); setPage(1); }}
+                className="rounded-lg border border-emerald-200 px-2 py-1"
+              >
+                <option value="">All chunks</option>
+                <option value="disabled">Disabled</option>
+                <option value="edited">Edited</option>
+                <option value="stale">Stale overrides</option>
+              </select>
+              <span className="text-gray-500">{loading ? 'Loading...' : `${listing?.total ?? 0} found`}</span>
+            </div>
+          </div>
+
+          <div className="flex-1 overflow-y-auto">
+            {listing?.chunks.map(chunk => (
+              <button
+                key={chunk.id}
+                onClick={() => selectChunk(chunk.id)}
+                className={cn(
+                  'w-full text-left px-4 py-3 border-b border-gray-100 hover:bg-emerald-50',
+                  selectedId === chunk.id && 'bg-emerald-50',
+                  chunk.disabled && 'opacity-50'
+                )}
+              >
+                <div className="flex items-center gap-2 text-sm font-medium">
+                  <span className="truncate">{chunk.title}</span>
+                  {chunk.disabled && <span className="px-1.5 rounded bg-gray-200 text-xs">disabled</span>}
+                  {chunk.edited && <span className="px-1.5 rounded bg-emerald-100 text-emerald-800 text-xs">edited</span>}
+                  {chunk.stale && <span className="px-1.5 rounded bg-yellow-100 text-yellow-800 text-xs">stale</span>}
+                </div>
+                <div className="text-xs text-gray-500 mt-0.5">{chunk.id} · {chunk.type} · {chunk.source || 'no source'}</div>
+                <div className="text-xs text-gray-600 mt-1 line-clamp-2 whitespace-pre-line">{chunk.snippet}</div>
+              </button>
+            ))}
+          </div>
+
+          <div className="flex items-center justify-between p-2 border-t border-emerald-100 bg-white text-sm">
+            <Button variant="outline" size="sm" disabled={page <= 1} onClick={() => setPage(page - 1)}>Previous</Button>
+            <span>Page {page} of {totalPages}</span>
+            <Button variant="outline" size="sm" disabled={page >= totalPages} onClick={() => setPage(page + 1)}>Next</Button>
+          </div>
+        </section>
+
+        {/* Detail + retrieval test */}
+        <main className="flex-1 overflow-y-auto p-6 space-y-6">
+          <form onSubmit={runTest} className="bg-white rounded-2xl shadow-sm p-4 space-y-3">
+            <div className="flex items-center gap-2 font-semibold text-emerald-900">
+              <FlaskConical className="h-4 w-4" />
+              Retrieval test
+              {category && <span className="text-xs font-normal text-gray-500">in {category}</span>}
+            </div>
+            <div className="flex gap-2">
+              <input
+                value={testQuery}
+                onChange={(e) => setTestQuery(e.target.value)}
+                placeholder="Ask what a student would ask"
+                className="flex-1 rounded-lg border border-emerald-200 px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-emerald-500"
+              />
+              <Button type="submit" size="sm" disabled={testing || !testQuery.trim()}>{testing ? 'Searching...' : 'Search'}</Button>
+            </div>
+            {testResult && (
+              <div className="grid grid-cols-2 gap-4 text-sm">
+                <ResultList
+                  title="Hybrid (findRelevantChunks)"
+                  error={testResult.vectorError}
+                  results={testResult.vector}
+                  onSelect={selectChunk}
+                  scoreOf={(hit) => `rrf ${hit.score.toFixed(4)} · cos ${hit.similarity?.toFixed(3) ?? '-'} · bm25 ${hit.bm25Score?.toFixed(2) ?? '-'}`}
+                />
+                <ResultList
+                  title="Keyword (keywordSearch)"
+                  results={testResult.keyword}
+                  onSelect={selectChunk}
+                  scoreOf={(hit) => `bm25 ${hit.score.toFixed(2)} · ${hit.matches.join(', ')}`}
+                />
+              </div>
+            )}
+          </form>
+
+          {detail && draft ? (
+            <div className="bg-white rounded-2xl shadow-sm p-4 space-y-4">
+              <div className="flex items-start justify-between gap-4">
+                <div>
+                  <div className="flex items-center gap-2 font-semibold text-emerald-900">
+                    <FileText className="h-4 w-4" />
+                    {detail.chunk.id}
+                  </div>
+                  <div className="text-xs text-gray-500 mt-1">
+                    source {detail.chunk.metadata?.source || 'unknown'}
+                    {detail.override && ` · override saved ${new Date(detail.override.updated_at).toLocaleString()}`}
+                  </div>
+                </div>
+                <div className="flex gap-2">
+                  {detail.override && (
+                    <Button variant="outline" size="sm" disabled={saving} onClick={resetOverride}>
+                      <RotateCcw className="h-4 w-4 mr-1" /> Reset
+                    </Button>
+                  )}
+                  {detail.override?.disabled ? (
+                    <Button variant="outline" size="sm" disabled={saving} onClick={() => saveOverride(false)}>
+                      <Eye className="h-4 w-4 mr-1" /> Enable
+                    </Button>
+                  ) : (
+                    <Button variant="destructive" size="sm" disabled={saving} onClick={() => saveOverride(true)}>
+                      <EyeOff className="h-4 w-4 mr-1" /> Disable
+                    </Button>
+                  )}
+                  <Button size="sm" disabled={saving} onClick={() => saveOverride(Boolean(detail.override?.disabled))}>
+                    <Save className="h-4 w-4 mr-1" /> Save
+                  </Button>
+                </div>
+              </div>
+
+              {detail.stale && (
+                <Alert variant="warning">
+                  <AlertTriangle className="h-4 w-4" />
+                  <AlertDescription>
+                    The generated chunk changed since this override was saved. Check the edit against the new text below.
+                  </AlertDescription>
+                </Alert>
+              )}
+
+              <label className="block text-sm">
+                <span className="text-gray-600">Title</span>
+                <input
+                  value={draft.title}
+                  onChange={(e) => setDraft({ ...draft, title: e.target.value })}
+                  className="mt-1 w-full rounded-lg border border-emerald-200 px-3 py-2 focus:outline-none focus:ring-2 focus:ring-emerald-500"
+                />
+              </label>
+              <label className="block text-sm">
+                <span className="text-gray-600">Category</span>
+                <input
+                  value={draft.category}
+                  onChange={(e) => setDraft({ ...draft, category: e.target.value })}
+                  className="mt-1 w-full rounded-lg border border-emerald-200 px-3 py-2 focus:outline-none focus:ring-2 focus:ring-emerald-500"
+                />
+              </label>
+              <label className="block text-sm">
+                <span className="text-gray-600">Content</span>
+                <textarea
+                  value={draft.content}
+                  onChange={(e) => setDraft({ ...draft, content: e.target.value })}
+                  rows={10}
+                  className="mt-1 w-full rounded-lg border border-emerald-200 px-3 py-2 font-mono text-xs focus:outline-none focus:ring-2 focus:ring-emerald-500"
+                />
+              </label>
+              <label className="block text-sm">
+                <span className="text-gray-600">Note (why this chunk was changed)</span>
+                <input
+                  value={draft.note}
+                  onChange={(e) => setDraft({ ...draft, note: e.target.value })}
+                  className="mt-1 w-full rounded-lg border border-emerald-200 px-3 py-2 focus:outline-none focus:ring-2 focus:ring-emerald-500"
+                />
+              </label>
+
+              <details className="text-sm">
+                <summary className="cursor-pointer text-gray-600">Generated chunk and metadata</summary>
+                <pre className="mt-2 p-3 rounded-lg bg-gray-50 text-xs overflow-x-auto whitespace-pre-wrap">
+                  {JSON.stringify(detail.chunk, null, 2)}
+                </pre>
+              </details>
+            </div>
+          ) : (
+            <div className="text-sm text-gray-500">Select a chunk to see its metadata, disable or edit it.</div>
+          )}
+        </main>
+      </div>
+    </div>
+  );
+}
+
+// one ranking of the retrieval test
+function ResultList({ title, error, results, onSelect, scoreOf }) {
+  return (
+    <div>
+      <div className="font-medium text-emerald-900 mb-2">{title}</div>
+      {error && <div className="text-red-600 text-xs mb-2">{error}</div>}
+      {results.length === 0 && !error && <div className="text-gray-500 text-xs">No results</div>}
+      <ol className="space-y-2">
+        {results.map((hit, index) => (
+          <li key={`${hit.id}-${index}`}>
+            <button onClick={() => onSelect(hit.id)} type="button" className="w-full text-left rounded-lg border border-gray-100 p-2 hover:bg-emerald-50">
+              <div className="font-medium truncate">{index + 1}. {hit.title}</div>
+              <div className="text-xs text-gray-500">{hit.id}{hit.overridden && ' · edited'}{hit.expired && ` · expired ${hit.validUntil}`}</div>
+              <div className="text-xs text-gray-600">{scoreOf(hit)}</div>
+            </button>
+          </li>
+        ))}
+      </ol>
+    </div>
+  );
+}
@@ -0,0 +1,26 @@
+import crypto from "crypto";
+
+/* admin routes (knowledge base uploads) - a shared token from ADMIN_API_TOKEN, sent as
+     Authorization: Bearer <token>
+   without ADMIN_API_TOKEN the admin routes are turned off */
+
+function sameToken(a, b) {
+  const bufferA = Buffer.from(a);
+  const bufferB = Buffer.from(b);
+  return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+}
+
+/* null when the request may use admin routes, { status, error } otherwise */
+export function checkAdminAuth(req) {
+  const expected = process.env.ADMIN_API_TOKEN;
+  if (!expected) {
+    return { status: 503, error: 'Admin routes are disabled, set ADMIN_API_TOKEN to enable them' };
+  }
+
+  const header = req.headers.get('authorization') || '';
+  const token = header.match(/^Bearer\s+(.+)$/i)?.[1]?.trim();
+  if (!token || !sameToken(token, expected)) {
+    return { status: 401, error: 'Missing or invalid admin token' };
+  }
+  return null;
+}
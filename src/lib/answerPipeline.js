@@ -0,0 +1,740 @@
+import { getInternalContext } from "./documentProcessor.js";
+import { getLLMProvider } from "./providers/index.js";
+import { answerCourseQuery } from "./courseQuery.js";
+import { buildSchedules, formatSchedulePlan, parseScheduleRequest } from "./courseSchedule.js";
+import { findLocations, formatDiningStatus, getDiningStatus, isOpenStatusQuestion } from "./diningHours.js";
+import { CAMPUS_TIME_ZONE, campusMoment } from "./campusClock.js";
+import { formatValidDate, isExpired } from "./chunkValidity.js";
+
+/* unified answer pipeline - used by both /api/chat and /api/chat-rag
+
+   stages run in order until one of them answers:
+     schedule  - do these courses clash, conflict-free section combinations (computed from meeting times)
+     courses   - exact answers for course filter questions (days, times, seats ...) from the banner data
+     dining    - what is open now, computed from the dining hours instead of left to the model
+     retrieve  - find chunks in the unified knowledge base and raw documents (never answers itself)
+     kb        - answer only from the retrieved chunks
+     general   - answer from the models built in knowledge
+     web       - answer with web search grounding
+
+   every answering stage reports why it could not answer (no chunks, insufficient signal, error ...)
+   order and enabled stages are set per deployment with ANSWER_PIPELINE_STAGES, e.g. "retrieve,kb,web" */
+
+export const DEFAULT_STAGES = ['schedule', 'courses', 'dining', 'retrieve', 'kb', 'general', 'web'];
+
+const KB_INSUFFICIENT_SIGNAL = "KB_INSUFFICIENT";
+const GENERAL_INSUFFICIENT_SIGNAL = "GENERAL_INSUFFICIENT";
+
+// bigger course results are returned as a table, models tend to drop rows from long lists
+const COURSE_TABLE_MODEL_LIMIT = 40;
+
+const GENERATION_OPTIONS = {
+  temperature: 0.7,
+  topK: 40,
+  topP: 0.95,
+  maxOutputTokens: 2048,
+};
+
+// ********** prompts **********
+
+const KB_PROMPT = `You are an intelligent assistant for Binghamton University with access to an accurate knowledge base.
+
+KNOWLEDGE BASE INFORMATION:
+{context}
+
+CONVERSATION HISTORY:
+{history}{timeContext}
+
+CRITICAL INSTRUCTIONS:
+1. **USE THE KNOWLEDGE BASE FIRST**: The information above from the knowledge base is ACCURATE and COMPLETE. Use it to answer questions about:
+   - Course schedules, instructors, locations, times, and CRNs
+   - Dining hall hours and locations
+   - Campus information
+
+2. **For course queries** (like "Who teaches CS 559?" or "CS 559 location"):
+   - Look in the knowledge base context above for the exact course number
+   - Extract ALL details: instructor name, schedule (days/times), location (building & room), CRN
+   - Provide complete information including: instructor, schedule, location
+   - Example: "CS 559 - Science of Cyber Security is taught by Yan Guanhua. It meets on Monday and Wednesday from 9:45 AM to 11:15 AM in room S2 258."
+
+3. **Check conversation history** for context:
+   - If user says "that course", "it", "the professor", look at previous messages to understand what they mean
+   - For questions about "all 3" or multiple items, refer to earlier conversation
+
+4. **For dining queries with current time**:
+   - Use the current day and time provided to determine what's open NOW
+   - Compare current time against the hours listed
+   - Only mention locations that are currently open
+
+5. **If the information is NOT in the knowledge base**:
+   - Respond EXACTLY with: "${KB_INSUFFICIENT_SIGNAL}"
+   - Do NOT make up information
+
+6. **Response format**:
+   - Be direct and complete
+   - Include ALL relevant details (instructor, time, location for courses)
+   - Don't mention "knowledge base" or "sources" in your answer
+   - Answer naturally as if you know the information
+
+7. **Out of date entries**: an entry starting with [OUT OF DATE ...] was only valid until the date shown
+   - Prefer current entries when they answer the question
+   - If you use an out of date entry, don't present it as current (a note about this is added to your answer)
+
+USER QUESTION: {question}
+
+Provide a complete, accurate answer using the knowledge base information above:`;
+
+const COURSE_PROMPT = `You are an intelligent assistant for Binghamton University.
+
+The table below is the EXACT and COMPLETE result of a course search for the user's question. It was computed from the official course schedule.
+
+SEARCH: {description}
+RESULT: {summary}
+
+{table}
+
+REGISTRATION NOTES (linked sections and cross-listed seats):
+{notes}
+
+CONVERSATION HISTORY:
+{history}
+
+INSTRUCTIONS:
+1. Answer using ONLY the table above. Every row is a matching section, there are no others
+2. If you list sections, list EVERY row - do not skip, merge or add any
+3. Keep the course code, CRN, days, time, location, instructor and seats exactly as shown
+4. For counts, use the numbers in RESULT
+5. If a note says a section needs a linked lab, discussion, activity or lecture, tell the user (e.g. "you must also register for one of these labs") and list them. For cross-listed sections give the combined seats from the notes
+6. Don't mention "table" or "search" in your answer
+
+USER QUESTION: {question}`;
+
+const SCHEDULE_PROMPT = `You are an intelligent assistant for Binghamton University.
+
+The schedule check below was COMPUTED from the meeting times in the official course schedule. It is correct - do not recompute it or guess other times.
+
+{plan}
+
+CONVERSATION HISTORY:
+{history}
+
+INSTRUCTIONS:
+1. Answer the question using ONLY the schedule check above
+2. Say clearly whether the courses can be taken together, and name every time conflict listed with its days and times
+3. When you suggest sections, keep the course codes, CRNs, days and times exactly as shown, and keep linked lectures and activities/labs together
+4. Don't mention "computed" or "schedule check" in your answer
+
+USER QUESTION: {question}`;
+
+const DINING_PROMPT = `You are an intelligent assistant for Binghamton University.
+
+The dining status below was COMPUTED from the official dining hours for the current campus time. It is correct - do not recompute it.
+
+{status}
+
+CONVERSATION HISTORY:
+{history}
+
+INSTRUCTIONS:
+1. Answer using ONLY the status above
+2. Say which places are open and until when, and when closed places open next if that helps
+3. Keep names and times exactly as shown
+4. If there is a note about the published week, mention that hours may differ
+
+USER QUESTION: {question}`;
+
+const GENERAL_PROMPT = `You are a helpful AI assistant for Binghamton University.
+
+CONVERSATION HISTORY:
+{history}
+
+IMPORTANT INSTRUCTIONS:
+1. Answer using your general knowledge and training data
+2. If you have confident knowledge about this topic, provide a complete answer
+3. If this requires current/real-time information (events, news, schedules), respond EXACTLY with: "${GENERAL_INSUFFICIENT_SIGNAL}"
+4. If you're uncertain or don't know, respond EXACTLY with: "${GENERAL_INSUFFICIENT_SIGNAL}"
+5. Be concise and helpful
+
+User question: {question}`;
+
+const WEB_PROMPT = `You are a helpful assistant for Binghamton University with access to real-time web search.
+
+CONVERSATION HISTORY:
+{history}
+
+The user asked: "{question}"
+
+IMPORTANT INSTRUCTIONS:
+1. If the question references something from the conversation (like "that subject", "the TA", "it", "that"), use the conversation history above to understand what they're referring to
+2. If it's a general question (like math, facts, etc.), answer it directly
+3. If it's about Binghamton University, search for current, accurate information and focus on official Binghamton University sources
+4. Cite your sources clearly
+5. Be thorough and helpful`;
+
+function fillPrompt(template, values) {
+  return Object.entries(values).reduce(
+    (prompt, [key, value]) => prompt.split(`{${key}}`).join(value),
+    template
+  );
+}
+
+// ********** shared helpers **********
+
+/* format the last few messages for a prompt */
+export function formatHistory(conversationHistory = [], limit = 6) {
+  const formatted = conversationHistory
+    .slice(-limit)
+    .map(msg => `${msg.type === 'user' || msg.role === 'user' ? 'User' : 'Assistant'}: ${msg.content}`)
+    .join('\n');
+  return formatted || 'No previous conversation';
+}
+
+/* add current campus day and time for dining questions */
+export function buildTimeContext(message, now = new Date()) {
+  const diningKeywords = ['dining', 'eat', 'food', 'restaurant', 'cafe', 'cafeteria', 'meal', 'lunch', 'dinner', 'breakfast', 'open', 'hours', 'starbucks', 'tully', 'hinman', 'sushi', 'mart'];
+  const isDiningQuery = diningKeywords.some(keyword =>
+    message.toLowerCase().includes(keyword)
+  );
+  if (!isDiningQuery) return '';
+
+  // campus time, the server may run in utc
+  const dayName = now.toLocaleDateString('en-US', { timeZone: CAMPUS_TIME_ZONE, weekday: 'long' });
+  const timeString = now.toLocaleTimeString('en-US', {
+    timeZone: CAMPUS_TIME_ZONE,
+    hour: '2-digit',
+    minute: '2-digit',
+    hour12: true
+  });
+  const dateString = now.toLocaleDateString('en-US', {
+    timeZone: CAMPUS_TIME_ZONE,
+    month: 'numeric',
+    day: 'numeric',
+    year: 'numeric'
+  });
+
+  const timeContext = `\n\nCURRENT DATE & TIME:\nDate: ${dateString}\nDay: ${dayName}\nTime: ${timeString}`;
+  console.log('Dining query detectd, adding time context:', timeContext);
+  return timeContext;
+}
+
+/* expand the search query with course numbers from the conversation ("that course", "all of them") */
+export function expandQuery(message, conversationHistory = []) {
+  // alwyas extract course numbers from curent msg
+  const currentCourses = message.match(/CS\s*(\d{3}[A-Z]?)/gi) || [];
+
+  // chek what type of refference this is
+  const words = message.toLowerCase().split(/\s+/);
+  const isSingular = ['that', 'it', 'this'].some(word => words.includes(word)); // refers to ONE thing
+  const isPlural = ['all', 'others', 'them', 'these', 'those'].some(word => words.includes(word)); // refers to MULTIPLE things
+
+  if ((isSingular || isPlural) && conversationHistory.length > 0) {
+    // extact course nubers from recent converstion, singular: last 2, plural: last 4
+    const recentMessages = conversationHistory.slice(isSingular ? -2 : -4);
+    const courseNumbers = [...currentCourses];
+
+    recentMessages.forEach(msg => {
+      const matches = msg.content.match(/CS\s*(\d{3}[A-Z]?)/gi);
+      if (matches) courseNumbers.push(...matches);
+    });
+
+    if (courseNumbers.length > 0) {
+      const uniqueCourses = [...new Set(courseNumbers)];
+
+      // for singular refs only use LAST course mentioned
+      const coursesToUse = isSingular ? [uniqueCourses[uniqueCourses.length - 1]] : uniqueCourses;
+
+      const searchQuery = `${coursesToUse.join(' ')} ${message}`;
+      console.log(`Expanded query with ${isSingular ? 'singular' : 'plural'} context: "${searchQuery}"`);
+      return searchQuery;
+    }
+  }
+
+  return message;
+}
+
+/* kb context for the prompt, entries past their validity window are marked (no source labels) */
+function formatKnowledgeContext(chunks, asOf) {
+  return chunks
+    .map(chunk => isExpired(chunk, asOf)
+      ? `[OUT OF DATE - only valid until ${formatValidDate(chunk.metadata.validUntil)}]\n${chunk.content}`
+      : chunk.content)
+    .join('\n\n---\n\n');
+}
+
+/* note for answers built on old data - expired chunks are down-ranked, so an expired best match
+   means nothing current was found. null when the best match is current or undated */
+function outOfDateNote(chunks, asOf) {
+  const best = chunks?.[0];
+  if (!best || !isExpired(best, asOf)) return null;
+  return `Note: this is based on information that was only valid until ${formatValidDate(best.metadata.validUntil)}, it may be out of date.`;
+}
+
+// retry logic with exponential backof
+async function retryWithBackoff(fn, maxRetries = 3) {
+  for (let i = 0; i < maxRetries; i++) {
+    try {
+      return await fn();
+    } catch (error) {
+      const isLastRetry = i === maxRetries - 1;
+      const isRetryable = error.message?.includes('503') ||
+                         error.message?.includes('overloaded') ||
+                         error.message?.includes('429');
+
+      if (isLastRetry || !isRetryable) {
+        throw error;
+      }
+
+      // exponential backof: 1s 2s 4s etc
+      const delay = Math.pow(2, i) * 1000;
+      console.log(`Retry ${i + 1}/${maxRetries} after ${delay}ms...`);
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+}
+
+// holds back streamed tokens while the answer could still be an insufficient signal
+// stages answer with the bare signal when they cant help, so it must never reach the client
+function createSignalGate(signal, onToken) {
+  let buffered = '';
+  let released = false;
+
+  return {
+    push(piece) {
+      if (released) {
+        onToken(piece);
+        return;
+      }
+      buffered += piece;
+      if (!signal.startsWith(buffered.trim())) {
+        released = true;
+        onToken(buffered);
+      }
+    },
+    // true if the whole answer was just the signal
+    isSignal(text) {
+      if (text.trim() === signal) return true;
+      if (!released && buffered) onToken(buffered);
+      return false;
+    }
+  };
+}
+
+/* stream a provider call with retries, a retried atempt first resets what the failed one sent
+   an error that is left after the retries is marked llmFailure (the model, not a stage, failed) */
+async function streamWithRetry(call, emit) {
+  let emitted = false;
+  try {
+    return await retryWithBackoff(() => {
+      if (emitted) emit.reset();
+      emitted = false;
+      return call(piece => {
+        emitted = true;
+        emit(piece);
+      });
+    });
+  } catch (error) {
+    error.llmFailure = true;
+    throw error;
+  }
+}
+
+/* answer from precomputed facts - the model phrases them, the facts are returned as is when it fails
+   returns { text, mode: 'model' | 'direct' } */
+async function answerFromFacts(ctx, emit, prompt, direct) {
+  if (prompt) {
+    try {
+      const { text } = await streamWithRetry(piece => ctx.llm.streamText(prompt, GENERATION_OPTIONS, piece), emit);
+      if (text.trim()) return { text, mode: 'model' };
+    } catch (error) {
+      console.error('   Answer generation failed, returning the computed result:', error.message);
+    }
+    emit.reset();
+  }
+
+  emit(direct);
+  return { text: direct, mode: 'direct' };
+}
+
+/* stream a completion that may be just the insufficient signal */
+async function streamGated(ctx, prompt, signal, emit) {
+  let gate;
+  const { text } = await streamWithRetry(onPiece => {
+    gate = createSignalGate(signal, onPiece);
+    return ctx.llm.streamText(prompt, GENERATION_OPTIONS, piece => gate.push(piece));
+  }, emit);
+
+  return { text, insufficient: gate.isSignal(text) };
+}
+
+// ********** stages **********
+
+const STAGES = {
+  schedule: {
+    tier: 1,
+    tierName: 'Schedule Builder',
+    async run(ctx, emit) {
+      const request = parseScheduleRequest(ctx.message);
+      if (!request) return { success: false, reason: 'not_a_schedule_question' };
+
+      const plan = buildSchedules(request.items, { openOnly: request.openOnly, limit: 3 });
+      if (plan.requests.length === 0) return { success: false, reason: 'no_known_courses' };
+      console.log(`   Schedule: ${request.items.join(', ')} -> ${plan.conflictFree}/${plan.combinations} conflict-free, ${plan.conflicts.length} conflicts`);
+
+      const planText = formatSchedulePlan(plan);
+      const prompt = fillPrompt(SCHEDULE_PROMPT, {
+        plan: planText,
+        history: formatHistory(ctx.conversationHistory),
+        question: ctx.message
+      });
+      const { text, mode } = await answerFromFacts(ctx, emit, prompt, planText);
+
+      return {
+        success: true,
+        response: text,
+        metadata: {
+          internalDocsUsed: true,
+          schedule: {
+            items: request.items,
+            combinations: plan.combinations,
+            conflictFree: plan.conflictFree,
+            conflicts: plan.conflicts.length,
+            mode
+          },
+          sources: [...new Set([
+            ...plan.schedules.flatMap(schedule => schedule.sections),
+            ...plan.conflicts.flatMap(conflict => [conflict.a, conflict.b])
+          ].map(section => section.source))]
+        }
+      };
+    }
+  },
+
+  courses: {
+    tier: 1,
+    tierName: 'Course Query Engine',
+    async run(ctx, emit) {
+      const result = answerCourseQuery(ctx.message);
+      if (!result) return { success: false, reason: 'not_a_course_query' };
+
+      console.log(`   Course query: ${result.description} -> ${result.sections.length} sections`);
+
+      // COURSE_QUERY_MODE=direct always returns the table, empty and long results never go to the model
+      const useModel = process.env.COURSE_QUERY_MODE !== 'direct' &&
+        result.sections.length > 0 &&
+        result.sections.length <= COURSE_TABLE_MODEL_LIMIT;
+
+      const prompt = useModel && fillPrompt(COURSE_PROMPT, {
+        description: result.description,
+        summary: result.summary,
+        table: result.table,
+        notes: result.notes || 'None',
+        history: formatHistory(ctx.conversationHistory),
+        question: ctx.message
+      });
+      const direct = `${result.summary}${result.table ? `\n\n${result.table}` : ''}${result.notes ? `\n\n${result.notes}` : ''}`;
+      const { text, mode } = await answerFromFacts(ctx, emit, prompt, direct);
+
+      return {
+        success: true,
+        response: text,
+        metadata: {
+          internalDocsUsed: true,
+          courseQuery: {
+            description: result.description,
+            sections: result.sections.length,
+            courses: result.courseCount,
+            mode
+          },
+          sources: [...new Set(result.sections.map(section => section.source))]
+        }
+      };
+    }
+  },
+
+  dining: {
+    tier: 1,
+    tierName: 'Dining Hours',
+    async run(ctx, emit) {
+      if (!isOpenStatusQuestion(ctx.message)) return { success: false, reason: 'not_an_open_now_question' };
+
+      // "is hinman open on saturday" is about another time, the knowledge base answers those
+      if (/\b(monday|tuesday|wednesday|thursday|friday|saturday|sunday|tomorrow|weekend|\d{1,2}(:\d{2})?\s*(am|pm))\b/i.test(ctx.message)) {
+        return { success: false, reason: 'not_about_now' };
+      }
+
+      // only the places named in the question, all of them otherwise
+      const named = findLocations(ctx.message).length > 0;
+      const status = getDiningStatus(campusMoment(ctx.now), { name: named ? ctx.message : null });
+      const statusText = formatDiningStatus(status);
+      console.log(`   Dining status: ${status.open.length} open, ${status.closed.length} closed`);
+
+      const prompt = fillPrompt(DINING_PROMPT, {
+        status: statusText,
+        history: formatHistory(ctx.conversationHistory),
+        question: ctx.message
+      });
+      const { text, mode } = await answerFromFacts(ctx, emit, prompt, statusText);
+
+      return {
+        success: true,
+        response: text,
+        metadata: {
+          internalDocsUsed: true,
+          timeSensitive: true,
+          dining: { at: status.moment, open: status.open.length, closed: status.closed.length, mode },
+          sources: status.sources
+        }
+      };
+    }
+  },
+
+  retrieve: {
+    async run(ctx) {
+      ctx.searchQuery = expandQuery(ctx.message, ctx.conversationHistory);
+
+      // vector search with keyword fallback over kb chunks and document chunks
+      const internal = await getInternalContext(ctx.searchQuery, {
+        topK: 10, // incresed to get more results for multi item queries
+        minScore: 0.25, // slighlty lower threshold for beter recall
+        asOf: ctx.asOf // expired dining weeks / terms go to the back
+      });
+      ctx.chunks = internal?.chunks || [];
+      ctx.searchMethod = internal?.searchMethod || null;
+
+      console.log(`   Found ${ctx.chunks.length} relevant chunks via ${ctx.searchMethod} search`);
+      ctx.chunks.slice(0, 3).forEach((chunk, i) => {
+        const score = chunk.similarity ?? chunk.matchScore ?? 0;
+        console.log(`     ${i + 1}. ${chunk.title} (score: ${score.toFixed(3)})`);
+      });
+
+      // retrieval only feeds the later stages
+      return { success: false, reason: ctx.chunks.length > 0 ? 'retrieved' : 'no_chunks' };
+    }
+  },
+
+  kb: {
+    tier: 1,
+    tierName: 'Knowledge Base',
+    async run(ctx, emit) {
+      if (!ctx.chunks) return { success: false, reason: 'retrieve_stage_disabled' };
+      if (ctx.chunks.length === 0) return { success: false, reason: 'no_chunks' };
+
+      const context = formatKnowledgeContext(ctx.chunks, ctx.asOf);
+      const timeContext = buildTimeContext(ctx.message, ctx.now);
+      const prompt = fillPrompt(KB_PROMPT, {
+        context,
+        history: formatHistory(ctx.conversationHistory),
+        timeContext,
+        question: ctx.message
+      });
+
+      const { text, insufficient } = await streamGated(ctx, prompt, KB_INSUFFICIENT_SIGNAL, emit);
+      if (insufficient) return { success: false, reason: 'insufficient_context' };
+
+      const note = outOfDateNote(ctx.chunks, ctx.asOf);
+      if (note) emit(`\n\n${note}`);
+
+      return {
+        success: true,
+        response: note ? `${text}\n\n${note}` : text,
+        metadata: {
+          internalDocsUsed: true,
+          timeSensitive: Boolean(timeContext),
+          outOfDate: note ? { validUntil: ctx.chunks[0].metadata.validUntil } : null,
+          sources: ctx.chunks.map(chunk => ({
+            title: chunk.title,
+            category: chunk.category,
+            // documents can be cited by page (or spreadsheet row) and section, web pages by url
+            ...(chunk.metadata?.page ? { page: chunk.metadata.page } : {}),
+            ...(chunk.metadata?.section ? { section: chunk.metadata.section } : {}),
+            ...(chunk.metadata?.row ? { row: chunk.metadata.row } : {}),
+            ...(chunk.metadata?.url ? { url: chunk.metadata.url } : {}),
+            similarity: chunk.similarity?.toFixed(3) || chunk.matchScore?.toFixed(3) || 'N/A'
+          }))
+        }
+      };
+    }
+  },
+
+  general: {
+    tier: 2,
+    tierName: 'AI Built-in Knowledge',
+    async run(ctx, emit) {
+      const prompt = fillPrompt(GENERAL_PROMPT, {
+        history: formatHistory(ctx.conversationHistory),
+        question: ctx.message
+      });
+
+      const { text, insufficient } = await streamGated(ctx, prompt, GENERAL_INSUFFICIENT_SIGNAL, emit);
+      if (insufficient) return { success: false, reason: 'needs_current_info' };
+
+      return {
+        success: true,
+        response: text,
+        metadata: { internalDocsUsed: false }
+      };
+    }
+  },
+
+  web: {
+    tier: 3,
+    tierName: 'Google Search Grounding',
+    async run(ctx, emit) {
+      if (!ctx.llm.supportsGroundedSearch) return { success: false, reason: 'unsupported_by_provider' };
+
+      const prompt = fillPrompt(WEB_PROMPT, {
+        history: formatHistory(ctx.conversationHistory, 4),
+        question: ctx.message
+      });
+
+      const { text, sources } = await streamWithRetry(
+        piece => ctx.llm.groundedSearch(prompt, { ...GENERATION_OPTIONS, temperature: 0.8 }, piece),
+        emit
+      );
+
+      if (!text.trim()) return { success: false, reason: 'empty_response' };
+      if (sources.length > 0) console.log(`   Sources: ${sources.join(', ')}`);
+
+      return {
+        success: true,
+        response: text,
+        metadata: {
+          internalDocsUsed: false,
+          googleSearchUsed: true,
+          sources
+        }
+      };
+    }
+  }
+};
+
+/* stage names for this deployment */
+export function getPipelineStages() {
+  const configured = process.env.ANSWER_PIPELINE_STAGES;
+  if (!configured) return DEFAULT_STAGES;
+
+  const stages = configured.split(',').map(name => name.trim()).filter(Boolean);
+  const unknown = stages.filter(name => !STAGES[name]);
+  if (unknown.length > 0) {
+    throw new Error(`Unknown answer pipeline stage(s): ${unknown.join(', ')} (expected: ${Object.keys(STAGES).join(', ')})`);
+  }
+  return stages;
+}
+
+/* run the pipeline for one question
+   onToken gets answer text as it streams, onReset is called when a stage failed after streaming part of an answer
+   now is the instant time aware stages answer for (resolveNow in campusClock.js)
+   returns { message, metadata } */
+export async function runAnswerPipeline({
+  message,
+  conversationHistory = [],
+  now = new Date(),
+  onToken = () => {},
+  onReset = () => {},
+  stages = getPipelineStages()
+}) {
+  const startTime = Date.now();
+  const ctx = {
+    message,
+    conversationHistory,
+    now,
+    // campus date chunk validity is checked against
+    asOf: campusMoment(now).date,
+    llm: getLLMProvider(),
+    searchQuery: message,
+    chunks: null,
+    searchMethod: null
+  };
+  const stageReasons = {};
+  let llmFailed = false;
+
+  let streamed = false;
+  const emit = (text) => {
+    streamed = true;
+    onToken(text);
+  };
+  emit.reset = () => {
+    if (!streamed) return;
+    streamed = false;
+    onReset();
+  };
+
+  const baseMetadata = () => ({
+    stages,
+    stageReasons,
+    chunksFound: ctx.chunks?.length || 0,
+    searchMethod: ctx.searchMethod,
+    provider: ctx.llm.name,
+    processingTime: Date.now() - startTime
+  });
+
+  for (const name of stages) {
+    const stage = STAGES[name];
+    console.log(`\nSTAGE ${name}${stage.tier ? ` (tier ${stage.tier})` : ''}...`);
+
+    let result;
+    try {
+      result = await stage.run(ctx, emit);
+    } catch (error) {
+      console.error(`   ❌ STAGE ${name} ERROR:`, error.message);
+      // only provider errors get the "ai service overloaded" answer, a bug in a stage is a miss
+      if (error.llmFailure) llmFailed = true;
+      result = { success: false, reason: 'error', error: error.message };
+    }
+
+    if (result.success) {
+      console.log(`   ✅ Answered by ${name} stage`);
+      return {
+        message: result.response,
+        metadata: {
+          tier: stage.tier,
+          tierName: stage.tierName,
+          stage: name,
+          googleSearchUsed: false,
+          usedFallback: false,
+          ...baseMetadata(),
+          ...result.metadata
+        }
+      };
+    }
+
+    console.log(`   ⏭️  ${name}: ${result.reason}`);
+    stageReasons[name] = result.reason;
+    emit.reset();
+  }
+
+  // nothing answered - show the best raw chunk if the llm was the problem
+  if (llmFailed && ctx.chunks?.length > 0) {
+    console.log('Using direct context fallbak');
+    const note = outOfDateNote(ctx.chunks, ctx.asOf);
+    const response = `Based on our knowledge base:\n\n${ctx.chunks[0].content}\n\n${note ? `${note}\n` : ''}(Note: AI processing temporarily unavailable, showing raw information)`;
+    emit(response);
+    return {
+      message: response,
+      metadata: {
+        tier: 1,
+        tierName: 'Knowledge Base (raw)',
+        stage: 'fallback',
+        usedFallback: true,
+        ...baseMetadata()
+      }
+    };
+  }
+
+  const response = llmFailed
+    ? "I'm having trouble processing your request right now. The AI service is temporarily overloaded. Please try again in a moment."
+    : "I apologize, but I'm having trouble finding an answer to your question. Please try rephrasing or contact support.";
+  emit(response);
+
+  return {
+    message: response,
+    metadata: {
+      tier: 0,
+      tierName: 'Failed',
+      stage: null,
+      error: llmFailed ? 'LLM unavailable' : 'All stages failed',
+      usedFallback: true,
+      ...baseMetadata()
+    }
+  };
+}
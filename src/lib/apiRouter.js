@@ -1,5 +1,7 @@
 /* smart API router - chooses best API based on contxt */
 
+import { readSSEStream } from '@/lib/sse';
+
 const RAG_API = '/api/chat-rag';
 const FALLBACK_API = '/api/chat';
 
@@ -9,8 +11,9 @@ let lastRagFailure = null;
 const MAX_FAILURES = 3;
 const COOLDOWN_PERIOD = 60000; // 1 minut
 
-/* call api with automatic fallbak */
-export async function callChatAPI(message, conversationHistory = [], signal = null) {
+/* call api with automatic fallbak
+   onUpdate(text) gets the answer so far while it streams in */
+export async function callChatAPI(message, conversationHistory = [], signal = null, onUpdate = () => {}) {
   const startTime = Date.now();
   
   // chek if rag is in cooldown due to repeated failres
@@ -21,13 +24,13 @@ export async function callChatAPI(message, conversationHistory = [], signal = nu
   
   if (inCooldown) {
     console.log('RAG in cooldown using fallback API');
-    return await fetchAPI(FALLBACK_API, message, conversationHistory, signal);
+    return await fetchAPI(FALLBACK_API, message, conversationHistory, signal, onUpdate);
   }
   
   // try rag first
   try {
     console.log('Using RAG API...');
-    const response = await fetchAPI(RAG_API, message, conversationHistory, signal);
+    const response = await fetchAPI(RAG_API, message, conversationHistory, signal, onUpdate);
     
     // sucess! reset failure counter
     ragFailures = 0;
@@ -40,6 +43,9 @@ export async function callChatAPI(message, conversationHistory = [], signal = nu
     };
     
   } catch (ragError) {
+    // dont fall back if the user cancelled
+    if (ragError.name === 'AbortError') throw ragError;
+
     console.warn('RAG API faild:', ragError.message);
     
     // trak failure
@@ -49,7 +55,8 @@ export async function callChatAPI(message, conversationHistory = [], signal = nu
     // try fallbak
     try {
       console.log('Falling back to standard API...');
-      const response = await fetchAPI(FALLBACK_API, message, conversationHistory, signal);
+      onUpdate(''); // clear anything the rag stream showed before failing
+      const response = await fetchAPI(FALLBACK_API, message, conversationHistory, signal, onUpdate);
       
       return {
         ...response,
@@ -66,10 +73,13 @@ export async function callChatAPI(message, conversationHistory = [], signal = nu
 }
 
 /* fetch from specfic api */
-async function fetchAPI(endpoint, message, conversationHistory, signal) {
+async function fetchAPI(endpoint, message, conversationHistory, signal, onUpdate) {
   const response = await fetch(endpoint, {
     method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
+    headers: {
+      'Content-Type': 'application/json',
+      'Accept': 'text/event-stream, application/json'
+    },
     body: JSON.stringify({ 
       message, 
       conversationHistory 
@@ -82,7 +92,47 @@ async function fetchAPI(endpoint, message, conversationHistory, signal) {
     throw new Error(error.message || error.error || `API returned ${response.status}`);
   }
   
-  return await response.json();
+  if (!response.headers.get('content-type')?.includes('text/event-stream')) {
+    const data = await response.json();
+    onUpdate(data.message || '');
+    return data;
+  }
+
+  return await readAnswerStream(response, onUpdate);
+}
+
+/* read token events until the done event with the metadata */
+async function readAnswerStream(response, onUpdate) {
+  let text = '';
+  let result = null;
+  let streamError = null;
+
+  await readSSEStream(response, (event, data) => {
+    switch (event) {
+      case 'token':
+        text += data.text;
+        onUpdate(text);
+        break;
+      case 'reset':
+        text = '';
+        onUpdate(text);
+        break;
+      case 'done':
+        result = data;
+        break;
+      case 'error':
+        streamError = new Error(data.error || data.message || 'Stream error');
+        break;
+    }
+  });
+
+  if (streamError) throw streamError;
+  if (!result) throw new Error('Stream ended before the answer was complete');
+
+  return {
+    ...result,
+    message: result.message ?? text
+  };
 }
 
 /* reset failre tracking (useful for manual retry) */
@@ -0,0 +1,134 @@
+/* helpers for banner "searchResults" exports (the course JSON files in knowledge-base/)
+   everything is read from the section fields, never from file names, so any subject or
+   term export can be dropped in */
+
+/* true for { data: [{ courseReferenceNumber, ... }] } */
+export function isBannerExport(data) {
+  return Array.isArray(data?.data) && data.data.some(section => section?.courseReferenceNumber);
+}
+
+/* 500 and up are graduate courses at binghamton, below is undergraduate */
+export function courseLevel(courseNumber) {
+  const number = parseInt(courseNumber, 10);
+  if (isNaN(number)) return null;
+  return number >= 500 ? 'Graduate' : 'Undergraduate';
+}
+
+/* "MUSP - Music Performance" -> "Music Performance" */
+export function subjectName(section) {
+  const description = section.subjectDescription || section.subject || '';
+  return description.replace(/^[A-Z0-9]+\s*-\s*/, '').trim() || section.subject;
+}
+
+/* banner puts credits in different fields per export (creditHourLow 0 with creditHours 4 ...) */
+export function sectionCredits(section) {
+  return section.creditHourLow || section.creditHours || section.creditHourHigh || 0;
+}
+
+/* "CS 559" */
+export function courseCode(section) {
+  return `${section.subject} ${section.courseNumber}`;
+}
+
+/* stable id for a course in a term, e.g. "course-202590-cs-559" */
+export function courseId(section) {
+  return `course-${section.term}-${section.subject}-${section.courseNumber}`.toLowerCase();
+}
+
+/* kb category for a course, e.g. "fall 2025 graduate cs courses" */
+export function courseCategory(section) {
+  const level = courseLevel(section.courseNumber);
+  return [section.termDesc, level, section.subject, 'courses'].filter(Boolean).join(' ').toLowerCase();
+}
+
+/* stable id for a section, e.g. "section-202590-32526" */
+export function sectionId(section) {
+  return `section-${section.term}-${section.courseReferenceNumber}`;
+}
+
+/* "0945" -> "9:45 AM" */
+export function formatBannerTime(value) {
+  if (!value || !/^\d{4}$/.test(value)) return '';
+  const hours = Number(value.slice(0, 2));
+  return `${hours % 12 || 12}:${value.slice(2)} ${hours < 12 ? 'AM' : 'PM'}`;
+}
+
+const DAY_LETTERS = [
+  ['monday', 'M'], ['tuesday', 'T'], ['wednesday', 'W'], ['thursday', 'R'],
+  ['friday', 'F'], ['saturday', 'S'], ['sunday', 'U']
+];
+
+/* one meeting -> "TR 9:45 AM - 11:15 AM, Library North (LN) 2409", null for TBA meetings */
+export function formatMeeting(meeting) {
+  const days = DAY_LETTERS.filter(([day]) => meeting?.[day]).map(([, letter]) => letter).join('');
+  if (!days) return null;
+
+  const time = meeting.beginTime ? `${formatBannerTime(meeting.beginTime)} - ${formatBannerTime(meeting.endTime)}` : 'time TBA';
+  const building = meeting.buildingDescription && meeting.building
+    ? `${meeting.buildingDescription} (${meeting.building})`
+    : meeting.building || meeting.buildingDescription;
+  const place = [building, meeting.room].filter(Boolean).join(' ');
+  return `${days} ${time}${place ? `, ${place}` : ''}`;
+}
+
+/* instructor display names without banners trailing comma */
+export function sectionInstructors(section) {
+  return (section.faculty || [])
+    .map(faculty => (faculty.displayName || '').replace(/,\s*$/, '').trim())
+    .filter(Boolean);
+}
+
+const ENTITIES = { '&amp;': '&', '&lt;': '<', '&gt;': '>', '&quot;': '"', '&#39;': "'", '&#039;': "'" };
+
+/* course title with banners html entities decoded ("Concepts&amp;Applic" -> "Concepts&Applic") */
+export function courseTitle(section) {
+  return (section.courseTitle || '').replace(/&(amp|lt|gt|quot|#0?39);/g, entity => ENTITIES[entity]);
+}
+
+// ********** linked and cross-listed sections **********
+
+/* sections that are taken together (a lecture and its activities) share a course, a term and
+   the letter their section number starts with - "A 0" goes with "A51" and "A52", "B 1" with "B51".
+   banner's linkIdentifier can't be used for this, the exports reuse identifiers between pairs
+   (CS 210 lecture "C 2" is L1, the activities of lecture "A 0" are L1 too). null when not linked */
+export function linkGroupKey(section) {
+  if (!section.isSectionLinked) return null;
+  const letters = String(section.sequenceNumber || '').trim().match(/^[A-Z]+/i)?.[0] || '';
+  return `${section.term}-${section.subject}-${section.courseNumber}-${letters}`.toLowerCase();
+}
+
+/* cross-listed sections (CS 415 and CS 515 taught as one class) share a term and a crossList
+   code, and one pool of seats. null when not cross-listed */
+export function crossListKey(section) {
+  return section.crossList ? `${section.term}-${section.crossList}` : null;
+}
+
+/* members of one link group -> Map(member -> [{ type, sections }]), a member needs one section of
+   every other schedule type in its group. typeOf reads the schedule type of a member */
+export function linkRequirements(members, typeOf) {
+  const byType = new Map();
+  members.forEach(member => {
+    if (!byType.has(typeOf(member))) byType.set(typeOf(member), []);
+    byType.get(typeOf(member)).push(member);
+  });
+  return new Map(members.map(member => [
+    member,
+    [...byType].filter(([type]) => type !== typeOf(member)).map(([type, sections]) => ({ type, sections }))
+  ]));
+}
+
+const SCHEDULE_TYPE_NOUNS = {
+  Laboratory: ['lab', 'labs'],
+  Activity: ['activity', 'activities'],
+  Discussion: ['discussion', 'discussions'],
+  Lecture: ['lecture', 'lectures'],
+  Recitation: ['recitation', 'recitations']
+};
+
+/* "you must also register for one of these labs: ..." / "... for the lecture CS 105-A 0 (CRN 1)" */
+export function describeLinkRequirement(type, labels) {
+  const [one, many] = SCHEDULE_TYPE_NOUNS[type] || [String(type).toLowerCase(), `${String(type).toLowerCase()} sections`];
+  return labels.length === 1
+    ? `you must also register for the ${one} ${labels[0]}`
+    : `you must also register for one of these ${many}: ${labels.join(', ')}`;
+}
@@ -0,0 +1,93 @@
+/* bm25 inverted index over kb chunks
+   exact tokens like crns ("32526"), course numbers ("CS 559") and rooms ("LH 001")
+   rank well here even when they dont in embedding space */
+
+const STOP_WORDS = new Set(['the', 'a', 'an', 'and', 'or', 'but', 'in', 'on', 'at', 'to', 'for', 'of', 'with', 'by', 'is', 'are', 'was', 'were', 'be', 'been', 'being', 'what', 'which', 'who', 'when', 'where', 'how', 'does', 'do', 'it', 'this', 'that']);
+
+// how much a term in each field counts (same weights keywordSearch used)
+const DEFAULT_FIELDS = { content: 1, title: 2, keywords: 1.5 };
+
+/* split text into search tokens
+   "CS 559" also gives "cs559" so course codes and room codes match as one token */
+export function tokenize(text) {
+  const raw = (text || '').toLowerCase().match(/[a-z0-9]+/g) || [];
+  const tokens = [];
+
+  raw.forEach((token, i) => {
+    if (!STOP_WORDS.has(token) && (token.length > 1 || /\d/.test(token))) {
+      tokens.push(token);
+    }
+    const next = raw[i + 1];
+    if (/^[a-z]{1,4}$/.test(token) && next && /^\d{3}[a-z]?$/.test(next)) {
+      tokens.push(token + next);
+    }
+  });
+
+  return tokens;
+}
+
+function fieldText(chunk, field) {
+  const value = chunk[field];
+  return Array.isArray(value) ? value.join(' ') : value;
+}
+
+/* build an index over chunks, search(query) returns [{ chunk, score, matches }] best first */
+export function createBM25Index(chunks, options = {}) {
+  const { fields = DEFAULT_FIELDS, k1 = 1.2, b = 0.75 } = options;
+
+  const postings = new Map(); // term -> [{ doc, tf }]
+  const lengths = [];
+
+  chunks.forEach((chunk, doc) => {
+    const termFrequencies = new Map();
+    let length = 0;
+
+    Object.entries(fields).forEach(([field, weight]) => {
+      tokenize(fieldText(chunk, field)).forEach(term => {
+        termFrequencies.set(term, (termFrequencies.get(term) || 0) + weight);
+        length += weight;
+      });
+    });
+
+    lengths.push(length);
+    termFrequencies.forEach((tf, term) => {
+      if (!postings.has(term)) postings.set(term, []);
+      postings.get(term).push({ doc, tf });
+    });
+  });
+
+  const docCount = chunks.length;
+  const avgLength = lengths.reduce((sum, length) => sum + length, 0) / (docCount || 1);
+
+  // bm25 idf, never negative
+  const idf = (term) => {
+    const df = postings.get(term)?.length || 0;
+    return Math.log(1 + (docCount - df + 0.5) / (df + 0.5));
+  };
+
+  return {
+    size: docCount,
+
+    search(query, searchOptions = {}) {
+      const { filter = null } = searchOptions;
+      const terms = [...new Set(tokenize(query))];
+      const scores = new Map();
+      const matches = new Map();
+
+      terms.forEach(term => {
+        const termIdf = idf(term);
+        (postings.get(term) || []).forEach(({ doc, tf }) => {
+          const norm = tf + k1 * (1 - b + b * (lengths[doc] / avgLength));
+          scores.set(doc, (scores.get(doc) || 0) + termIdf * (tf * (k1 + 1)) / norm);
+          if (!matches.has(doc)) matches.set(doc, []);
+          matches.get(doc).push(term);
+        });
+      });
+
+      return [...scores.entries()]
+        .filter(([doc]) => !filter || filter(chunks[doc]))
+        .map(([doc, score]) => ({ chunk: chunks[doc], score, matches: matches.get(doc) }))
+        .sort((a, b) => b.score - a.score);
+    }
+  };
+}
@@ -0,0 +1,113 @@
+/* campus clock - every time aware feature (dining status, time context, schedules) asks this
+   module for "now" so it is America/New_York time even on servers running in UTC
+
+   outside production a request can pin "now" for testing:
+     header  x-campus-now: 2025-10-08T18:30            (campus wall clock)
+     body    { "now": "2025-10-08T22:30:00Z" }          (any instant with an offset)
+   set ALLOW_CLOCK_OVERRIDE=true to allow it in production too */
+
+export const CAMPUS_TIME_ZONE = 'America/New_York';
+export const CLOCK_OVERRIDE_HEADER = 'x-campus-now';
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+const partsFormatter = new Intl.DateTimeFormat('en-US', {
+  timeZone: CAMPUS_TIME_ZONE,
+  year: 'numeric',
+  month: '2-digit',
+  day: '2-digit',
+  hour: '2-digit',
+  minute: '2-digit',
+  second: '2-digit',
+  weekday: 'long',
+  hourCycle: 'h23'
+});
+
+function campusParts(date) {
+  const parts = Object.fromEntries(partsFormatter.formatToParts(date).map(part => [part.type, part.value]));
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    hour: Number(parts.hour),
+    minute: Number(parts.minute),
+    second: Number(parts.second),
+    weekday: WEEKDAYS.indexOf(parts.weekday.toLowerCase())
+  };
+}
+
+/* Date -> campus wall clock { date: 'YYYY-MM-DD', weekday: 0-6, minutes, time: 'HH:mm' } */
+export function campusMoment(date = new Date()) {
+  const parts = campusParts(date);
+  const pad = (value) => String(value).padStart(2, '0');
+  return {
+    date: `${parts.year}-${pad(parts.month)}-${pad(parts.day)}`,
+    weekday: parts.weekday,
+    minutes: parts.hour * 60 + parts.minute,
+    time: `${pad(parts.hour)}:${pad(parts.minute)}`
+  };
+}
+
+/* minutes campus time is ahead of utc at an instant (-240 in summer, -300 in winter) */
+function campusOffset(date) {
+  const parts = campusParts(date);
+  const asUTC = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return Math.round((asUTC - Math.floor(date.getTime() / 1000) * 1000) / 60000);
+}
+
+/* campus wall clock ("2025-10-08T18:30") -> Date */
+export function fromCampusTime(year, month, day, hour = 0, minute = 0) {
+  const guess = Date.UTC(year, month - 1, day, hour, minute);
+  // two passes so the offset is right on either side of a dst change
+  let result = new Date(guess - campusOffset(new Date(guess)) * 60000);
+  result = new Date(guess - campusOffset(result) * 60000);
+  return result;
+}
+
+/* "2025-10-08T18:30" is campus wall clock, anything with Z or an offset is an exact instant
+   returns a Date or null */
+export function parseCampusTime(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const text = String(value).trim();
+
+  const wallClock = text.match(/^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{1,2}):(\d{2})(?::\d{2})?)?$/);
+  if (wallClock) {
+    // a plain date is midnight, the defaults go in before Number() turns the missing groups into NaN
+    const [year, month, day, hour, minute] = wallClock.slice(1).map(part => Number(part ?? 0));
+    if (month < 1 || month > 12 || day < 1 || day > 31 || hour > 23 || minute > 59) return null;
+    return fromCampusTime(year, month, day, hour, minute);
+  }
+
+  const instant = new Date(text);
+  return isNaN(instant.getTime()) ? null : instant;
+}
+
+export function isClockOverrideAllowed() {
+  return process.env.NODE_ENV !== 'production' || process.env.ALLOW_CLOCK_OVERRIDE === 'true';
+}
+
+/* "now" for a request - the dev override (header or body.now) when allowed, the real clock otherwise
+   throws on an override that cant be parsed so tests dont silently run at the wrong time */
+export function resolveNow(req = null, body = null) {
+  const override = req?.headers?.get?.(CLOCK_OVERRIDE_HEADER) || body?.now || null;
+  if (!override || !isClockOverrideAllowed()) return new Date();
+
+  const date = parseCampusTime(override);
+  if (!date) throw new Error(`Invalid clock override "${override}", expected an ISO date time`);
+  console.log(`Clock override: ${date.toISOString()} (${formatCampusDateTime(date)})`);
+  return date;
+}
+
+/* "Wednesday, 10/8/2025, 6:30 PM" style pieces in campus time for prompts */
+export function formatCampusDateTime(date = new Date()) {
+  return date.toLocaleString('en-US', {
+    timeZone: CAMPUS_TIME_ZONE,
+    weekday: 'long',
+    month: 'numeric',
+    day: 'numeric',
+    year: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+    hour12: true
+  });
+}
@@ -0,0 +1,273 @@
+import crypto from 'crypto';
+import { mergeValidity } from './chunkValidity.js';
+
+/* duplicate chunks, merged at consolidation so copies dont fill findRelevantChunks' topK
+   - exact: same normalized content and chunk type
+   - near: word 3-shingle jaccard >= threshold, dates ignored (minhash + lsh to find
+     candidates, checked exactly) and the same name once numbers are dropped from the title.
+     dining locations share whole weeks of hours, so similar text alone is not the same thing
+   - key: same metadata.duplicate_key (cross-listed sections, set by consolidate-knowledge.js)
+
+   the first chunk of a group is kept. it gets metadata.sources / merged_ids (provenance),
+   the widest validity window, every category and keyword, and the lines only the copies had
+   ("Also listed as <title> (<source>):"). parent_id / section_ids pointing at a merged chunk
+   are moved to the kept one */
+
+export const DEFAULT_DEDUP_THRESHOLD = Number(process.env.KB_DEDUP_THRESHOLD) || 0.9;
+
+const NUM_HASHES = 64;
+const BAND_ROWS = 4; // 16 bands of 4, pairs from about 0.5 jaccard become candidates
+
+// ********** shingles and minhash **********
+
+function words(text) {
+  return String(text || '').toLowerCase().match(/[a-z0-9]+/g) || [];
+}
+
+function normalizedContent(chunk) {
+  return words(chunk.content).join(' ');
+}
+
+// dates as one token, the same hours published for two weeks differ only in them
+// (the dates are not lost, lines only a copy has are added to the kept chunk)
+const DATES = /\b\d{4}-\d{2}-\d{2}\b|\b\d{1,2}\/\d{1,2}(?:\/\d{2,4})?\b/g;
+
+/* word 3-shingles, short texts are one shingle */
+function shingles(text) {
+  const tokens = words(String(text || '').replace(DATES, ' date '));
+  if (tokens.length < 3) return new Set([tokens.join(' ')]);
+  const set = new Set();
+  for (let i = 0; i + 3 <= tokens.length; i++) set.add(`${tokens[i]} ${tokens[i + 1]} ${tokens[i + 2]}`);
+  return set;
+}
+
+function jaccard(a, b) {
+  let shared = 0;
+  a.forEach(shingle => { if (b.has(shingle)) shared++; });
+  const union = a.size + b.size - shared;
+  return union === 0 ? 1 : shared / union;
+}
+
+// 32 bit fnv-1a
+function hashString(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+// murmur3 finalizer, one seed per minhash function
+function mix(value, seed) {
+  let hash = (value ^ seed) >>> 0;
+  hash = Math.imul(hash ^ (hash >>> 16), 0x85ebca6b);
+  hash = Math.imul(hash ^ (hash >>> 13), 0xc2b2ae35);
+  return (hash ^ (hash >>> 16)) >>> 0;
+}
+
+const SEEDS = Array.from({ length: NUM_HASHES }, (_, i) => hashString(`minhash-${i}`));
+
+function minhash(shingleSet) {
+  const hashes = [...shingleSet].map(hashString);
+  return SEEDS.map(seed => hashes.reduce((min, hash) => Math.min(min, mix(hash, seed)), 0xffffffff));
+}
+
+/* title without numbers - "Hinman Dining Hall" stays, "CS 415 - Social Media" -> "cs social media" */
+function nameKey(chunk) {
+  return words(chunk.title).filter(word => !/\d/.test(word)).join(' ');
+}
+
+// ********** grouping **********
+
+function unionFind(size) {
+  const parent = Array.from({ length: size }, (_, i) => i);
+  const find = i => {
+    while (parent[i] !== i) i = parent[i] = parent[parent[i]];
+    return i;
+  };
+  // the lower index (first occurrence) becomes the root
+  const union = (a, b) => {
+    const [rootA, rootB] = [find(a), find(b)];
+    if (rootA !== rootB) parent[Math.max(rootA, rootB)] = Math.min(rootA, rootB);
+  };
+  return { find, union };
+}
+
+/* [i, j, reason, similarity] for every duplicate pair found */
+function duplicatePairs(chunks, threshold) {
+  const pairs = [];
+  const type = chunk => chunk.metadata?.type || 'text';
+
+  const buckets = new Map();
+  const addToBucket = (key, index) => {
+    if (!buckets.has(key)) buckets.set(key, []);
+    buckets.get(key).push(index);
+  };
+  const shingleSets = chunks.map(chunk => shingles(chunk.content));
+
+  chunks.forEach((chunk, index) => {
+    const content = normalizedContent(chunk);
+    if (!content) return;
+    addToBucket(`exact|${type(chunk)}|${crypto.createHash('sha1').update(content).digest('hex')}`, index);
+    if (chunk.metadata?.duplicate_key) addToBucket(`key|${type(chunk)}|${chunk.metadata.duplicate_key}`, index);
+
+    const signature = minhash(shingleSets[index]);
+    for (let band = 0; band < NUM_HASHES / BAND_ROWS; band++) {
+      const rows = signature.slice(band * BAND_ROWS, (band + 1) * BAND_ROWS).join(',');
+      addToBucket(`near|${type(chunk)}|${nameKey(chunk)}|${band}|${rows}`, index);
+    }
+  });
+
+  const checked = new Set();
+  buckets.forEach((members, key) => {
+    if (members.length < 2) return;
+    const reason = key.slice(0, key.indexOf('|'));
+    for (let a = 0; a < members.length; a++) {
+      for (let b = a + 1; b < members.length; b++) {
+        const [i, j] = [members[a], members[b]];
+        if (reason === 'near') {
+          if (checked.has(`${i},${j}`)) continue;
+          checked.add(`${i},${j}`);
+        }
+        const similarity = jaccard(shingleSets[i], shingleSets[j]);
+        if (reason === 'near' && similarity < threshold) continue;
+        pairs.push([i, j, reason, similarity]);
+      }
+    }
+  });
+  return pairs;
+}
+
+// ********** merging **********
+
+function unique(values) {
+  return [...new Set(values.filter(value => value !== undefined && value !== null && value !== ''))];
+}
+
+/* kept chunk with the provenance of its copies */
+function mergeGroup(kept, copies) {
+  const group = [kept, ...copies];
+  const metadata = { ...kept.metadata };
+
+  metadata.sources = unique(group.flatMap(chunk => chunk.metadata?.sources || [chunk.metadata?.source]));
+  metadata.merged_ids = unique(copies.flatMap(chunk => [chunk.id, ...(chunk.metadata?.merged_ids || [])]))
+    .filter(id => id !== kept.id);
+
+  const categories = unique(group.flatMap(chunk => chunk.metadata?.categories || [chunk.category]));
+  if (categories.length > 1) metadata.categories = categories;
+
+  const otherParents = unique(copies.flatMap(chunk => [chunk.metadata?.parent_id, ...(chunk.metadata?.merged_parent_ids || [])]))
+    .filter(id => id !== metadata.parent_id);
+  if (otherParents.length > 0) metadata.merged_parent_ids = otherParents;
+
+  // valid as long as any copy is, undated when one of them is
+  delete metadata.validFrom;
+  delete metadata.validUntil;
+  Object.assign(metadata, mergeValidity(group.map(chunk => chunk.metadata || {})));
+
+  // lines only the copies have, under the title they were listed as
+  let content = kept.content;
+  const known = new Set(content.split('\n').map(line => line.trim()));
+  copies.forEach(copy => {
+    const extra = copy.content.split('\n')
+      .map(line => line.trim())
+      .filter(line => line && !known.has(line) && !copy.title.startsWith(line));
+    extra.forEach(line => known.add(line));
+    const source = copy.metadata?.source ? ` (${copy.metadata.source})` : '';
+    if (copy.title !== kept.title) {
+      content += `\n\nAlso listed as ${copy.title}${source}${extra.length > 0 ? `:\n${extra.join('\n')}` : ''}`;
+    } else if (extra.length > 0) {
+      content += `\n\nAlso in${source || ' another source'}:\n${extra.join('\n')}`;
+    }
+  });
+
+  return {
+    ...kept,
+    content,
+    metadata,
+    keywords: unique(group.flatMap(chunk => chunk.keywords || []))
+  };
+}
+
+/* { chunks, merges } - chunks in their original order with duplicates folded into the first
+   copy, merges = [{ kept, title, merged: [{ id, title, source, reason, similarity }] }] */
+export function mergeDuplicates(chunks, options = {}) {
+  const { threshold = DEFAULT_DEDUP_THRESHOLD } = options;
+  const pairs = duplicatePairs(chunks, threshold);
+  const { find, union } = unionFind(chunks.length);
+  pairs.forEach(([i, j]) => union(i, j));
+
+  // the strongest reason each chunk joined its group for
+  const REASON_ORDER = { exact: 0, key: 1, near: 2 };
+  const joined = new Map();
+  pairs.forEach(([i, j, reason, similarity]) => {
+    const later = Math.max(i, j);
+    const previous = joined.get(later);
+    if (!previous || REASON_ORDER[reason] < REASON_ORDER[previous.reason]) joined.set(later, { reason, similarity });
+  });
+
+  const groups = new Map();
+  chunks.forEach((chunk, index) => {
+    const root = find(index);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(index);
+  });
+
+  const keptFor = new Map(); // merged id -> kept id
+  const merged = new Map(); // root index -> merged chunk
+  const merges = [];
+  groups.forEach((members, root) => {
+    if (members.length < 2) return;
+    const kept = chunks[root];
+    const copies = members.slice(1).map(index => chunks[index]);
+    copies.forEach(copy => { if (copy.id !== kept.id) keptFor.set(copy.id, kept.id); });
+    merged.set(root, mergeGroup(kept, copies));
+    merges.push({
+      kept: kept.id,
+      title: kept.title,
+      merged: members.slice(1).map(index => ({
+        id: chunks[index].id,
+        title: chunks[index].title,
+        source: chunks[index].metadata?.source || null,
+        reason: joined.get(index)?.reason || 'near',
+        similarity: Math.round((joined.get(index)?.similarity ?? 1) * 1000) / 1000
+      }))
+    });
+  });
+
+  const remap = id => keptFor.get(id) || id;
+  const result = chunks.flatMap((chunk, index) => {
+    if (find(index) !== index) return [];
+    const out = merged.get(index) || chunk;
+    const metadata = out.metadata || {};
+    if (!metadata.parent_id && !metadata.section_ids && !metadata.merged_parent_ids) return [out];
+
+    const relinked = { ...metadata };
+    if (metadata.parent_id) relinked.parent_id = remap(metadata.parent_id);
+    if (metadata.section_ids) relinked.section_ids = unique(metadata.section_ids.map(remap));
+    if (metadata.merged_parent_ids) {
+      relinked.merged_parent_ids = unique(metadata.merged_parent_ids.map(remap)).filter(id => id !== relinked.parent_id);
+      if (relinked.merged_parent_ids.length === 0) delete relinked.merged_parent_ids;
+    }
+    return [{ ...out, metadata: relinked }];
+  });
+
+  return { chunks: result, merges };
+}
+
+/* console lines for a merge report, at most limit groups listed */
+export function formatDedupReport(merges, limit = 20) {
+  const removed = merges.reduce((sum, merge) => sum + merge.merged.length, 0);
+  if (removed === 0) return ['No duplicate chunks found'];
+  const lines = [`Merged ${removed} duplicate chunks into ${merges.length}`];
+  merges.slice(0, limit).forEach(merge => {
+    lines.push(`   ${merge.kept} (${merge.title})`);
+    merge.merged.forEach(copy => {
+      const similarity = copy.reason === 'near' ? ` ${copy.similarity}` : '';
+      lines.push(`      <- ${copy.id}${copy.source ? ` from ${copy.source}` : ''} [${copy.reason}${similarity}]`);
+    });
+  });
+  if (merges.length > limit) lines.push(`   ... and ${merges.length - limit} more groups`);
+  return lines;
+}
@@ -0,0 +1,109 @@
+import fs from "fs";
+import path from "path";
+import { chunkFingerprint } from "./kbManifest.js";
+
+/* admin overrides for single kb chunks - disable a chunk or edit its title, content or category
+   kept in knowledge-base/overrides/chunk-overrides.json, apart from the generated kb files, so a
+   rebuild never loses them. vectorStore applies them when it loads a kb version
+
+   { "<chunk id>": { disabled, title, content, category, note, embedding, base_hash, updated_at } }
+   base_hash is the generated chunk when the override was saved, a different hash later means
+   the source data changed underneath the edit (shown as stale in the admin page) */
+
+export const OVERRIDES_FILE = path.join('overrides', 'chunk-overrides.json');
+
+// fields an admin can change
+export const EDITABLE_FIELDS = ['title', 'content', 'category'];
+
+export function overridesPath(knowledgeDir) {
+  return path.join(knowledgeDir, OVERRIDES_FILE);
+}
+
+export function readOverrides(knowledgeDir) {
+  const file = overridesPath(knowledgeDir);
+  if (!fs.existsSync(file)) return {};
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf-8'));
+  } catch (error) {
+    console.error(`Ignoring unreadable chunk overrides (${file}): ${error.message}`);
+    return {};
+  }
+}
+
+function writeOverrides(knowledgeDir, overrides) {
+  const file = overridesPath(knowledgeDir);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(`${file}.tmp`, JSON.stringify(overrides, null, 2));
+  fs.renameSync(`${file}.tmp`, file);
+}
+
+/* save the override for one generated chunk, patch is { disabled, title, content, category, note }
+   embedding is the vector of the edited text (null keeps the generated one) */
+export function saveOverride(knowledgeDir, chunk, patch, embedding = null) {
+  const overrides = readOverrides(knowledgeDir);
+  const override = { disabled: Boolean(patch.disabled) };
+
+  EDITABLE_FIELDS.forEach(field => {
+    if (typeof patch[field] === 'string' && patch[field] !== chunk[field]) override[field] = patch[field];
+  });
+  if (patch.note) override.note = String(patch.note);
+  if (embedding && (override.title !== undefined || override.content !== undefined)) override.embedding = embedding;
+  override.base_hash = chunkFingerprint(chunk);
+  override.updated_at = new Date().toISOString();
+
+  overrides[chunk.id] = override;
+  writeOverrides(knowledgeDir, overrides);
+  return override;
+}
+
+export function removeOverride(knowledgeDir, id) {
+  const overrides = readOverrides(knowledgeDir);
+  if (!overrides[id]) return false;
+  delete overrides[id];
+  writeOverrides(knowledgeDir, overrides);
+  return true;
+}
+
+/* true when the override changes what the chunk says (not just disables it) */
+export function isEdit(override) {
+  return Boolean(override) && EDITABLE_FIELDS.some(field => override[field] !== undefined);
+}
+
+/* chunk as the bot sees it with its override applied, null when disabled */
+export function effectiveChunk(chunk, override) {
+  if (!override) return chunk;
+  if (override.disabled) return null;
+  if (!isEdit(override)) return chunk;
+
+  const edited = { ...chunk, overridden: true };
+  EDITABLE_FIELDS.forEach(field => {
+    if (override[field] !== undefined) edited[field] = override[field];
+  });
+  // generated keywords describe the old text
+  if (override.content !== undefined) edited.keywords = [];
+  // the generated vector is for the old text, an edit brings its own (or keeps the old one)
+  if (override.embedding) {
+    edited.embedding_row = null;
+    edited.embedding = override.embedding;
+  }
+  return edited;
+}
+
+/* apply overrides to the generated chunks
+   returns { chunks (what search sees), disabled: [id], edited: [id], stale: [id] } */
+export function applyOverrides(chunks, overrides = {}) {
+  const result = { chunks: [], disabled: [], edited: [], stale: [] };
+  chunks.forEach(chunk => {
+    const override = overrides[chunk.id];
+    if (override?.base_hash && override.base_hash !== chunkFingerprint(chunk)) result.stale.push(chunk.id);
+
+    const effective = effectiveChunk(chunk, override);
+    if (!effective) {
+      result.disabled.push(chunk.id);
+      return;
+    }
+    if (effective !== chunk) result.edited.push(chunk.id);
+    result.chunks.push(effective);
+  });
+  return result;
+}
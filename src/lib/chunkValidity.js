@@ -0,0 +1,59 @@
+import { parseDateRange } from "./diningHours.js";
+
+/* validity windows for kb chunks - metadata.validFrom / metadata.validUntil, ISO campus dates
+   ("2025-10-12"), both inclusive. consolidate-knowledge.js sets them for data that is only true
+   for a while (a dining week, a term's sections), chunks without them never expire
+
+   retrieval down-ranks expired chunks (findRelevantChunks / keywordSearch with asOf) and the
+   answer says so when nothing newer was found */
+
+/* dining location chunk - the published week, stretched to the end of the latest special hours
+   range (a "closed until 10/31" notice stays true after the week ends)
+   no week, no window: undated regular hours are treated as always valid */
+export function diningValidity(week, location) {
+  const range = week ? parseDateRange(week) : null;
+  if (!range) return {};
+
+  const validUntil = Object.keys(location.special_hours || {})
+    .map(parseDateRange)
+    .filter(Boolean)
+    .reduce((latest, special) => special.to > latest ? special.to : latest, range.to);
+  return { validFrom: range.from, validUntil };
+}
+
+/* banner section - first to last meeting date ("08/19/2025" - "12/05/2025") */
+export function sectionValidity(section) {
+  const ranges = (section.meetingsFaculty || [])
+    .map(({ meetingTime }) => meetingTime?.startDate && parseDateRange(`${meetingTime.startDate} - ${meetingTime.endDate || meetingTime.startDate}`))
+    .filter(Boolean);
+  return mergeValidity(ranges.map(range => ({ validFrom: range.from, validUntil: range.to })));
+}
+
+/* earliest start and latest end of several windows (a course from its sections)
+   one undated window makes the result undated */
+export function mergeValidity(windows) {
+  if (windows.length === 0 || windows.some(window => !window.validFrom || !window.validUntil)) return {};
+  return {
+    validFrom: windows.reduce((earliest, window) => window.validFrom < earliest ? window.validFrom : earliest, windows[0].validFrom),
+    validUntil: windows.reduce((latest, window) => window.validUntil > latest ? window.validUntil : latest, windows[0].validUntil)
+  };
+}
+
+/* 'expired' | 'upcoming' | 'current' on an ISO date, null for chunks without a window */
+export function validityStatus(chunk, asOf) {
+  const { validFrom, validUntil } = chunk?.metadata || {};
+  if (!validFrom && !validUntil) return null;
+  if (validUntil && asOf > validUntil) return 'expired';
+  if (validFrom && asOf < validFrom) return 'upcoming';
+  return 'current';
+}
+
+export function isExpired(chunk, asOf) {
+  return Boolean(asOf) && validityStatus(chunk, asOf) === 'expired';
+}
+
+// "2025-10-12" -> "10/12/2025", the way the source data writes dates
+export function formatValidDate(date) {
+  const [year, month, day] = date.split('-');
+  return `${month}/${day}/${year}`;
+}
@@ -0,0 +1,496 @@
+import fs from "fs";
+import path from "path";
+import {
+  courseCode,
+  courseLevel,
+  courseTitle,
+  crossListKey,
+  describeLinkRequirement,
+  isBannerExport,
+  linkGroupKey,
+  linkRequirements,
+  sectionCredits,
+  sectionInstructors,
+  subjectName
+} from "./banner.js";
+import { sourceFilesSignature } from "./kbManifest.js";
+
+/* deterministic course queries over the raw banner searchResults files in knowledge-base/
+   "which CS courses meet tuesday after 5pm with open seats" is answered by filtering every
+   section, not by hoping the right 10 chunks come back from retrieval */
+
+const KNOWLEDGE_DIR = path.join(process.cwd(), "knowledge-base");
+
+const DAYS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+const DAY_LETTERS = { monday: 'M', tuesday: 'T', wednesday: 'W', thursday: 'R', friday: 'F', saturday: 'S', sunday: 'U' };
+
+// words that name a day, longest first so "tues" wins over "tue"
+const DAY_WORDS = [
+  ['monday', 'monday'], ['mon', 'monday'],
+  ['tuesday', 'tuesday'], ['tues', 'tuesday'], ['tue', 'tuesday'],
+  ['wednesday', 'wednesday'], ['wed', 'wednesday'],
+  ['thursday', 'thursday'], ['thurs', 'thursday'], ['thu', 'thursday'],
+  ['friday', 'friday'], ['fri', 'friday'],
+  ['saturday', 'saturday'],
+  ['sunday', 'sunday']
+];
+
+const SCHEDULE_TYPES = [
+  [/\blectures?\b/, 'Lecture'],
+  [/\blabs?\b|\blaboratory\b/, 'Laboratory'],
+  [/\bdiscussions?\b/, 'Discussion'],
+  [/\bseminars?\b/, 'Seminar'],
+  [/\bactivit(?:y|ies)\b/, 'Activity'],
+  [/\bindependent study\b/, 'Independent Study']
+];
+
+const COURSE_WORDS = /\b(courses?|class(?:es)?|sections?|crns?|seats?|enroll|register|offered|taught|teach(?:es|ing)?)\b/;
+
+// ********** loading **********
+
+let sectionsCache = null;
+let sectionsSignature = null;
+
+// "0945" -> 585 minutes after midnight
+function parseBannerTime(value) {
+  if (!value || !/^\d{4}$/.test(value)) return null;
+  return Number(value.slice(0, 2)) * 60 + Number(value.slice(2));
+}
+
+/* 585 -> "9:45 AM" */
+export function formatMinutes(minutes) {
+  if (minutes === null || minutes === undefined) return '';
+  const hours = Math.floor(minutes / 60);
+  const mins = String(minutes % 60).padStart(2, '0');
+  return `${hours % 12 || 12}:${mins} ${hours < 12 ? 'AM' : 'PM'}`;
+}
+
+/* flatten one banner section into what queries need */
+export function normalizeSection(section, source) {
+  const meetings = (section.meetingsFaculty || [])
+    .map(({ meetingTime: meeting }) => meeting)
+    .filter(Boolean)
+    .map(meeting => ({
+      days: DAYS.filter(day => meeting[day]),
+      begin: parseBannerTime(meeting.beginTime),
+      end: parseBannerTime(meeting.endTime),
+      building: meeting.building || null,
+      buildingDescription: meeting.buildingDescription || null,
+      room: meeting.room || null,
+      startDate: meeting.startDate || null,
+      endDate: meeting.endDate || null
+    }));
+
+  return {
+    crn: section.courseReferenceNumber,
+    subject: section.subject,
+    subjectName: subjectName(section),
+    courseNumber: section.courseNumber,
+    code: courseCode(section),
+    title: courseTitle(section),
+    sequence: section.sequenceNumber,
+    scheduleType: section.scheduleTypeDescription,
+    credits: sectionCredits(section),
+    term: section.term,
+    termDesc: section.termDesc,
+    level: courseLevel(section.courseNumber),
+    instructors: sectionInstructors(section),
+    method: section.instructionalMethod,
+    methodDescription: section.instructionalMethodDescription || section.instructionalMethod,
+    maximumEnrollment: section.maximumEnrollment,
+    enrollment: section.enrollment,
+    seatsAvailable: section.seatsAvailable,
+    waitCapacity: section.waitCapacity,
+    waitAvailable: section.waitAvailable,
+    // lecture / lab / discussion links, filled in by linkSections
+    linkIdentifier: section.isSectionLinked ? section.linkIdentifier : null,
+    linkGroup: linkGroupKey(section),
+    requires: [],
+    // cross-listed sections share one pool of seats
+    crossList: section.crossList || null,
+    crossListGroup: crossListKey(section),
+    crossListCapacity: section.crossListCapacity ?? null,
+    crossListAvailable: section.crossListAvailable ?? null,
+    crossListedWith: [],
+    meetings,
+    source
+  };
+}
+
+function groupBy(sections, key) {
+  const groups = new Map();
+  sections.forEach(section => {
+    if (!section[key]) return;
+    if (!groups.has(section[key])) groups.set(section[key], []);
+    groups.get(section[key]).push(section);
+  });
+  return groups;
+}
+
+/* fill in requires ([{ type, crns }], one section of each type has to be taken too) and
+   crossListedWith (crns) on normalized sections, across every file */
+export function linkSections(sections) {
+  groupBy(sections, 'linkGroup').forEach(members => {
+    linkRequirements(members, section => section.scheduleType).forEach((required, section) => {
+      section.requires = required.map(({ type, sections: linked }) => ({ type, crns: linked.map(other => other.crn) }));
+    });
+  });
+  groupBy(sections, 'crossListGroup').forEach(members => {
+    members.forEach(section => {
+      section.crossListedWith = members.filter(other => other !== section).map(other => other.crn);
+    });
+  });
+  return sections;
+}
+
+/* seats a student can actually get - a cross-listed section is capped by the shared pool too */
+export function openSeats(section) {
+  const own = Math.max(section.seatsAvailable || 0, 0);
+  return section.crossList && section.crossListAvailable !== null ? Math.min(own, Math.max(section.crossListAvailable, 0)) : own;
+}
+
+/* every section from every banner file, loaded again when a source file changes (admin upload) */
+export function loadSections() {
+  const signature = sourceFilesSignature(KNOWLEDGE_DIR);
+  if (sectionsCache && signature === sectionsSignature) return sectionsCache;
+  sectionsSignature = signature;
+
+  const files = fs.readdirSync(KNOWLEDGE_DIR)
+    .filter(file => file.endsWith('.json') && !file.startsWith('unified-knowledge'));
+
+  const seen = new Set();
+  sectionsCache = [];
+  files.forEach(file => {
+    try {
+      const data = JSON.parse(fs.readFileSync(path.join(KNOWLEDGE_DIR, file), 'utf-8'));
+      if (!isBannerExport(data)) return;
+      data.data.forEach(section => {
+        const key = `${section.term}-${section.courseReferenceNumber}`;
+        if (seen.has(key)) return; // same section exported twice
+        seen.add(key);
+        sectionsCache.push(normalizeSection(section, file));
+      });
+    } catch (error) {
+      console.error(`Error loading course file ${file}:`, error.message);
+    }
+  });
+
+  linkSections(sectionsCache);
+  console.log(`Loaded ${sectionsCache.length} course sections from banner files`);
+  return sectionsCache;
+}
+
+// ********** query parsing **********
+
+// "5pm", "5:30 pm", "17:00", "5" (1-7 without am/pm means afternoon) -> minutes
+function parseClockTime(text) {
+  const match = text.match(/^(\d{1,2})(?::(\d{2}))?\s*(am|pm|a\.m\.|p\.m\.)?$/);
+  if (!match) return null;
+  let hours = Number(match[1]);
+  const minutes = Number(match[2] || 0);
+  const meridiem = match[3]?.[0];
+  if (hours > 23 || minutes > 59) return null;
+
+  if (meridiem === 'p' && hours < 12) hours += 12;
+  else if (meridiem === 'a' && hours === 12) hours = 0;
+  else if (!meridiem && hours >= 1 && hours <= 7) hours += 12;
+  return hours * 60 + minutes;
+}
+
+// subject code -> lowercase name, e.g. CS -> "computer science"
+function getSubjects(sections) {
+  const subjects = new Map();
+  sections.forEach(section => {
+    subjects.set(section.subject, section.subjectName.toLowerCase());
+  });
+  return subjects;
+}
+
+// "music" also picks up "music performance" (MUSP)
+function findSubjects(message, subjects) {
+  const text = message.toLowerCase();
+  const names = [...subjects.values()].filter(name => text.includes(name));
+  return [...subjects.entries()]
+    .filter(([code, name]) => new RegExp(`\\b${code}\\b`, 'i').test(message) || names.some(found => name.startsWith(found)))
+    .map(([code]) => code);
+}
+
+/* turn a question into a structured course query, null when it isnt a course filter question
+   only questions with at least one real constraint (day, time, seats, ...) or a count qualify,
+   "who teaches CS 559" stays with normal retrieval */
+export function parseCourseQuery(message) {
+  if (!message || typeof message !== 'string') return null;
+  const text = message.toLowerCase();
+  const sections = loadSections();
+  if (sections.length === 0) return null;
+
+  const subjects = getSubjects(sections);
+  const codePattern = new RegExp(`\\b(?:${[...subjects.keys()].join('|')})\\s*(\\d{3}[A-Z]?)\\b`, 'gi');
+
+  const query = {
+    subjects: findSubjects(message, subjects),
+    courseNumbers: [...message.matchAll(codePattern)].map(match => match[1].toUpperCase()),
+    level: null,
+    days: [],
+    startAfter: null,
+    startBefore: null,
+    endBefore: null,
+    openSeats: false,
+    waitlistOpen: false,
+    method: null,
+    scheduleType: null,
+    credits: null,
+    instructor: null,
+    aggregate: null
+  };
+
+  const mentionsCourses = COURSE_WORDS.test(text) || query.subjects.length > 0 || query.courseNumbers.length > 0;
+  if (!mentionsCourses) return null;
+
+  // level
+  if (/\bundergrad(uate)?\b/.test(text)) query.level = 'Undergraduate';
+  else if (/\bgrad(uate)?\b/.test(text)) query.level = 'Graduate';
+
+  // days
+  DAY_WORDS.forEach(([word, day]) => {
+    if (new RegExp(`\\b${word}s?\\b`).test(text) && !query.days.includes(day)) query.days.push(day);
+  });
+  if (/\bweekends?\b/.test(text)) query.days.push('saturday', 'sunday');
+
+  // times
+  const timePattern = '(\\d{1,2}(?::\\d{2})?\\s*(?:am|pm|a\\.m\\.|p\\.m\\.)?)(?![\\d:])';
+  const after = text.match(new RegExp(`\\b(?:after|starting after|later than|from)\\s+${timePattern}`));
+  const before = text.match(new RegExp(`\\b(?:before|earlier than)\\s+${timePattern}`));
+  const endsBy = text.match(new RegExp(`\\b(?:end(?:s|ing)?|done|finish(?:es|ed)?|out)\\s+(?:by|before)\\s+${timePattern}`));
+  if (after) query.startAfter = parseClockTime(after[1].trim());
+  if (endsBy) query.endBefore = parseClockTime(endsBy[1].trim());
+  else if (before) query.startBefore = parseClockTime(before[1].trim());
+  if (/\bmornings?\b/.test(text)) query.startBefore = 12 * 60;
+  if (/\bafternoons?\b/.test(text)) { query.startAfter = 12 * 60; query.startBefore = 17 * 60; }
+  if (/\b(evenings?|nights?)\b/.test(text)) query.startAfter = 17 * 60;
+
+  // seats and waitlist
+  if (/\b(open|available|free|remaining)\s+(seats?|spots?|sections?)\b|\bseats?\s+(available|left|open)\b|\bnot full\b|\bhas room\b/.test(text)) {
+    query.openSeats = true;
+  }
+  if (/\bwait\s*list\b.*\b(open|available|space|room)\b|\b(open|available)\s+wait\s*list/.test(text)) {
+    query.waitlistOpen = true;
+  }
+
+  // instructional method and schedule type
+  if (/\bonline\b|\bremote\b/.test(text)) query.method = 'online';
+  else if (/\bin[- ]person\b|\btraditional\b/.test(text)) query.method = 'TR';
+  SCHEDULE_TYPES.forEach(([pattern, type]) => {
+    if (!query.scheduleType && pattern.test(text)) query.scheduleType = type;
+  });
+
+  // credits
+  const credits = text.match(/\b(\d)[- ]credits?\b|\b(\d)\s+credit hours?\b/);
+  if (credits) query.credits = Number(credits[1] || credits[2]);
+
+  // instructor
+  // capitalized names can be two words ("Kenneth Chiu"), lowercase only the one word after "by"
+  const instructor = message.match(/\b(?:taught by|with (?:professor|prof\.?|dr\.?)|by (?:professor|prof\.?|dr\.?)|professor|prof\.?)\s+([A-Z][A-Za-z'-]+(?:\s+[A-Z][A-Za-z'-]+)?)/) ||
+    text.match(/\b(?:taught by|professor|prof\.?)\s+([a-z'-]{3,})/);
+  if (instructor) query.instructor = instructor[1];
+
+  // aggregations - only counts of sections, courses or seats ("how many credits is CS 559" is retrieval)
+  if (/\b(?:how many|number of|count(?: of)?)\s+(?:[a-z0-9-]+\s+){0,3}?(?:sections?|courses?|class(?:es)?|seats?|crns?)\b/.test(text)) {
+    query.aggregate = 'count';
+  }
+
+  const hasConstraint = query.days.length > 0 || query.startAfter !== null || query.startBefore !== null ||
+    query.endBefore !== null || query.openSeats || query.waitlistOpen || query.method || query.scheduleType ||
+    query.credits !== null || query.instructor || query.aggregate || (query.level && query.subjects.length > 0);
+
+  return hasConstraint ? query : null;
+}
+
+// ********** execution **********
+
+function matchesMethod(section, method) {
+  if (method === 'online') return /online|remote|distance/i.test(section.methodDescription) || /^(OL|ON|ONL|OA|DL)$/.test(section.method);
+  return section.method === method;
+}
+
+// does at least one meeting satisfy every day and time constraint
+function matchesSchedule(section, query) {
+  const needsMeeting = query.days.length > 0 || query.startAfter !== null || query.startBefore !== null || query.endBefore !== null;
+  if (!needsMeeting) return true;
+
+  return section.meetings.some(meeting => {
+    if (query.days.length > 0 && !query.days.some(day => meeting.days.includes(day))) return false;
+    if (query.startAfter !== null && (meeting.begin === null || meeting.begin < query.startAfter)) return false;
+    if (query.startBefore !== null && (meeting.begin === null || meeting.begin >= query.startBefore)) return false;
+    if (query.endBefore !== null && (meeting.end === null || meeting.end > query.endBefore)) return false;
+    return true;
+  });
+}
+
+/* run a parsed query, returns { sections, courseCount, seatsAvailable } with sections sorted by course */
+export function runCourseQuery(query, sections = loadSections()) {
+  const instructorWords = query.instructor?.toLowerCase().split(/\s+/) || [];
+
+  const matched = sections.filter(section => {
+    if (query.subjects?.length > 0 && !query.subjects.includes(section.subject)) return false;
+    if (query.courseNumbers?.length > 0 && !query.courseNumbers.includes(section.courseNumber.toUpperCase())) return false;
+    if (query.level && section.level !== query.level) return false;
+    if (query.openSeats && !(openSeats(section) > 0)) return false;
+    if (query.waitlistOpen && !(section.waitAvailable > 0)) return false;
+    if (query.method && !matchesMethod(section, query.method)) return false;
+    if (query.scheduleType && section.scheduleType !== query.scheduleType) return false;
+    if (query.credits !== null && query.credits !== undefined && section.credits !== query.credits) return false;
+    if (instructorWords.length > 0) {
+      const names = section.instructors.join(' ').toLowerCase();
+      if (!instructorWords.every(word => names.includes(word))) return false;
+    }
+    return matchesSchedule(section, query);
+  });
+
+  matched.sort((a, b) =>
+    a.subject.localeCompare(b.subject) ||
+    a.courseNumber.localeCompare(b.courseNumber, undefined, { numeric: true }) ||
+    a.sequence.localeCompare(b.sequence, undefined, { numeric: true })
+  );
+
+  return {
+    sections: matched,
+    courseCount: new Set(matched.map(section => section.code)).size,
+    seatsAvailable: totalOpenSeats(matched)
+  };
+}
+
+/* open seats of several sections, a cross-list pool is counted once */
+function totalOpenSeats(sections) {
+  const pools = groupBy(sections, 'crossListGroup');
+  const pooled = [...pools.values()].reduce((sum, members) => {
+    const pool = members[0].crossListAvailable;
+    const own = members.reduce((total, section) => total + openSeats(section), 0);
+    return sum + (pool === null ? own : Math.min(own, Math.max(pool, 0)));
+  }, 0);
+  return pooled + sections.filter(section => !section.crossListGroup).reduce((sum, section) => sum + openSeats(section), 0);
+}
+
+// ********** formatting **********
+
+/* human readable summary of the filters, e.g. "CS, meets Tuesday, starts after 5:00 PM, open seats" */
+export function describeCourseQuery(query) {
+  const parts = [];
+  if (query.subjects?.length) parts.push(query.subjects.join('/'));
+  if (query.courseNumbers?.length) parts.push(`course ${query.courseNumbers.join(', ')}`);
+  if (query.level) parts.push(query.level.toLowerCase());
+  if (query.days?.length) parts.push(`meets ${query.days.map(day => day[0].toUpperCase() + day.slice(1)).join(' or ')}`);
+  if (query.startAfter !== null && query.startAfter !== undefined) parts.push(`starts at or after ${formatMinutes(query.startAfter)}`);
+  if (query.startBefore !== null && query.startBefore !== undefined) parts.push(`starts before ${formatMinutes(query.startBefore)}`);
+  if (query.endBefore !== null && query.endBefore !== undefined) parts.push(`ends by ${formatMinutes(query.endBefore)}`);
+  if (query.openSeats) parts.push('open seats');
+  if (query.waitlistOpen) parts.push('wait list open');
+  if (query.method) parts.push(query.method === 'online' ? 'online' : 'in person');
+  if (query.scheduleType) parts.push(query.scheduleType.toLowerCase());
+  if (query.credits !== null && query.credits !== undefined) parts.push(`${query.credits} credits`);
+  if (query.instructor) parts.push(`taught by ${query.instructor}`);
+  return parts.join(', ') || 'all sections';
+}
+
+/* one normalized meeting -> "TR 9:45 AM-11:15 AM", "TBA" without days */
+export function formatMeetingTime(meeting) {
+  if (meeting.days.length === 0) return 'TBA';
+  const days = meeting.days.map(day => DAY_LETTERS[day]).join('');
+  return meeting.begin === null ? `${days} time TBA` : `${days} ${formatMinutes(meeting.begin)}-${formatMinutes(meeting.end)}`;
+}
+
+function formatMeetings(section) {
+  const scheduled = section.meetings.filter(meeting => meeting.days.length > 0);
+  if (scheduled.length === 0) return { days: 'TBA', time: 'TBA', location: 'TBA' };
+  return {
+    days: scheduled.map(meeting => meeting.days.map(day => DAY_LETTERS[day]).join('')).join(' / '),
+    time: scheduled.map(meeting => `${formatMinutes(meeting.begin)}-${formatMinutes(meeting.end)}`).join(' / '),
+    location: scheduled.map(meeting => [meeting.building, meeting.room].filter(Boolean).join(' ') || 'TBA').join(' / ')
+  };
+}
+
+/* markdown table of matched sections */
+export function formatCourseTable(sections) {
+  const header = '| Course | Title | Sec | CRN | Type | Days | Time | Location | Instructor | Seats | Wait list |\n' +
+                 '| --- | --- | --- | --- | --- | --- | --- | --- | --- | --- | --- |';
+  const rows = sections.map(section => {
+    const { days, time, location } = formatMeetings(section);
+    return `| ${[
+      section.code,
+      section.title,
+      section.sequence,
+      section.crn,
+      section.scheduleType,
+      days,
+      time,
+      location,
+      section.instructors.join('; ') || 'Staff',
+      `${section.seatsAvailable}/${section.maximumEnrollment}${section.crossList ? ` (${section.crossListAvailable}/${section.crossListCapacity} cross-listed)` : ''}`,
+      `${section.waitAvailable}/${section.waitCapacity}`
+    ].join(' | ')} |`;
+  });
+  return [header, ...rows].join('\n');
+}
+
+// "CS 105-A52 (CRN 10331, W 11:00 AM-12:00 PM)"
+function sectionLabel(section) {
+  const { days, time } = formatMeetings(section);
+  return `${section.code}-${section.sequence} (CRN ${section.crn}${days !== 'TBA' ? `, ${days} ${time}` : ''})`;
+}
+
+/* one line per linked requirement and cross-list of the matched sections, sections with the same
+   requirement share a line ("CS 105-A52, A53: you must also register for the lecture ...") */
+export function formatSectionNotes(matched, sections = loadSections()) {
+  const byCrn = new Map(sections.map(section => [`${section.term}-${section.crn}`, section]));
+  const find = (section, crn) => byCrn.get(`${section.term}-${crn}`);
+
+  const notes = new Map(); // requirement text -> sections it applies to
+  matched.forEach(section => {
+    section.requires.forEach(({ type, crns }) => {
+      const text = describeLinkRequirement(type, crns.map(crn => find(section, crn)).filter(Boolean).map(sectionLabel));
+      if (!notes.has(text)) notes.set(text, []);
+      notes.get(text).push(section);
+    });
+  });
+  const lines = [...notes].map(([text, applies]) => {
+    const names = applies.map((section, index) => index === 0 ? `${section.code}-${section.sequence}` : section.sequence);
+    return `- ${names.join(', ')}: ${text}`;
+  });
+
+  const pools = groupBy(matched, 'crossListGroup');
+  pools.forEach(members => {
+    const [first] = members;
+    const partners = [...new Set(members.flatMap(section => [section.crn, ...section.crossListedWith]))]
+      .map(crn => find(first, crn))
+      .filter(Boolean);
+    const listed = partners.length > 1 ? `${partners.map(sectionLabel).join(' and ')} are cross-listed` : `${sectionLabel(first)} is cross-listed`;
+    lines.push(`- ${listed}: ${first.crossListAvailable} of ${first.crossListCapacity} combined seats open`);
+  });
+  return lines.join('\n');
+}
+
+/* parse, run and format in one go, null when the message isnt a course query */
+export function answerCourseQuery(message) {
+  const query = parseCourseQuery(message);
+  if (!query) return null;
+
+  const result = runCourseQuery(query);
+  const description = describeCourseQuery(query);
+  const terms = [...new Set(result.sections.map(section => section.termDesc))].join(', ');
+
+  let summary;
+  if (result.sections.length === 0) {
+    summary = `No sections match (${description}).`;
+  } else {
+    summary = `${result.sections.length} section${result.sections.length === 1 ? '' : 's'} of ${result.courseCount} course${result.courseCount === 1 ? '' : 's'} ${result.sections.length === 1 ? 'matches' : 'match'} (${description})${terms ? ` for ${terms}` : ''}, ${result.seatsAvailable} open seats in total.`;
+  }
+
+  return {
+    query,
+    description,
+    summary,
+    table: result.sections.length > 0 ? formatCourseTable(result.sections) : '',
+    notes: formatSectionNotes(result.sections),
+    ...result
+  };
+}
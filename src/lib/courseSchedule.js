@@ -0,0 +1,330 @@
+import { formatMeetingTime, formatMinutes, loadSections, openSeats } from "./courseQuery.js";
+
+/* schedule builder over the banner sections (courseQuery.js loads and links them)
+   "do CS 559 and CS 515 clash" is answered from the meetingsFaculty times instead of the model's guess.
+   every requested course becomes one registration: a section, plus one section of each type it is
+   linked to (lecture + activity). CRNs pin the section of their course, course codes leave it open.
+   combinations are searched depth first and conflicting branches are cut early */
+
+const DEFAULT_LIMIT = 10;
+// conflict-free schedules counted at most, a handful of big courses has millions of combinations
+const MAX_COUNTED = 1000;
+// search steps at most - courses that mostly clash find few schedules but still branch a lot
+const MAX_VISITED = 20000;
+
+const SCHEDULE_WORDS = /\b(clash(?:es)?|conflicts?|overlap(?:s|ping)?|same time|fit (?:together|in)|take (?:both|them|all)|schedules?|timetable|combinations?)\b/i;
+const BUILD_WORDS = /\b(build|make|plan|create|possible|options?|combinations?)\b/i;
+
+// ********** items **********
+
+/* "CS 559" / "cs559" -> { subject, courseNumber }, "10047" -> { crn }, null otherwise */
+function parseItem(item) {
+  const text = String(item || '').trim().toUpperCase();
+  if (/^\d{5}$/.test(text)) return { crn: text };
+  const match = text.match(/^([A-Z]{2,5})\s*-?\s*(\d{3}[A-Z]?)$/);
+  return match ? { subject: match[1], courseNumber: match[2] } : null;
+}
+
+// "fall 2025" or "202590"
+function inTerm(section, term) {
+  return !term || section.term === String(term) || section.termDesc?.toLowerCase() === String(term).toLowerCase();
+}
+
+/* items -> { requests: [{ key, code, title, sections, pinned }], unknown } - one request per course,
+   a CRN and its course code given together are one request. without a term the latest one is used */
+export function resolveScheduleItems(items, options = {}) {
+  const { term = null, sections = loadSections() } = options;
+  const requests = new Map();
+  const unknown = [];
+
+  const requestFor = (subject, courseNumber, courseTerm) => {
+    const key = `${courseTerm}-${subject}-${courseNumber}`;
+    if (!requests.has(key)) {
+      const courseSections = sections.filter(section => section.term === courseTerm && section.subject === subject && section.courseNumber.toUpperCase() === courseNumber);
+      requests.set(key, { key, code: `${subject} ${courseNumber}`, title: courseSections[0].title, sections: courseSections, pinned: [] });
+    }
+    return requests.get(key);
+  };
+
+  items.forEach(item => {
+    const parsed = parseItem(item);
+    if (parsed?.crn) {
+      const section = sections.find(candidate => candidate.crn === parsed.crn && inTerm(candidate, term));
+      if (!section) return unknown.push(String(item).trim());
+      const request = requestFor(section.subject, section.courseNumber.toUpperCase(), section.term);
+      if (!request.pinned.includes(section.crn)) request.pinned.push(section.crn);
+      return;
+    }
+
+    const matches = parsed ? sections.filter(section => section.subject === parsed.subject && section.courseNumber.toUpperCase() === parsed.courseNumber && inTerm(section, term)) : [];
+    if (matches.length === 0) return unknown.push(String(item).trim());
+    const latest = matches.reduce((max, section) => section.term > max ? section.term : max, matches[0].term);
+    requestFor(parsed.subject, parsed.courseNumber, latest);
+  });
+
+  return { requests: [...requests.values()], unknown };
+}
+
+/* course codes and CRNs named in a message, "CS 559 and 515" is two courses. a bare number only
+   counts after a subject code and when that course exists */
+export function findScheduleItems(message, sections = loadSections()) {
+  const subjects = new Set(sections.map(section => section.subject));
+  const crns = new Set(sections.map(section => section.crn));
+  const courses = new Set(sections.map(section => `${section.subject} ${section.courseNumber.toUpperCase()}`));
+
+  const items = [];
+  let subject = null;
+  for (const [, word, number] of String(message || '').matchAll(/\b(?:([A-Za-z]{2,5})\s*)?(\d{5}|\d{3}[A-Za-z]?)\b/g)) {
+    if (number.length === 5 && /^\d+$/.test(number)) {
+      if (crns.has(number)) items.push(number);
+      continue;
+    }
+    if (word && subjects.has(word.toUpperCase())) {
+      subject = word.toUpperCase();
+      items.push(`${subject} ${number.toUpperCase()}`);
+    } else if (subject && courses.has(`${subject} ${number.toUpperCase()}`)) {
+      items.push(`${subject} ${number.toUpperCase()}`);
+    }
+  }
+  return [...new Set(items)];
+}
+
+/* { items, openOnly } for "does CS 559 clash with CS 515" / "build me a schedule with CS 105 and
+   CS 110", null when the message isnt about fitting courses together */
+export function parseScheduleRequest(message, sections = loadSections()) {
+  if (!message || typeof message !== 'string' || !SCHEDULE_WORDS.test(message)) return null;
+  if (sections.length === 0) return null;
+  const items = findScheduleItems(message, sections);
+  if (items.length < 2 && !(items.length === 1 && BUILD_WORDS.test(message))) return null;
+  return {
+    items,
+    openOnly: /\b(open|available|free)\s+(seats?|spots?|sections?)\b|\bnot full\b|\bseats?\s+(available|left|open)\b/i.test(message)
+  };
+}
+
+// ********** conflicts **********
+
+// "08/19/2025" -> "20250819", so date ranges compare as strings
+function sortableDate(value) {
+  const match = String(value || '').match(/^(\d{2})\/(\d{2})\/(\d{4})$/);
+  return match ? `${match[3]}${match[1]}${match[2]}` : null;
+}
+
+/* days two meetings share at overlapping times and dates, [] when they dont clash.
+   TBA meetings (no days or no time) never clash */
+function clashDays(a, b) {
+  if (a.begin === null || b.begin === null || a.end === null || b.end === null) return [];
+  if (!(a.begin < b.end && b.begin < a.end)) return [];
+  const [aStart, aEnd, bStart, bEnd] = [a.startDate, a.endDate, b.startDate, b.endDate].map(sortableDate);
+  if (aStart && aEnd && bStart && bEnd && (aEnd < bStart || bEnd < aStart)) return [];
+  return a.days.filter(day => b.days.includes(day));
+}
+
+/* [{ a, b, meeting, other, days }] for every pair of meetings of two sections that overlap */
+export function sectionConflicts(a, b) {
+  return a.meetings.flatMap(meeting => b.meetings.map(other => ({ a, b, meeting, other, days: clashDays(meeting, other) })))
+    .filter(conflict => conflict.days.length > 0);
+}
+
+function conflictsWith(sections, candidates) {
+  return candidates.some(candidate => sections.some(section => sectionConflicts(section, candidate).length > 0));
+}
+
+// ********** combinations **********
+
+function product(lists) {
+  return lists.reduce((combinations, list) => combinations.flatMap(combination => list.map(item => [...combination, item])), [[]]);
+}
+
+/* the ways to register for one course - a section that isnt linked on its own, linked sections
+   as one of each schedule type in their link group. bundles that clash with themselves are left out */
+export function registrationOptions(sections) {
+  const options = [];
+  const groups = new Map();
+  sections.forEach(section => {
+    if (!section.linkGroup) return options.push([section]);
+    if (!groups.has(section.linkGroup)) groups.set(section.linkGroup, new Map());
+    const byType = groups.get(section.linkGroup);
+    if (!byType.has(section.scheduleType)) byType.set(section.scheduleType, []);
+    byType.get(section.scheduleType).push(section);
+  });
+  groups.forEach(byType => options.push(...product([...byType.values()])));
+
+  return options.filter(option => option.every((section, index) => !conflictsWith(option.slice(index + 1), [section])));
+}
+
+/* resolve the items and search conflict-free schedules
+   { requests, unknown, unavailable, conflicts, combinations, conflictFree, truncated, schedules }
+   truncated: the search stopped at MAX_COUNTED schedules or MAX_VISITED steps, conflictFree is a lower bound
+   options: term, openOnly (every section needs an open seat), limit (schedules returned) */
+export function buildSchedules(items, options = {}) {
+  const { openOnly = false, limit = DEFAULT_LIMIT } = options;
+  const { requests, unknown } = resolveScheduleItems(items, options);
+
+  const unavailable = [];
+  const courses = [];
+  requests.forEach(request => {
+    let choices = registrationOptions(request.sections)
+      .filter(option => request.pinned.every(crn => option.some(section => section.crn === crn)));
+    if (choices.length === 0) {
+      unavailable.push({ code: request.code, reason: `CRNs ${request.pinned.join(', ')} can't be registered together` });
+      return;
+    }
+    if (openOnly) choices = choices.filter(option => option.every(section => openSeats(section) > 0));
+    if (choices.length === 0) {
+      unavailable.push({ code: request.code, reason: 'no open seats' });
+      return;
+    }
+    courses.push({ ...request, choices });
+  });
+
+  // clashing section pairs between the requested courses
+  const conflicts = [];
+  const seen = new Set();
+  courses.forEach((course, i) => courses.slice(i + 1).forEach(other => {
+    const mine = [...new Set(course.choices.flat())];
+    const theirs = [...new Set(other.choices.flat())];
+    mine.forEach(a => theirs.forEach(b => {
+      const key = `${a.crn}-${b.crn}`;
+      if (seen.has(key)) return;
+      seen.add(key);
+      const [first] = sectionConflicts(a, b);
+      if (first) conflicts.push(first);
+    }));
+  }));
+
+  // depth first over the courses with the fewest choices first, so dead ends show up early
+  const order = [...courses].sort((a, b) => a.choices.length - b.choices.length);
+  const schedules = [];
+  let conflictFree = 0;
+  let visited = 0;
+  let truncated = false;
+  const search = (index, chosen) => {
+    visited++;
+    if (index === order.length) {
+      conflictFree++;
+      if (schedules.length < limit) schedules.push(chosen);
+      return;
+    }
+    for (const choice of order[index].choices) {
+      if (conflictsWith(chosen, choice)) continue;
+      // limits are checked before a branch is entered, a search that ends right at one is complete
+      if (truncated || conflictFree >= MAX_COUNTED || visited >= MAX_VISITED) {
+        truncated = true;
+        return;
+      }
+      search(index + 1, [...chosen, ...choice]);
+    }
+  };
+  if (courses.length > 0 && unavailable.length === 0) search(0, []);
+
+  return {
+    requests: requests.map(({ code, title, pinned, sections }) => ({ code, title, pinned, sections: sections.length })),
+    unknown,
+    unavailable,
+    conflicts,
+    combinations: courses.length > 0 && unavailable.length === 0 ? courses.reduce((total, course) => total * course.choices.length, 1) : 0,
+    conflictFree,
+    truncated,
+    schedules: schedules.map(sections => ({
+      sections: sortSections(sections),
+      credits: scheduleCredits(sections)
+    }))
+  };
+}
+
+// credits per course once, a lecture and its activity carry the course credits twice
+function scheduleCredits(sections) {
+  const perCourse = new Map();
+  sections.forEach(section => perCourse.set(section.code, Math.max(perCourse.get(section.code) || 0, section.credits || 0)));
+  return [...perCourse.values()].reduce((sum, credits) => sum + credits, 0);
+}
+
+function sortSections(sections) {
+  return [...sections].sort((a, b) => a.code.localeCompare(b.code, undefined, { numeric: true }) || a.sequence.localeCompare(b.sequence, undefined, { numeric: true }));
+}
+
+// ********** formatting **********
+
+// "CS 105-A52 (CRN 10331, Activity, W 11:00 AM-12:00 PM)"
+function sectionLabel(section) {
+  const times = section.meetings.map(formatMeetingTime).filter(time => time !== 'TBA');
+  return `${section.code}-${section.sequence} (CRN ${section.crn}, ${section.scheduleType}, ${times.join(' / ') || 'TBA'})`;
+}
+
+function describeConflict({ a, b, meeting, other, days }) {
+  const dayNames = days.map(day => day[0].toUpperCase() + day.slice(1)).join(', ');
+  const from = Math.max(meeting.begin, other.begin);
+  const to = Math.min(meeting.end, other.end);
+  return `${a.code}-${a.sequence} (CRN ${a.crn}) and ${b.code}-${b.sequence} (CRN ${b.crn}) overlap on ${dayNames} ${formatMinutes(from)}-${formatMinutes(to)}`;
+}
+
+/* plain text answer for a buildSchedules result, at most maxConflicts clashes listed */
+export function formatSchedulePlan(plan, maxConflicts = 10) {
+  const lines = [];
+  const codes = plan.requests.map(request => request.pinned.length > 0 ? `${request.code} (CRN ${request.pinned.join(', ')})` : request.code);
+
+  if (plan.unknown.length > 0) lines.push(`Not found in the course schedule: ${plan.unknown.join(', ')}.`);
+  plan.unavailable.forEach(({ code, reason }) => lines.push(`${code}: ${reason}.`));
+
+  const count = plan.truncated ? `at least ${plan.conflictFree}` : `${plan.conflictFree} of ${plan.combinations}`;
+  if (plan.combinations > 0 && plan.conflictFree === 0 && plan.truncated) {
+    lines.push(`No conflict-free combination of ${codes.join(', ')} found before the search stopped: ${plan.combinations} section combinations are too many to check them all.`);
+  } else if (plan.combinations > 0 && codes.length === 1) {
+    lines.push(`${codes[0]} has ${count} ways to register without a time conflict.`);
+  } else if (plan.combinations > 0) {
+    if (plan.conflictFree === 0) {
+      lines.push(`${codes.join(', ')} can't be taken together: every one of the ${plan.combinations} section combinations has a time conflict.`);
+    } else {
+      lines.push(`${codes.join(', ')} can be taken together: ${count} section combinations have no time conflict.`);
+    }
+  }
+
+  if (plan.conflicts.length > 0) {
+    lines.push('', 'Time conflicts:');
+    plan.conflicts.slice(0, maxConflicts).forEach(conflict => lines.push(`- ${describeConflict(conflict)}`));
+    if (plan.conflicts.length > maxConflicts) lines.push(`- ... and ${plan.conflicts.length - maxConflicts} more`);
+  }
+
+  plan.schedules.forEach((schedule, index) => {
+    lines.push('', `Option ${index + 1} (${schedule.credits} credits):`);
+    schedule.sections.forEach(section => {
+      const seats = openSeats(section);
+      lines.push(`- ${sectionLabel(section)}, ${seats} open seat${seats === 1 ? '' : 's'}`);
+    });
+  });
+  if (plan.truncated && plan.conflictFree > 0) {
+    lines.push('', 'More conflict-free combinations may exist, the search stopped early.');
+  } else if (plan.conflictFree > plan.schedules.length) {
+    lines.push('', `${plan.conflictFree - plan.schedules.length} more conflict-free combinations not listed.`);
+  }
+
+  return lines.join('\n').trim();
+}
+
+/* plan as json for the api - sections reduced to what a client shows */
+export function serializeSchedulePlan(plan) {
+  const section = value => ({
+    crn: value.crn,
+    code: value.code,
+    section: value.sequence,
+    title: value.title,
+    scheduleType: value.scheduleType,
+    credits: value.credits,
+    instructors: value.instructors,
+    meetings: value.meetings.map(meeting => ({
+      time: formatMeetingTime(meeting),
+      building: meeting.building,
+      room: meeting.room,
+      startDate: meeting.startDate,
+      endDate: meeting.endDate
+    })),
+    openSeats: openSeats(value)
+  });
+
+  return {
+    ...plan,
+    conflicts: plan.conflicts.map(conflict => ({ sections: [conflict.a.crn, conflict.b.crn], description: describeConflict(conflict) })),
+    schedules: plan.schedules.map(schedule => ({ credits: schedule.credits, sections: schedule.sections.map(section) }))
+  };
+}
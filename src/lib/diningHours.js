@@ -0,0 +1,301 @@
+import fs from "fs";
+import path from "path";
+import { sourceFilesSignature } from "./kbManifest.js";
+
+/* dining hours engine - decides what is open at a given moment from dining_hours_policy.json
+
+   handles day ranges ("monday_to_thursday"), meal windows ({ lunch, dinner }), arrays of
+   intervals, "All Day", "Closed", closings past midnight ("09:00 PM - 01:00 AM") and dated
+   special_hours ("10/07/2025 - 10/15/2025": { ... }) that override regular hours on the days they list
+
+   a moment is campus wall clock time: { date: 'YYYY-MM-DD', weekday: 0-6 (0 = sunday), minutes }
+   (campusMoment in campusClock.js) */
+
+const KNOWLEDGE_DIR = path.join(process.cwd(), "knowledge-base");
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const DAY_MINUTES = 24 * 60;
+
+// words that dont tell locations apart ("Hinman Dining Hall" is found by "hinman")
+const GENERIC_NAME_WORDS = new Set(['dining', 'hall', 'cafe', 'café', 'food', 'truck', 'mobile', 'the', 'and', 'presents', 'store', 'college', 'health', 'sciences', 'university']);
+
+// name words that also mean a building or something else on campus - "is the library open" is not
+// about Library Tower Café unless the question is about food
+const PLACE_NAME_WORDS = new Set([
+  'library', 'tower', 'school', 'pharmacy', 'nursing', 'decker', 'downtown', 'itc', 'global', 'mini', 'mart',
+  'street', 'deli', 'yes', 'chef', 'john', 'arthur', 'nite', 'owl', 'smart', 'shake', 'royal', 'indian',
+  'heaven', 'bowl', 'hungry', 'beyond', 'breakfast'
+]);
+
+// ********** loading **********
+
+let diningCache = null;
+let diningSignature = null;
+
+/* dining data from every knowledge-base file shaped like { week, locations: [...] }
+   loaded again when a source file changes (admin upload) */
+export function loadDiningData() {
+  const signature = sourceFilesSignature(KNOWLEDGE_DIR);
+  if (diningCache && signature === diningSignature) return diningCache;
+  diningSignature = signature;
+
+  diningCache = { week: null, locations: [], sources: [] };
+  fs.readdirSync(KNOWLEDGE_DIR)
+    .filter(file => file.endsWith('.json') && !file.startsWith('unified-knowledge'))
+    .forEach(file => {
+      try {
+        const data = JSON.parse(fs.readFileSync(path.join(KNOWLEDGE_DIR, file), 'utf-8'));
+        if (!Array.isArray(data?.locations)) return;
+        diningCache.week = diningCache.week || data.week || null;
+        diningCache.locations.push(...data.locations);
+        diningCache.sources.push(file);
+      } catch (error) {
+        console.error(`Error loading dining file ${file}:`, error.message);
+      }
+    });
+
+  return diningCache;
+}
+
+// ********** parsing **********
+
+/* "08:00 PM" -> 1200 */
+export function parseClock(text) {
+  const match = text.trim().match(/^(\d{1,2}):(\d{2})\s*(AM|PM)$/i);
+  if (!match) return null;
+  let hours = Number(match[1]) % 12;
+  if (match[3].toUpperCase() === 'PM') hours += 12;
+  return hours * 60 + Number(match[2]);
+}
+
+/* "09:00 PM - 01:00 AM (Digman bus stop)" -> { start: 1260, end: 1500, note }
+   end is past DAY_MINUTES when the place closes after midnight, "Closed" gives null */
+export function parseInterval(text, label = null) {
+  const value = String(text).trim();
+  if (/^all day$/i.test(value)) return { start: 0, end: DAY_MINUTES, label, note: null };
+  if (/^closed$/i.test(value)) return null;
+
+  const match = value.match(/^(\d{1,2}:\d{2}\s*[AP]M)\s*-\s*(\d{1,2}:\d{2}\s*[AP]M)\s*(?:\((.*)\))?$/i);
+  if (!match) {
+    console.warn(`Unrecognized dining hours "${value}"`);
+    return null;
+  }
+
+  const start = parseClock(match[1]);
+  let end = parseClock(match[2]);
+  if (end <= start) end += DAY_MINUTES; // "12:00 AM" or "01:00 AM" close the next day
+  return { start, end, label, note: match[3] || null };
+}
+
+/* hours value (string, array or { meal: string }) -> intervals sorted by start */
+function toIntervals(value) {
+  let intervals;
+  if (Array.isArray(value)) intervals = value.map(item => parseInterval(item));
+  else if (value && typeof value === 'object') intervals = Object.entries(value).map(([meal, hours]) => parseInterval(hours, meal));
+  else intervals = [parseInterval(value)];
+  return intervals.filter(Boolean).sort((a, b) => a.start - b.start);
+}
+
+/* "monday_to_thursday" -> [1, 2, 3, 4], wraps around the week ("friday_to_monday") */
+function parseDayKey(key) {
+  const [from, to = from] = key.toLowerCase().split('_to_');
+  const start = WEEKDAYS.indexOf(from);
+  const end = WEEKDAYS.indexOf(to);
+  if (start === -1 || end === -1) return [];
+
+  const days = [start];
+  for (let day = start; day !== end; ) {
+    day = (day + 1) % 7;
+    days.push(day);
+  }
+  return days;
+}
+
+// "10/07/2025" -> "2025-10-07"
+function toISODate(text) {
+  const match = text.trim().match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
+  return match ? `${match[3]}-${match[1].padStart(2, '0')}-${match[2].padStart(2, '0')}` : null;
+}
+
+/* "10/07/2025 - 10/15/2025" (or one date) -> { from, to } as ISO dates */
+export function parseDateRange(key) {
+  const [from, to = from] = key.split(/\s+-\s+/).map(toISODate);
+  return from && to ? { from, to } : null;
+}
+
+function addDays(date, days) {
+  const [year, month, day] = date.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day + days)).toISOString().slice(0, 10);
+}
+
+function weekdayOf(date) {
+  const [year, month, day] = date.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+}
+
+// hours object -> intervals for one weekday, undefined when no key covers that day
+function hoursForWeekday(hours, weekday) {
+  const entry = Object.entries(hours || {}).find(([key]) => parseDayKey(key).includes(weekday));
+  return entry ? toIntervals(entry[1]) : undefined;
+}
+
+/* intervals for a location on a date, dated special hours win over regular hours
+   returns { intervals, special } where special is the date range key that applied */
+export function getHoursOn(location, date) {
+  const weekday = weekdayOf(date);
+
+  for (const [rangeKey, hours] of Object.entries(location.special_hours || {})) {
+    const range = parseDateRange(rangeKey);
+    if (!range || date < range.from || date > range.to) continue;
+    const intervals = hoursForWeekday(hours, weekday);
+    if (intervals) return { intervals, special: rangeKey };
+  }
+
+  return { intervals: hoursForWeekday(location.regular_hours, weekday) || [], special: null };
+}
+
+// ********** moments **********
+
+/* 1260 -> "9:00 PM", 1440 -> "12:00 AM" */
+export function formatClock(minutes) {
+  const wrapped = minutes % DAY_MINUTES;
+  const hours = Math.floor(wrapped / 60);
+  return `${hours % 12 || 12}:${String(wrapped % 60).padStart(2, '0')} ${hours < 12 ? 'AM' : 'PM'}`;
+}
+
+function formatIntervals(intervals) {
+  if (intervals.length === 0) return 'Closed';
+  return intervals.map(interval => {
+    const hours = interval.start === 0 && interval.end === DAY_MINUTES
+      ? 'All Day'
+      : `${formatClock(interval.start)} - ${formatClock(interval.end)}`;
+    return interval.label ? `${interval.label} ${hours}` : hours;
+  }).join(', ');
+}
+
+// ********** status **********
+
+/* open/closed state of one location at a moment
+   { name, open, closesAt, opensAt, meal, note, hoursToday, special } */
+export function getLocationStatus(location, moment) {
+  const today = getHoursOn(location, moment.date);
+  const yesterday = getHoursOn(location, addDays(moment.date, -1));
+
+  // still open from yesterday (past midnight) or inside one of todays windows
+  const carried = yesterday.intervals.find(interval => interval.end > DAY_MINUTES && moment.minutes < interval.end - DAY_MINUTES);
+  const current = carried || today.intervals.find(interval => moment.minutes >= interval.start && moment.minutes < interval.end);
+
+  const status = {
+    name: location.name,
+    open: Boolean(current),
+    closesAt: null,
+    opensAt: null,
+    meal: current?.label || null,
+    note: current?.note || null,
+    hoursToday: formatIntervals(today.intervals),
+    special: today.special
+  };
+
+  if (current) {
+    const end = carried ? current.end - DAY_MINUTES : current.end;
+    status.closesAt = current.start === 0 && current.end === DAY_MINUTES ? null : formatClock(end); // null = all day
+    return status;
+  }
+
+  // next opening, today or within the next week
+  const later = today.intervals.find(interval => interval.start > moment.minutes);
+  if (later) {
+    status.opensAt = { date: moment.date, day: WEEKDAYS[moment.weekday], time: formatClock(later.start), label: later.label };
+    return status;
+  }
+  for (let offset = 1; offset <= 7; offset++) {
+    const date = addDays(moment.date, offset);
+    const [next] = getHoursOn(location, date).intervals;
+    if (next) {
+      status.opensAt = { date, day: WEEKDAYS[weekdayOf(date)], time: formatClock(next.start), label: next.label };
+      break;
+    }
+  }
+  return status;
+}
+
+/* status of every location (or the ones matching name) at a moment */
+export function getDiningStatus(moment, options = {}) {
+  const { name = null } = options;
+  const { week, locations, sources } = loadDiningData();
+  const matching = name ? findLocations(name, locations) : locations;
+  const statuses = matching.map(location => getLocationStatus(location, moment));
+
+  const weekRange = week ? parseDateRange(week) : null;
+  return {
+    moment,
+    week,
+    sources,
+    // regular hours are only published for this week, outside it they are a best guess
+    inPublishedWeek: weekRange ? moment.date >= weekRange.from && moment.date <= weekRange.to : null,
+    open: statuses.filter(status => status.open),
+    closed: statuses.filter(status => !status.open)
+  };
+}
+
+/* locations whose name is mentioned in the text ("hinman" -> Hinman Dining Hall, Hinman C-Store)
+   distinctive: only the full name or a word that names nothing else on campus counts */
+export function findLocations(text, locations = loadDiningData().locations, options = {}) {
+  const { distinctive = false } = options;
+  const lower = text.toLowerCase();
+  return locations.filter(location => {
+    if (lower.includes(location.name.toLowerCase())) return true;
+    return location.name.toLowerCase().split(/[^a-z0-9é']+/)
+      .filter(word => word.length >= 3 && !GENERIC_NAME_WORDS.has(word) && !(distinctive && PLACE_NAME_WORDS.has(word)))
+      .some(word => new RegExp(`\\b${word}\\b`).test(lower));
+  });
+}
+
+// ********** chat **********
+
+/* is the user asking what is open (what's open now, tonight, is X open, when does X close) */
+export function isOpenStatusQuestion(message) {
+  const text = message.toLowerCase();
+  const asksStatus = /\b(open|opens|opening|closed|close|closes|closing)\b/.test(text);
+  if (!asksStatus) return false;
+
+  const diningWords = /\b(dining|eat|food|restaurant|cafe|café|cafeteria|meal|lunch|dinner|breakfast|brunch|snack|coffee|hungry)\b/.test(text);
+  if (diningWords) return true;
+  // "what's open now" / "is anything open tonight" name no place at all ("is the gym open now" does)
+  const asksNow = /\b(now|right now|currently|tonight)\b/.test(text);
+  if (asksNow && /\b(what(?:'s|s)?|anything|anywhere|everything|where|places?)\b/.test(text)) return true;
+  return findLocations(text, undefined, { distinctive: true }).length > 0;
+}
+
+/* plain text status for prompts and direct answers */
+export function formatDiningStatus(status) {
+  const { moment } = status;
+  const [year, month, day] = moment.date.split('-');
+  const lines = [`As of ${WEEKDAYS[moment.weekday][0].toUpperCase()}${WEEKDAYS[moment.weekday].slice(1)} ${month}/${day}/${year} ${formatClock(moment.minutes)}:`];
+
+  if (status.open.length > 0) {
+    lines.push('', 'Open now:');
+    status.open.forEach(location => {
+      const until = location.closesAt ? `until ${location.closesAt}` : 'all day';
+      const details = [location.meal, location.note].filter(Boolean).join(', ');
+      lines.push(`- ${location.name}: open ${until}${details ? ` (${details})` : ''}`);
+    });
+  } else {
+    lines.push('', 'Nothing is open right now.');
+  }
+
+  if (status.closed.length > 0) {
+    lines.push('', 'Closed now:');
+    status.closed.forEach(location => {
+      const opens = location.opensAt
+        ? `opens ${location.opensAt.date === moment.date ? 'today' : location.opensAt.day[0].toUpperCase() + location.opensAt.day.slice(1)} at ${location.opensAt.time}`
+        : 'no upcoming hours listed';
+      lines.push(`- ${location.name}: ${opens}`);
+    });
+  }
+
+  if (status.inPublishedWeek === false) {
+    lines.push('', `Note: hours are published for the week of ${status.week}, they may differ on this date.`);
+  }
+  return lines.join('\n');
+}
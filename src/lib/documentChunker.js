@@ -0,0 +1,596 @@
+/* structure aware chunking for documents (documentProcessor.js)
+
+   extractors turn a file into blocks that keep the layout:
+     { type: 'heading', level, text, page }
+     { type: 'paragraph' | 'list_item', text, page }
+     { type: 'table_row', text, cells, header, table, page }   (cells joined with " | ")
+     { type: 'record', text, fields, row }                      (a spreadsheet row, "Column: value" lines)
+   chunkBlocks packs them into chunks of at most maxTokens, starting a new chunk at every heading
+   and never cutting through a list item or table row unless it is bigger than a chunk on its own.
+   a record is always a chunk of its own.
+   every chunk records the heading it is under and the page(s) or row it came from */
+
+// chunk size in tokens and how much of the previous chunk (same section only) is repeated
+export const DEFAULT_CHUNK_TOKENS = Number(process.env.DOCUMENT_CHUNK_TOKENS || 300);
+export const DEFAULT_OVERLAP_TOKENS = Number(process.env.DOCUMENT_CHUNK_OVERLAP || 50);
+
+// ********** tokens and sentences **********
+
+/* approximate token count - words in pieces of up to 8 letters, numbers in groups of 3 digits,
+   every other symbol on its own. close to what bpe tokenizers give for english, never far under */
+export function countTokens(text) {
+  return (String(text).match(/[A-Za-z]{1,8}|\d{1,3}|[^\sA-Za-z\d]/g) || []).length;
+}
+
+// a period after these is not the end of a sentence ("9:45 a.m. Monday", "Dr. Smith")
+const ABBREVIATIONS = new Set(['a.m', 'p.m', 'e.g', 'i.e', 'etc', 'vs', 'dr', 'mr', 'mrs', 'ms', 'prof', 'st', 'no', 'jr', 'sr', 'dept', 'approx', 'rm', 'bldg', 'ext']);
+
+/* split text into sentences - only at . ! ? followed by space and a capital, digit or quote,
+   so times ("9:45 a.m."), decimals ("3.5") and initials stay in one piece */
+export function splitSentences(text) {
+  const sentences = [];
+  const boundary = /[.!?]+["')\]]*\s+(?=["'(\[]?[A-Z0-9])/g;
+  let start = 0;
+  let match;
+
+  while ((match = boundary.exec(text))) {
+    const end = match.index + match[0].length;
+    const lastWord = text.slice(start, match.index + 1).match(/(\S+)$/)?.[1] || '';
+    const bare = lastWord.toLowerCase().replace(/^["'(\[]+/, '').replace(/\.+$/, '');
+    if (match[0][0] === '.' && (ABBREVIATIONS.has(bare) || /^[a-z]$/.test(bare))) continue;
+
+    sentences.push(text.slice(start, end).trim());
+    start = end;
+  }
+  if (text.slice(start).trim()) sentences.push(text.slice(start).trim());
+  return sentences;
+}
+
+// ********** plain text and markdown **********
+
+const LIST_ITEM = /^\s*(?:[-*+•▪◦●–]|\d{1,3}[.)]|[a-z][.)])\s+/;
+
+function cleanMarkdown(text) {
+  return text
+    .replace(/\*\*(.+?)\*\*/g, '$1')
+    .replace(/__(.+?)__/g, '$1')
+    .replace(/`(.+?)`/g, '$1')
+    .trim();
+}
+
+/* txt / md -> blocks. markdown headings ("## Hours", or a line underlined with === / ---),
+   lists, | table | rows |, and short ALL CAPS lines as headings in plain text */
+export function textToBlocks(text) {
+  const blocks = [];
+  let paragraph = [];
+  let table = 0;
+  let inTable = false;
+
+  const flushParagraph = () => {
+    if (paragraph.length > 0) blocks.push({ type: 'paragraph', text: paragraph.join('\n') });
+    paragraph = [];
+  };
+
+  String(text).replace(/\r\n?/g, '\n').split('\n').forEach(raw => {
+    const line = raw.trimEnd();
+    const trimmed = line.trim();
+
+    if (!/^\|.*\|$/.test(trimmed)) inTable = false;
+
+    if (!trimmed) {
+      flushParagraph();
+      return;
+    }
+
+    // setext heading, the line above is the title
+    if (/^(=+|-{3,})$/.test(trimmed) && paragraph.length === 1) {
+      blocks.push({ type: 'heading', level: trimmed[0] === '=' ? 1 : 2, text: cleanMarkdown(paragraph[0]) });
+      paragraph = [];
+      return;
+    }
+
+    const heading = trimmed.match(/^(#{1,6})\s+(.+?)\s*#*$/);
+    if (heading) {
+      flushParagraph();
+      blocks.push({ type: 'heading', level: heading[1].length, text: cleanMarkdown(heading[2]) });
+      return;
+    }
+
+    if (/^\|.*\|$/.test(trimmed)) {
+      flushParagraph();
+      if (/^\|[\s:|-]+\|$/.test(trimmed)) return; // |---|---| separator
+      const cells = trimmed.slice(1, -1).split('|').map(cell => cleanMarkdown(cell));
+      if (!inTable) table++;
+      blocks.push({ type: 'table_row', text: cells.join(' | '), cells, header: !inTable, table });
+      inTable = true;
+      return;
+    }
+
+    if (LIST_ITEM.test(line)) {
+      flushParagraph();
+      blocks.push({ type: 'list_item', text: cleanMarkdown(trimmed) });
+      return;
+    }
+
+    // indented line right after a list item continues it
+    const previous = blocks[blocks.length - 1];
+    if (paragraph.length === 0 && previous?.type === 'list_item' && /^\s{2,}/.test(line)) {
+      previous.text += ` ${cleanMarkdown(trimmed)}`;
+      return;
+    }
+
+    if (paragraph.length === 0 && trimmed.length <= 60 && /[A-Z]{3}/.test(trimmed) && trimmed === trimmed.toUpperCase() && !/[.,;]$/.test(trimmed)) {
+      blocks.push({ type: 'heading', level: 2, text: trimmed });
+      return;
+    }
+
+    paragraph.push(cleanMarkdown(trimmed));
+  });
+
+  flushParagraph();
+  return blocks;
+}
+
+/* markdown -> blocks. front matter and html comments are dropped (a front matter title becomes
+   the top heading when there is none), links keep only their text, fenced code is one block */
+export function markdownToBlocks(markdown) {
+  let text = String(markdown).replace(/\r\n?/g, '\n');
+  let title = null;
+  const frontMatter = text.match(/^---\n([\s\S]*?)\n(?:---|\.\.\.)\n/);
+  if (frontMatter) {
+    title = frontMatter[1].match(/^title:\s*["']?(.+?)["']?\s*$/m)?.[1] || null;
+    text = text.slice(frontMatter[0].length);
+  }
+  text = text.replace(/<!--[\s\S]*?-->/g, '');
+
+  const blocks = [];
+  let tables = 0;
+  let prose = [];
+  let fence = null;
+  let code = [];
+
+  const flushProse = () => {
+    const inline = prose.join('\n')
+      .replace(/^\s*\[[^\]]+\]:\s+\S+.*$/gm, '') // [ref]: url definitions
+      .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+      .replace(/\[([^\]]+)\](?:\([^)]*\)|\[[^\]]*\])/g, '$1')
+      .replace(/<(https?:[^>\s]+)>/g, '$1')
+      .replace(/<\/?[a-zA-Z][^>]*>/g, '');
+    // table numbers go on across code blocks
+    const part = textToBlocks(inline).map(block => block.table ? { ...block, table: block.table + tables } : block);
+    part.forEach(block => { tables = Math.max(tables, block.table || 0); });
+    blocks.push(...part);
+    prose = [];
+  };
+  const flushCode = () => {
+    if (code.some(line => line.trim())) blocks.push({ type: 'paragraph', text: code.join('\n').trim() });
+    code = [];
+  };
+
+  // code is split out first so "# comment" lines in it are not read as headings
+  text.split('\n').forEach(line => {
+    const marker = line.match(/^\s*(```|~~~)/);
+    if (fence) {
+      if (marker && marker[1] === fence) {
+        flushCode();
+        fence = null;
+      } else {
+        code.push(line);
+      }
+      return;
+    }
+    if (marker) {
+      flushProse();
+      fence = marker[1];
+      return;
+    }
+    prose.push(line);
+  });
+  flushCode();
+  flushProse();
+
+  if (title && !blocks.some(block => block.type === 'heading' && block.level === 1)) {
+    blocks.unshift({ type: 'heading', level: 1, text: title });
+  }
+  return blocks;
+}
+
+// ********** spreadsheets (csv, xlsx) **********
+
+/* rows of cell strings -> blocks. rows above the header row (a title typed into A1) become
+   headings at level, every row under the header a record with its values under their column
+   names, so an exam or an office hour reads on its own. row is the 1-based position in rows */
+export function tableToBlocks(rows, options = {}) {
+  const { level = 1 } = options;
+  const filled = row => row.filter(cell => String(cell ?? '').trim()).length;
+  const width = Math.max(0, ...rows.map(filled));
+  if (width === 0) return [];
+
+  // the header is the first row with at least half of the columns filled in
+  const headerIndex = rows.findIndex(row => filled(row) >= (width < 2 ? 1 : Math.max(2, Math.ceil(width / 2))));
+  const blocks = rows.slice(0, headerIndex)
+    .filter(row => filled(row) > 0)
+    .map(row => ({ type: 'heading', level, text: row.map(cell => String(cell ?? '').trim()).filter(Boolean).join(' ') }));
+
+  // blank and repeated column names still need to be told apart
+  const seen = new Map();
+  const columns = rows[headerIndex].map((cell, index) => {
+    const name = String(cell ?? '').trim() || `Column ${index + 1}`;
+    seen.set(name, (seen.get(name) || 0) + 1);
+    return seen.get(name) > 1 ? `${name} (${seen.get(name)})` : name;
+  });
+
+  rows.slice(headerIndex + 1).forEach((row, index) => {
+    const fields = {};
+    row.forEach((cell, column) => {
+      const value = String(cell ?? '').replace(/\s+/g, ' ').trim();
+      if (value) fields[columns[column] || `Column ${column + 1}`] = value;
+    });
+    if (Object.keys(fields).length === 0) return;
+    blocks.push({
+      type: 'record',
+      text: Object.entries(fields).map(([name, value]) => `${name}: ${value}`).join('\n'),
+      fields,
+      row: headerIndex + index + 2
+    });
+  });
+  return blocks;
+}
+
+// ********** html (mammoth docx output, saved pages) **********
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+export function decodeEntities(text) {
+  return text.replace(/&(#x?[0-9a-f]+|[a-z]+);/gi, (entity, code) => {
+    if (code[0] === '#') {
+      const value = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+      return Number.isFinite(value) ? String.fromCodePoint(value) : entity;
+    }
+    return ENTITIES[code.toLowerCase()] ?? entity;
+  });
+}
+
+const LINE_BREAK = '\u2028';
+
+const BLOCK_TAGS = new Set(['p', 'div', 'blockquote', 'section', 'article', 'header', 'footer', 'pre', 'dd', 'dt', 'caption', 'figcaption']);
+
+/* html -> blocks, headings h1-h6, lists (nested, ordered ones numbered), table rows, paragraphs
+   small tag scanner, enough for the clean html mammoth and most static pages produce */
+export function htmlToBlocks(html) {
+  const blocks = [];
+  const lists = []; // open ul / ol, { ordered, count }
+  let text = '';
+  let row = null;
+  let table = 0;
+  let rowsInTable = 0;
+  let skip = null; // inside script / style
+
+  // whitespace collapses like in a browser, <br> (LINE_BREAK) stays a line break
+  const clean = value => decodeEntities(value)
+    .replace(/[ \t\r\n\f]+/g, ' ')
+    .replace(new RegExp(` ?${LINE_BREAK} ?`, 'g'), '\n')
+    .trim();
+
+  const flush = (type, extra = {}) => {
+    const value = clean(text);
+    text = '';
+    if (!value) return;
+    if (type === 'list_item') {
+      const list = lists[lists.length - 1];
+      const marker = list?.ordered ? `${list.count}.` : '-';
+      blocks.push({ type, text: `${'  '.repeat(Math.max(lists.length - 1, 0))}${marker} ${value}`, ...extra });
+    } else {
+      blocks.push({ type, text: value, ...extra });
+    }
+  };
+  // what loose text belongs to at a block boundary
+  const flushCurrent = () => flush(lists.length > 0 ? 'list_item' : 'paragraph');
+
+  const tokens = /<!--[\s\S]*?-->|<(\/?)([a-zA-Z][a-zA-Z0-9]*)\b[^>]*?(\/?)>|([^<]+)/g;
+  let match;
+  while ((match = tokens.exec(html))) {
+    const [, closing, rawTag, , content] = match;
+    if (content !== undefined) {
+      if (!skip) text += content;
+      continue;
+    }
+    if (!rawTag) continue; // comment
+
+    const tag = rawTag.toLowerCase();
+    if (skip) {
+      if (closing && tag === skip) skip = null;
+      continue;
+    }
+    if (!closing && (tag === 'script' || tag === 'style')) {
+      skip = tag;
+      continue;
+    }
+
+    if (tag === 'br') {
+      text += LINE_BREAK;
+    } else if (/^h[1-6]$/.test(tag)) {
+      if (closing) flush('heading', { level: Number(tag[1]) });
+      else flushCurrent();
+    } else if (tag === 'ul' || tag === 'ol') {
+      flushCurrent();
+      if (closing) lists.pop();
+      else lists.push({ ordered: tag === 'ol', count: 0 });
+    } else if (tag === 'li') {
+      flushCurrent();
+      if (!closing && lists.length > 0) lists[lists.length - 1].count++;
+    } else if (tag === 'table') {
+      flushCurrent();
+      if (!closing) {
+        table++;
+        rowsInTable = 0;
+      }
+    } else if (tag === 'tr') {
+      if (!closing) {
+        flushCurrent();
+        row = { cells: [], header: rowsInTable === 0 };
+      } else if (row) {
+        if (row.cells.some(Boolean)) {
+          blocks.push({ type: 'table_row', text: row.cells.join(' | '), cells: row.cells, header: row.header, table });
+          rowsInTable++;
+        }
+        row = null;
+      }
+    } else if (tag === 'td' || tag === 'th') {
+      if (!row) continue;
+      if (closing) row.cells.push(clean(text));
+      text = '';
+    } else if (BLOCK_TAGS.has(tag)) {
+      // paragraphs inside list items and cells stay part of them
+      if (row || lists.length > 0) text += ' ';
+      else flush('paragraph');
+    }
+  }
+  flushCurrent();
+  return blocks;
+}
+
+// ********** pdf text items **********
+
+const PDF_BULLET = /^(?:[•▪◦●■–-]|\d{1,3}[.)])\s*/;
+
+const fontSize = item => Math.round(Math.abs(item.transform[3]) || item.height || 10);
+
+/* font sizes of a whole pdf (text items of every page) - bodySize is the size most characters are
+   set in, headingSizes the bigger ones, largest first (level 1 = headingSizes[0]) */
+export function pdfLayout(items) {
+  const counts = new Map();
+  items
+    .filter(item => typeof item.str === 'string' && item.str.trim())
+    .forEach(item => counts.set(fontSize(item), (counts.get(fontSize(item)) || 0) + item.str.length));
+  const bodySize = [...counts.entries()].sort((a, b) => b[1] - a[1])[0]?.[0] || 10;
+  const headingSizes = [...counts.keys()].filter(size => size >= bodySize * 1.15).sort((a, b) => b - a);
+  return { bodySize, headingSizes };
+}
+
+/* pdfjs text items of one page -> blocks
+   items are grouped into lines by their y position, lines into paragraphs by the gap between them.
+   a line set in a bigger font than the page body is a heading, a line with wide gaps between its
+   items is a table row, a line starting with a bullet or number a list item */
+export function pdfItemsToBlocks(items, page, layout = pdfLayout(items)) {
+  const { bodySize, headingSizes } = layout;
+  const pieces = items
+    .filter(item => typeof item.str === 'string' && item.str.trim())
+    .map(item => ({
+      text: item.str,
+      x: item.transform[4],
+      y: item.transform[5],
+      width: item.width || 0,
+      size: fontSize(item)
+    }))
+    .sort((a, b) => b.y - a.y || a.x - b.x);
+
+  // lines, top to bottom
+  const lines = [];
+  pieces.forEach(piece => {
+    const line = lines[lines.length - 1];
+    if (line && Math.abs(line.y - piece.y) <= Math.max(line.size, piece.size) * 0.5) {
+      line.pieces.push(piece);
+      line.size = Math.max(line.size, piece.size);
+    } else {
+      lines.push({ y: piece.y, size: piece.size, pieces: [piece] });
+    }
+  });
+
+  lines.forEach(line => {
+    line.pieces.sort((a, b) => a.x - b.x);
+    line.x = line.pieces[0].x;
+    line.cells = [''];
+    line.pieces.forEach((piece, index) => {
+      const previous = line.pieces[index - 1];
+      const gap = previous ? piece.x - (previous.x + previous.width) : 0;
+      if (previous && gap > line.size * 2) line.cells.push('');
+      else if (previous && gap > line.size * 0.15 && !/\s$/.test(previous.text) && !/^\s/.test(piece.text)) line.cells[line.cells.length - 1] += ' ';
+      line.cells[line.cells.length - 1] += piece.text;
+    });
+    line.cells = line.cells.map(cell => cell.replace(/\s+/g, ' ').trim()).filter(Boolean);
+    line.text = line.cells.join(' ');
+  });
+
+  const blocks = [];
+  let previousLine = null;
+  let tableRows = 0;
+  let table = 0;
+
+  lines.forEach(line => {
+    if (/^\d{1,4}$/.test(line.text)) return; // page number
+
+    const gap = previousLine ? previousLine.y - line.y : Infinity;
+    const last = blocks[blocks.length - 1];
+    const isHeading = line.size >= bodySize * 1.15 && line.text.length <= 120 && line.cells.length === 1;
+
+    if (isHeading) {
+      const level = Math.min(Math.max(headingSizes.indexOf(line.size), 0) + 1, 6);
+      // a heading broken over two lines
+      if (last?.type === 'heading' && last.level === level && gap <= line.size * 1.5) last.text += ` ${line.text}`;
+      else blocks.push({ type: 'heading', level, text: line.text, page });
+      tableRows = 0;
+    } else if (line.cells.length >= 2) {
+      if (tableRows === 0) table++;
+      blocks.push({ type: 'table_row', text: line.cells.join(' | '), cells: line.cells, header: tableRows === 0, table, page });
+      tableRows++;
+    } else if (PDF_BULLET.test(line.text) && line.text.replace(PDF_BULLET, '').length > 0) {
+      blocks.push({ type: 'list_item', text: line.text.replace(/^[•▪◦●■]\s*/, '- '), page, x: line.x });
+      tableRows = 0;
+    } else {
+      const continues = last && gap <= line.size * 1.8 && (
+        last.type === 'paragraph' ||
+        (last.type === 'list_item' && line.x > last.x + line.size * 0.5) // wrapped list item
+      );
+      if (continues) {
+        // "inter-" + "national" -> "international"
+        last.text = /[a-z]-$/.test(last.text) && /^[a-z]/.test(line.text)
+          ? last.text.slice(0, -1) + line.text
+          : `${last.text} ${line.text}`;
+      } else {
+        blocks.push({ type: 'paragraph', text: line.text, page });
+      }
+      tableRows = 0;
+    }
+    previousLine = line;
+  });
+
+  return blocks.map(({ x, ...block }) => block);
+}
+
+// ********** chunking **********
+
+/* words of a block that is bigger than a chunk on its own, split at sentences (then words) */
+function splitOversized(block, maxTokens) {
+  const units = [];
+  splitSentences(block.text).forEach(sentence => {
+    if (countTokens(sentence) <= maxTokens) {
+      units.push(sentence);
+      return;
+    }
+    let piece = [];
+    sentence.split(/\s+/).forEach(word => {
+      if (piece.length > 0 && countTokens([...piece, word].join(' ')) > maxTokens) {
+        units.push(piece.join(' '));
+        piece = [];
+      }
+      piece.push(word);
+    });
+    if (piece.length > 0) units.push(piece.join(' '));
+  });
+  return units.map((text, index) => ({ ...block, text, continued: index > 0 }));
+}
+
+/* blocks -> chunks [{ content, heading, headings, page, pageEnd, tokens }], record chunks also have
+   { row, fields, label } (label is the value in the first column)
+   heading is the nearest heading above the chunk, headings the whole path ("Shuttle > Weekends"),
+   which is also the first line of the content so the chunk reads on its own.
+   overlap repeats the last blocks (or sentences) of the previous chunk when a section goes on */
+export function chunkBlocks(blocks, options = {}) {
+  const { maxTokens = DEFAULT_CHUNK_TOKENS, overlapTokens = DEFAULT_OVERLAP_TOKENS } = options;
+  const chunks = [];
+  const headings = [];
+  const tableHeaders = new Map();
+  let units = [];
+  let carried = 0; // units at the start of units that repeat the previous chunk
+
+  const usedTokens = () => units.reduce((sum, unit) => sum + countTokens(unit.text), 0);
+
+  const headingPath = () => headings.filter(Boolean).join(' > ');
+
+  const render = (parts) => {
+    const lines = [];
+    parts.forEach((unit, index) => {
+      if (index > 0 && unit.continued) lines[lines.length - 1] += ` ${unit.text}`;
+      else lines.push(unit.text);
+    });
+    return lines.join('\n');
+  };
+
+  const flush = (overlap) => {
+    // nothing new since the last chunk
+    if (units.length <= carried) {
+      units = [];
+      carried = 0;
+      return;
+    }
+    // a table header at the very end goes with its rows into the next chunk
+    const last = units[units.length - 1];
+    const held = overlap && units.length - carried > 1 && last.type === 'table_row' && last.header ? units.splice(-1) : [];
+    const path = headingPath();
+    const first = units[0];
+    // a table that goes on from the previous chunk gets its header row again
+    const header = first.type === 'table_row' && !first.header ? tableHeaders.get(first.table) : null;
+    const body = render(header ? [header, ...units] : units);
+    const content = path ? `${path}\n\n${body}` : body;
+    const pages = units.map(unit => unit.page).filter(Boolean);
+
+    chunks.push({
+      content,
+      heading: headings.filter(Boolean).pop() || null,
+      headings: path || null,
+      page: pages[0] ?? null,
+      pageEnd: pages[pages.length - 1] ?? null,
+      tokens: countTokens(content)
+    });
+
+    // keep the tail for the next chunk of the same section, never the whole chunk
+    let tail = [];
+    if (overlap && overlapTokens > 0) {
+      let tokens = 0;
+      for (let i = units.length - 1; i > 0; i--) {
+        tokens += countTokens(units[i].text);
+        if (tokens > overlapTokens) break;
+        tail = units.slice(i);
+      }
+    }
+    units = tail.map(unit => ({ ...unit, continued: false }));
+    carried = units.length;
+    units.push(...held);
+  };
+
+  blocks.forEach(block => {
+    if (block.type === 'record') {
+      flush(false);
+      const path = headingPath();
+      const content = path ? `${path}\n\n${block.text}` : block.text;
+      chunks.push({
+        content,
+        heading: headings.filter(Boolean).pop() || null,
+        headings: path || null,
+        page: null,
+        pageEnd: null,
+        tokens: countTokens(content),
+        row: block.row,
+        fields: block.fields,
+        label: Object.values(block.fields)[0]
+      });
+      return;
+    }
+    if (block.type === 'heading') {
+      flush(false);
+      headings.length = Math.max(block.level - 1, 0);
+      headings[block.level - 1] = block.text;
+      return;
+    }
+    if (block.type === 'table_row' && block.header) tableHeaders.set(block.table, block);
+
+    const budget = Math.max(maxTokens - countTokens(headingPath()), 20);
+    const parts = countTokens(block.text) > budget ? splitOversized(block, budget) : [block];
+    parts.forEach(part => {
+      const size = countTokens(part.text);
+      if (usedTokens() + size > budget) {
+        flush(true);
+        // the overlap alone leaves no room for this part
+        if (usedTokens() + size > budget) {
+          units = [];
+          carried = 0;
+        }
+      }
+      units.push(part);
+    });
+  });
+  flush(false);
+
+  return chunks;
+}
@@ -0,0 +1,282 @@
+import fs from 'fs';
+import path from 'path';
+import { getDocumentProxy } from 'unpdf';
+import mammoth from 'mammoth';
+import { htmlToBlocks, markdownToBlocks, pdfItemsToBlocks, pdfLayout, tableToBlocks, textToBlocks } from './documentChunker.js';
+import { parseCSV, readXLSX } from './spreadsheet.js';
+
+/* extractor registry - file extension -> extractor(filePath) returning { text, blocks }
+   raw documents (documentProcessor.js), uploads (kbUploads.js) and consolidate-knowledge.js all
+   read files through extractDocument, so a type added here is picked up everywhere.
+   blocks keep the layout (see documentChunker.js), text is the plain text of the blocks.
+   extractors dont throw, text is '' or an "[Error extracting ...]" note when nothing was read */
+
+// plain text of blocks, one block per line
+function blocksToText(blocks) {
+  return blocks.map(block => block.text).join('\n');
+}
+
+// ********** text and markdown **********
+
+/* extact blocks from txt file */
+async function extractFromTXT(filePath) {
+  try {
+    const text = await fs.promises.readFile(filePath, 'utf-8');
+    return { text, blocks: textToBlocks(text) };
+  } catch (error) {
+    console.error(`Error reading TXT file ${filePath}:`, error);
+    return { text: '', blocks: [] };
+  }
+}
+
+/* extact blocks from markdown file, front matter / links / code fences handled */
+async function extractFromMarkdown(filePath) {
+  try {
+    const markdown = await fs.promises.readFile(filePath, 'utf-8');
+    const blocks = markdownToBlocks(markdown);
+    return { text: blocksToText(blocks), blocks };
+  } catch (error) {
+    console.error(`Error reading Markdown file ${filePath}:`, error);
+    return { text: '', blocks: [] };
+  }
+}
+
+// ********** pdf and docx **********
+
+/* extact blocks from pdf file, lines rebuilt from text item positions */
+async function extractFromPDF(filePath) {
+  try {
+    console.log(`Extracting text from PDF: ${path.basename(filePath)}`);
+
+    // red PDF file as buffer
+    const buffer = await fs.promises.readFile(filePath);
+
+    // convert Buffer to Uint8Aray (required by unpdf)
+    const uint8Array = new Uint8Array(buffer);
+
+    // get PDF document proxy
+    const pdf = await getDocumentProxy(uint8Array);
+
+    const numPages = pdf.numPages;
+
+    console.log(`   Processing ${numPages} pages...`);
+
+    // text items of each page, font sizes are compared across the whole document
+    const pages = [];
+    for (let i = 1; i <= numPages; i++) {
+      const page = await pdf.getPage(i);
+      const textContent = await page.getTextContent();
+      pages.push(textContent.items);
+    }
+
+    const layout = pdfLayout(pages.flat());
+    const blocks = pages.flatMap((items, index) => pdfItemsToBlocks(items, index + 1, layout));
+    const text = blocksToText(blocks);
+
+    console.log(`   Extracted ${text.length} characters (${blocks.length} blocks) from PDF`);
+    return { text, blocks };
+
+  } catch (error) {
+    console.error(`Error reading PDF file ${filePath}:`, error.message);
+    return { text: `[Error extracting PDF: ${path.basename(filePath)}]`, blocks: [] };
+  }
+}
+
+/* extract blocks from docx file, through mammoths html so headings, lists and tables survive */
+async function extractFromDOCX(filePath) {
+  try {
+    console.log(`Extracting text from DOCX: ${path.basename(filePath)}`);
+
+    // read DOCX file as bufer
+    const buffer = await fs.promises.readFile(filePath);
+
+    // convert to html using mammoth (word heading styles become h1-h6)
+    const result = await mammoth.convertToHtml({ buffer });
+    const blocks = htmlToBlocks(result.value);
+    const text = blocksToText(blocks);
+
+    if (result.messages && result.messages.length > 0) {
+      console.warn('   Mammoth warnings:', result.messages);
+    }
+
+    console.log(`   Extracted ${text.length} characters (${blocks.length} blocks) from DOCX`);
+    return { text, blocks };
+
+  } catch (error) {
+    console.error(`Error reading DOCX file ${filePath}:`, error.message);
+    return { text: `[Error extracting DOCX: ${path.basename(filePath)}]`, blocks: [] };
+  }
+}
+
+// ********** saved html pages **********
+
+const VOID_TAGS = new Set(['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr']);
+
+// site furniture around the content of a department page
+const BOILERPLATE_TAGS = new Set(['nav', 'aside', 'footer', 'form', 'svg', 'iframe', 'button', 'select', 'dialog']);
+const BOILERPLATE_ROLES = /^(navigation|banner|contentinfo|search|complementary|dialog|alert)$/i;
+const BOILERPLATE_NAMES = /(^|[\s_-])(nav|navbar|navigation|breadcrumbs?|sidebar|footer|cookies?|skip|social|share)([\s_-]|$)/i;
+
+/* { start, end, innerStart, innerEnd } of the element whose opening tag ends at openEnd,
+   counting nested elements of the same tag. null when it is never closed */
+function elementBounds(html, tag, start, openEnd) {
+  const tags = new RegExp(`<(/?)${tag}\\b[^>]*>`, 'gi');
+  tags.lastIndex = openEnd;
+  let depth = 1;
+  let match;
+  while ((match = tags.exec(html))) {
+    depth += match[1] ? -1 : 1;
+    if (depth === 0) return { start, end: tags.lastIndex, innerStart: openEnd, innerEnd: match.index };
+  }
+  return null;
+}
+
+/* outermost elements test(tag, attributes) accepts, in document order */
+function findElements(html, test) {
+  const found = [];
+  const opening = /<([a-zA-Z][\w-]*)\b([^>]*)>/g;
+  let match;
+  while ((match = opening.exec(html))) {
+    const tag = match[1].toLowerCase();
+    if (VOID_TAGS.has(tag) || match[2].trim().endsWith('/') || !test(tag, match[2])) continue;
+    const bounds = elementBounds(html, tag, match.index, opening.lastIndex);
+    if (!bounds) continue;
+    found.push(bounds);
+    opening.lastIndex = bounds.end;
+  }
+  return found;
+}
+
+function innerHtml(html, test) {
+  const [element] = findElements(html, test);
+  return element ? html.slice(element.innerStart, element.innerEnd) : null;
+}
+
+function removeElements(html, test) {
+  let kept = '';
+  let position = 0;
+  findElements(html, test).forEach(element => {
+    kept += html.slice(position, element.start);
+    position = element.end;
+  });
+  return kept + html.slice(position);
+}
+
+/* the main content of a saved page, without navigation, headers, footers, sidebars and forms.
+   <main> (or role="main"), else the only <article>, else <body> with its <header> dropped too */
+export function mainContent(html) {
+  const page = String(html)
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<(script|style|noscript|template)\b[\s\S]*?<\/\1\s*>/gi, '');
+  const body = innerHtml(page, tag => tag === 'body') ?? page;
+
+  let content = innerHtml(body, (tag, attrs) => tag === 'main' || /\brole\s*=\s*["']?main\b/i.test(attrs));
+  if (content === null && (body.match(/<article\b/gi) || []).length === 1) {
+    content = innerHtml(body, tag => tag === 'article');
+  }
+  // a page header inside <main> is usually the page title, outside it is the site banner
+  const dropHeader = content === null;
+
+  return removeElements(content ?? body, (tag, attrs) => {
+    if (BOILERPLATE_TAGS.has(tag) || (dropHeader && tag === 'header')) return true;
+    const role = attrs.match(/\brole\s*=\s*["']?([\w-]+)/i)?.[1];
+    const name = [...attrs.matchAll(/\b(?:class|id)\s*=\s*(?:"([^"]*)"|'([^']*)')/gi)].map(match => match[1] ?? match[2]).join(' ');
+    return Boolean(role && BOILERPLATE_ROLES.test(role)) || BOILERPLATE_NAMES.test(name);
+  });
+}
+
+/* <title> without the site name ("Final Exams | Computer Science | State U" -> "Final Exams") */
+function pageTitle(html) {
+  const title = String(html).match(/<title\b[^>]*>([\s\S]*?)<\/title>/i)?.[1];
+  if (!title) return null;
+  const [first] = htmlToBlocks(title).map(block => block.text);
+  return first ? first.split(/\s+[|–—·]\s+|\s+-\s+/)[0].trim() : null;
+}
+
+/* saved page html -> { title, blocks }, the page title is the top heading when the content has none */
+export function htmlPageBlocks(html) {
+  const title = pageTitle(html);
+  const blocks = htmlToBlocks(mainContent(html));
+  if (title && !blocks.some(block => block.type === 'heading' && block.level === 1)) {
+    blocks.unshift({ type: 'heading', level: 1, text: title });
+  }
+  return { title, blocks };
+}
+
+/* extact blocks from a saved html page, main content only */
+async function extractFromHTML(filePath) {
+  try {
+    const html = await fs.promises.readFile(filePath, 'utf-8');
+    const { blocks } = htmlPageBlocks(html);
+    return { text: blocksToText(blocks), blocks };
+  } catch (error) {
+    console.error(`Error reading HTML file ${filePath}:`, error.message);
+    return { text: `[Error extracting HTML: ${path.basename(filePath)}]`, blocks: [] };
+  }
+}
+
+// ********** spreadsheets **********
+
+/* extact one record block per row from a csv file, the first full row is the header */
+async function extractFromCSV(filePath) {
+  try {
+    const blocks = tableToBlocks(parseCSV(await fs.promises.readFile(filePath, 'utf-8')));
+    return { text: blocksToText(blocks), blocks };
+  } catch (error) {
+    console.error(`Error reading CSV file ${filePath}:`, error.message);
+    return { text: `[Error extracting CSV: ${path.basename(filePath)}]`, blocks: [] };
+  }
+}
+
+/* extact record blocks from every visible sheet of an xlsx workbook, sheets become headings
+   (unless it is a single "Sheet1") */
+async function extractFromXLSX(filePath) {
+  try {
+    console.log(`Extracting rows from XLSX: ${path.basename(filePath)}`);
+    const sheets = readXLSX(await fs.promises.readFile(filePath));
+    const named = sheets.length > 1 || sheets.some(sheet => !/^sheet\s*\d*$/i.test(sheet.name));
+    const blocks = sheets.flatMap(sheet => {
+      const rows = tableToBlocks(sheet.rows, { level: named ? 2 : 1 });
+      if (rows.length === 0) return [];
+      return named ? [{ type: 'heading', level: 1, text: sheet.name }, ...rows] : rows;
+    });
+    const text = blocksToText(blocks);
+    console.log(`   Extracted ${blocks.filter(block => block.type === 'record').length} rows from ${sheets.length} sheets`);
+    return { text, blocks };
+  } catch (error) {
+    console.error(`Error reading XLSX file ${filePath}:`, error.message);
+    return { text: `[Error extracting XLSX: ${path.basename(filePath)}]`, blocks: [] };
+  }
+}
+
+// ********** registry **********
+
+const EXTRACTORS = {
+  '.txt': extractFromTXT,
+  '.md': extractFromMarkdown,
+  '.markdown': extractFromMarkdown,
+  '.pdf': extractFromPDF,
+  '.docx': extractFromDOCX,
+  '.html': extractFromHTML,
+  '.htm': extractFromHTML,
+  '.csv': extractFromCSV,
+  '.xlsx': extractFromXLSX
+};
+
+// file types extractDocument can read
+export const DOCUMENT_EXTENSIONS = Object.keys(EXTRACTORS);
+
+export function isDocumentFile(fileName) {
+  return DOCUMENT_EXTENSIONS.includes(path.extname(fileName).toLowerCase());
+}
+
+/* extact { text, blocks } from any suported file type */
+export async function extractDocument(filePath) {
+  const ext = path.extname(filePath).toLowerCase();
+  const extract = EXTRACTORS[ext];
+  if (!extract) {
+    console.warn(`Unsupported file type: ${ext}`);
+    return { text: '', blocks: [] };
+  }
+  return extract(filePath);
+}
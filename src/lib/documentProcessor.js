@@ -1,13 +1,20 @@
 import fs from 'fs';
 import path from 'path';
-import { getDocumentProxy } from 'unpdf';
-import mammoth from 'mammoth';
+import { findRelevantChunks, getBuildSources, keywordSearch } from './vectorStore.js';
+import { chunkBlocks, textToBlocks } from './documentChunker.js';
+import { DOCUMENT_EXTENSIONS, extractDocument, isDocumentFile } from './documentExtractors.js';
+import { getEmbeddingProvider } from './providers/index.js';
 
 /* docment processing library for knowledge base
-   handels txt pdf and docx files */
+   handels every file type in the extractor registry (documentExtractors.js: txt, md, pdf, docx,
+   html, csv, xlsx) and turns them into chunks in the unified kb format
+   extractors keep the layout as blocks (headings, lists, table rows, pages), documentChunker.js
+   cuts those into token sized chunks */
 
 const KNOWLEDGE_BASE_PATH = path.join(process.cwd(), 'knowledge-base');
 
+export { DOCUMENT_EXTENSIONS, extractDocument };
+
 // ********** document cache - prevents re extracting pdfs every request **********
 let documentCache = null;
 let cacheTimestamp = null;
@@ -33,125 +40,20 @@ function setCachedDocuments(documents) {
   console.log('Documents cached for 5 minuts');
 }
 
-/* extact text from txt file */
-async function extractTextFromTXT(filePath) {
-  try {
-    const text = await fs.promises.readFile(filePath, 'utf-8');
-    return text;
-  } catch (error) {
-    console.error(`Error reading TXT file ${filePath}:`, error);
-    return '';
-  }
+/* extact plain text from any suported file type */
+export async function extractText(filePath) {
+  return (await extractDocument(filePath)).text;
 }
 
-/* extact text from pdf file */
-async function extractTextFromPDF(filePath) {
-  try {
-    console.log(`Extracting text from PDF: ${path.basename(filePath)}`);
-    
-    // red PDF file as buffer
-    const buffer = await fs.promises.readFile(filePath);
-    
-    // convert Buffer to Uint8Aray (required by unpdf)
-    const uint8Array = new Uint8Array(buffer);
-    
-    // get PDF document proxy
-    const pdf = await getDocumentProxy(uint8Array);
-    
-    let fullText = '';
-    const numPages = pdf.numPages;
-    
-    console.log(`   Processing ${numPages} pages...`);
-    
-    // extact text from each page
-    for (let i = 1; i <= numPages; i++) {
-      const page = await pdf.getPage(i);
-      const textContent = await page.getTextContent();
-      
-      // combine all text itms from the page
-      const pageText = textContent.items
-        .map(item => item.str)
-        .join(' ');
-      
-      fullText += pageText + '\n\n';
-    }
-    
-    console.log(`   Extracted ${fullText.length} characters from PDF`);
-    return fullText.trim();
-    
-  } catch (error) {
-    console.error(`Error reading PDF file ${filePath}:`, error.message);
-    return `[Error extracting PDF: ${path.basename(filePath)}]`;
-  }
+/* split blocks into chnks - options { maxTokens, overlapTokens } (see documentChunker.js)
+   returns [{ content, heading, headings, page, pageEnd, tokens }] */
+export function chunkDocument(blocks, options = {}) {
+  return chunkBlocks(blocks, options);
 }
 
-/* extract text from docx file */
-async function extractTextFromDOCX(filePath) {
-  try {
-    console.log(`Extracting text from DOCX: ${path.basename(filePath)}`);
-    
-    // read DOCX file as bufer
-    const buffer = await fs.promises.readFile(filePath);
-    
-    // extact text using mammoth
-    const result = await mammoth.extractRawText({ buffer });
-    const text = result.value;
-    
-    if (result.messages && result.messages.length > 0) {
-      console.warn('   Mammoth warnings:', result.messages);
-    }
-    
-    console.log(`   Extracted ${text.length} characters from DOCX`);
-    return text.trim();
-    
-  } catch (error) {
-    console.error(`Error reading DOCX file ${filePath}:`, error.message);
-    return `[Error extracting DOCX: ${path.basename(filePath)}]`;
-  }
-}
-
-/* extact text from any suported file type */
-async function extractText(filePath) {
-  const ext = path.extname(filePath).toLowerCase();
-  
-  switch (ext) {
-    case '.txt':
-      return extractTextFromTXT(filePath);
-    case '.pdf':
-      return extractTextFromPDF(filePath);
-    case '.docx':
-      return extractTextFromDOCX(filePath);
-    default:
-      console.warn(`Unsupported file type: ${ext}`);
-      return '';
-  }
-}
-
-/* split text into chnks for better procesing */
-function chunkText(text, chunkSize = 1000, overlap = 200) {
-  const chunks = [];
-  const sentences = text.split(/[.!?]\s+/);
-  
-  let currentChunk = '';
-  
-  for (const sentence of sentences) {
-    if ((currentChunk + sentence).length > chunkSize && currentChunk.length > 0) {
-      chunks.push(currentChunk.trim());
-      
-      // keep last part for ovrlap
-      const words = currentChunk.split(' ');
-      const overlapWords = words.slice(-Math.floor(overlap / 5));
-      currentChunk = overlapWords.join(' ') + ' ' + sentence;
-    } else {
-      currentChunk += (currentChunk ? ' ' : '') + sentence;
-    }
-  }
-  
-  if (currentChunk.trim()) {
-    chunks.push(currentChunk.trim());
-  }
-  
-  return chunks;
+/* split plain text into chnks, headings / lists / tables are found from markdown style markup */
+export function chunkText(text, options = {}) {
+  return chunkBlocks(textToBlocks(text), options);
 }
 
 /* get all docment files from knowledge base */
@@ -171,10 +73,9 @@ async function getAllDocuments() {
     }
     
     const files = await fs.promises.readdir(KNOWLEDGE_BASE_PATH);
-    const supportedExtensions = ['.txt', '.pdf', '.docx'];
     
     return files
-      .filter(file => supportedExtensions.includes(path.extname(file).toLowerCase()))
+      .filter(isDocumentFile)
       .map(file => path.join(KNOWLEDGE_BASE_PATH, file));
   } catch (error) {
     console.error('Error reading knowledge base:', error);
@@ -208,10 +109,10 @@ export async function loadKnowledgeBase() {
     const fileName = path.basename(filePath);
     console.log(`   Processing: ${fileName}`);
     
-    const text = await extractText(filePath);
+    const { text, blocks } = await extractDocument(filePath);
     
-    if (text && text.trim()) {
-      const chunks = chunkText(text);
+    if (text && text.trim() && blocks.length > 0) {
+      const chunks = chunkDocument(blocks);
       
       documents.push({
         fileName,
@@ -235,51 +136,111 @@ export async function loadKnowledgeBase() {
   return documents;
 }
 
-/* simple keyword based serch through docments */
-export function searchDocuments(documents, query, maxResults = 5) {
-  console.log(`Searching documents for: "${query}"`);
-  
-  if (!documents || documents.length === 0) {
-    console.log('   No documents to search');
-    return [];
-  }
-  
-  const queryTerms = query.toLowerCase().split(/\s+/).filter(term => term.length > 2);
-  const results = [];
-  
-  for (const doc of documents) {
-    for (let i = 0; i < doc.chunks.length; i++) {
-      const chunk = doc.chunks[i];
-      const chunkLower = chunk.toLowerCase();
-      
-      // cont matching terms
-      let matchCount = 0;
-      for (const term of queryTerms) {
-        if (chunkLower.includes(term)) {
-          matchCount++;
-        }
-      }
-      
-      if (matchCount > 0) {
-        results.push({
-          fileName: doc.fileName,
-          chunk,
-          chunkIndex: i,
-          matchCount,
-          relevanceScore: matchCount / queryTerms.length
-        });
-      }
+// map interal filenames to professional names
+const friendlyNames = {
+  'DeleteLater': 'University Staff Directory',
+  'cs_exam_schedule': 'Computer Science Exam Schedule',
+  'department_contacts': 'Department Contact Information',
+  'dining_hours_policy': 'Dining Services Information'
+};
+
+function getFriendlyName(fileName) {
+  const baseName = fileName.replace(/\.[^.]+$/, '');
+  return friendlyNames[baseName] || 'Internal University Documents';
+}
+
+/* same keyword extraction as scripts/consolidate-knowledge.js */
+function extractKeywords(text) {
+  const commonWords = new Set(['the', 'a', 'an', 'and', 'or', 'but', 'in', 'on', 'at', 'to', 'for', 'of', 'with', 'by', 'is', 'are', 'was', 'were', 'be', 'been', 'being']);
+
+  return text
+    .toLowerCase()
+    .match(/\b[a-z]{3,}\b/g)
+    ?.filter(word => !commonWords.has(word))
+    .filter((word, index, arr) => arr.indexOf(word) === index)
+    .slice(0, 20) || [];
+}
+
+/* convert a processed document into chunks shaped like unified-knowledge.json chunks
+   options override what is derived from the file name: { title, category, idPrefix, source, metadata } */
+export function documentToChunks(document, options = {}) {
+  const baseName = document.fileName.replace(/\.[^.]+$/, '');
+  const {
+    title = getFriendlyName(document.fileName),
+    category = baseName.replace(/_/g, ' ').toLowerCase(),
+    idPrefix = 'doc',
+    source = document.fileName,
+    metadata = {}
+  } = options;
+
+  return document.chunks.map((chunk, index) => {
+    const name = chunk.heading && chunk.heading !== title ? `${title} - ${chunk.heading}` : title;
+    // a spreadsheet row is named by its first column, other chunks by their part number
+    const label = chunk.row ? `${name}: ${chunk.label}` : document.chunks.length > 1 ? `${name} (part ${index + 1})` : name;
+    return {
+      id: `${idPrefix}-${baseName}-${index + 1}`,
+      title: label,
+      category,
+      content: chunk.content,
+      metadata: {
+        ...metadata,
+        source,
+        type: 'document',
+        chunk_index: index,
+        // where to cite it
+        ...(chunk.page ? { page: chunk.page } : {}),
+        ...(chunk.pageEnd && chunk.pageEnd !== chunk.page ? { page_end: chunk.pageEnd } : {}),
+        ...(chunk.heading ? { section: chunk.heading, section_path: chunk.headings } : {}),
+        ...(chunk.row ? { row: chunk.row, fields: chunk.fields } : {}),
+        tokens: chunk.tokens,
+        length: chunk.content.length
+      },
+      keywords: extractKeywords(chunk.content)
+    };
+  });
+}
+
+// embeddings for document chunks, keyed by content so unchanged chunks are not re-embedded
+const documentEmbeddings = new Map();
+
+/* embed chunks that dont have a vector yet, chunks stay keyword only if embedding fails */
+async function embedDocumentChunks(chunks) {
+  const provider = getEmbeddingProvider();
+  const keyOf = chunk => `${provider.embeddingModel}:${chunk.title}\n\n${chunk.content}`;
+  const missing = chunks.filter(chunk => !documentEmbeddings.has(keyOf(chunk)));
+
+  if (missing.length > 0) {
+    try {
+      const vectors = await provider.embed(missing.map(chunk => `${chunk.title}\n\n${chunk.content}`));
+      missing.forEach((chunk, i) => documentEmbeddings.set(keyOf(chunk), vectors[i]));
+      console.log(`   Embedded ${missing.length} document chunks`);
+    } catch (error) {
+      console.warn('   Could not embed document chunks, using keyword search for them:', error.message);
     }
   }
-  
-  // sort by relevence and return top results
-  results.sort((a, b) => b.relevanceScore - a.relevanceScore);
-  
-  const topResults = results.slice(0, maxResults);
-  
-  console.log(`   Found ${results.length} matching chunks, returning top ${topResults.length}`);
-  
-  return topResults;
+
+  return chunks.map(chunk => ({
+    ...chunk,
+    embedding: documentEmbeddings.get(keyOf(chunk)) || null
+  }));
+}
+
+// same array back while the document cache is valid, so search indexes over it can be reused
+let documentChunksCache = { documents: null, chunks: [] };
+
+/* raw documents in knowledge-base/ as unified chunks (with embeddings when possible)
+   files consolidate-knowledge.js already put into the loaded build are searched there instead */
+export async function loadDocumentChunks() {
+  const documents = await loadKnowledgeBase();
+  if (documents.length === 0) return [];
+  const built = getBuildSources();
+  const builtKey = built.join('\n');
+  if (documentChunksCache.documents === documents && documentChunksCache.builtKey === builtKey) return documentChunksCache.chunks;
+
+  const pending = documents.filter(document => !built.includes(document.fileName));
+  const chunks = await embedDocumentChunks(pending.flatMap(document => documentToChunks(document)));
+  documentChunksCache = { documents, builtKey, chunks };
+  return chunks;
 }
 
 /* format serch results for ai context */
@@ -288,47 +249,52 @@ export function formatContextFromResults(results) {
     return '';
   }
   
-  // map interal filenames to professional names
-  const friendlyNames = {
-    'DeleteLater.txt': 'University Staff Directory',
-    'cs_exam_schedule.txt': 'Computer Science Exam Schedule',
-    'department_contacts.txt': 'Department Contact Information',
-    'dining_hours_policy.txt': 'Dining Services Information'
-  };
-  
   let context = 'INTERNAL DOCUMENTS CONTEXT:\n\n';
   
-  results.forEach((result, index) => {
-    const friendlyName = friendlyNames[result.fileName] || 'Internal University Documents';
-    context += `[Document: ${friendlyName}]\n`;
-    context += `${result.chunk}\n\n`;
+  results.forEach(chunk => {
+    const page = chunk.metadata?.page ? `, page ${chunk.metadata.page}${chunk.metadata.page_end ? `-${chunk.metadata.page_end}` : ''}` : chunk.metadata?.row ? `, row ${chunk.metadata.row}` : '';
+    context += `[Document: ${chunk.title}${page}]\n`;
+    context += `${chunk.content}\n\n`;
   });
   
   return context;
 }
 
-/* main serch function - returns formated context */
-export async function getInternalContext(query) {
+/* main serch function - searches the unified knowledge base plus raw documents
+   uses vector search and falls back to keyword search, filter is a metadata expression (metadataFilter.js)
+   asOf (ISO campus date) down-ranks chunks that are out of date on that day (chunkValidity.js) */
+export async function getInternalContext(query, options = {}) {
+  const { topK = 10, minScore = 0.25, filter = null, expand = 'both', maxChildren = 5, asOf = null } = options;
+  // linked course / section chunks of the hits come along (a lab hit brings its course and vice versa)
+  const searchOptions = { expand, maxChildren, expandLimit: topK, asOf };
+
   try {
-    const documents = await loadKnowledgeBase();
-    
-    if (documents.length === 0) {
-      return null;
+    const documentChunks = await loadDocumentChunks();
+
+    let results;
+    let searchMethod;
+    try {
+      results = await findRelevantChunks(query, { topK, minScore, filter, extraChunks: documentChunks, ...searchOptions });
+      searchMethod = 'hybrid';
+    } catch (vectorError) {
+      console.warn('Vector search faild, falling back to keyword search:', vectorError.message);
+      results = keywordSearch(query, topK, { filter, extraChunks: documentChunks, ...searchOptions });
+      searchMethod = 'keyword';
     }
     
-    const results = searchDocuments(documents, query);
-    
     if (results.length === 0) {
-      console.log('   No relevant documents found');
+      console.log('   No relevant chunks found');
       return null;
     }
     
     const context = formatContextFromResults(results);
-    console.log(`Generated context from ${results.length} document chunks`);
+    console.log(`Generated context from ${results.length} chunks (${searchMethod} search)`);
     
     return {
       context,
-      sources: results.map(r => r.fileName),
+      chunks: results,
+      searchMethod,
+      sources: [...new Set(results.map(chunk => chunk.metadata?.source).filter(Boolean))],
       chunkCount: results.length
     };
   } catch (error) {
@@ -0,0 +1,166 @@
+import crypto from "crypto";
+import fs from "fs";
+
+/* compact binary sidecar for chunk embeddings (written by scripts/generate-embeddings.js)
+
+   layout (little endian):
+     "BUEV"  magic
+     uint32  version (1)
+     uint32  format (0 = float32, 1 = int8 quantized)
+     uint32  dimensions
+     uint32  count
+     float32 norms[count]      l2 norm of each original vector
+     float32 scales[count]     int8 only - value = q * scale
+     data    count * dimensions (float32 or int8)
+
+   row i belongs to the chunk with embedding_row === i
+   every build writes its own file (the kb json names it in embeddings.file with its sha256 and
+   count), so the json of one build is never read with the vectors of another */
+
+const MAGIC = 'BUEV';
+const VERSION = 1;
+const HEADER_BYTES = 20;
+const FORMATS = ['float32', 'int8'];
+
+/* l2 norm of a vector */
+export function vectorNorm(vector) {
+  let sum = 0;
+  for (let i = 0; i < vector.length; i++) sum += vector[i] * vector[i];
+  return Math.sqrt(sum);
+}
+
+/* write vectors (arrays of numbers, null for a missing row) to a sidecar file */
+export function writeEmbeddingFile(filePath, vectors, format = 'float32') {
+  const formatId = FORMATS.indexOf(format);
+  if (formatId === -1) throw new Error(`Unknown embedding format "${format}" (expected ${FORMATS.join(' or ')})`);
+
+  const count = vectors.length;
+  const dimensions = vectors.find(Boolean)?.length || 0;
+  const isInt8 = format === 'int8';
+
+  const norms = new Float32Array(count);
+  const scales = new Float32Array(isInt8 ? count : 0);
+  const data = isInt8 ? new Int8Array(count * dimensions) : new Float32Array(count * dimensions);
+
+  vectors.forEach((vector, row) => {
+    if (!vector) return; // stays all zero with norm 0
+    if (vector.length !== dimensions) {
+      throw new Error(`Embedding row ${row} has ${vector.length} dimensions, expected ${dimensions}`);
+    }
+    norms[row] = vectorNorm(vector);
+
+    if (isInt8) {
+      // symmetric per vector quantization
+      const maxAbs = vector.reduce((max, v) => Math.max(max, Math.abs(v)), 0) || 1;
+      const scale = maxAbs / 127;
+      scales[row] = scale;
+      vector.forEach((v, i) => { data[row * dimensions + i] = Math.round(v / scale); });
+    } else {
+      data.set(vector, row * dimensions);
+    }
+  });
+
+  const header = Buffer.alloc(HEADER_BYTES);
+  header.write(MAGIC, 0, 'ascii');
+  header.writeUInt32LE(VERSION, 4);
+  header.writeUInt32LE(formatId, 8);
+  header.writeUInt32LE(dimensions, 12);
+  header.writeUInt32LE(count, 16);
+
+  const file = Buffer.concat([
+    header,
+    Buffer.from(norms.buffer),
+    Buffer.from(scales.buffer),
+    Buffer.from(data.buffer)
+  ]);
+
+  // written next to the target and renamed, a server reloading the kb never reads half a file
+  const tmpPath = `${filePath}.tmp`;
+  fs.writeFileSync(tmpPath, file);
+  fs.renameSync(tmpPath, filePath);
+
+  return { format, dimensions, count, bytes: file.length, sha256: crypto.createHash('sha256').update(file).digest('hex') };
+}
+
+/* read a sidecar file into typed arrays
+   expected { sha256, count } (from the kb json) is checked when given, a mismatch means the
+   file belongs to another build */
+export function readEmbeddingFile(filePath, expected = {}) {
+  const file = fs.readFileSync(filePath);
+  if (file.toString('ascii', 0, 4) !== MAGIC) throw new Error(`${filePath} is not an embedding file`);
+  if (expected.sha256 && crypto.createHash('sha256').update(file).digest('hex') !== expected.sha256) {
+    throw new Error(`${filePath} does not match the knowledge base (sha256 differs), re-run scripts/generate-embeddings.js`);
+  }
+
+  const version = file.readUInt32LE(4);
+  if (version !== VERSION) throw new Error(`Unsupported embedding file version ${version}`);
+
+  const format = FORMATS[file.readUInt32LE(8)];
+  const dimensions = file.readUInt32LE(12);
+  const count = file.readUInt32LE(16);
+  const isInt8 = format === 'int8';
+  if (expected.count != null && count !== expected.count) {
+    throw new Error(`${filePath} has ${count} vectors, the knowledge base expects ${expected.count}`);
+  }
+
+  // copy into an aligned buffer so typed array views work
+  const buffer = file.buffer.slice(file.byteOffset, file.byteOffset + file.length);
+  let offset = HEADER_BYTES;
+  const norms = new Float32Array(buffer, offset, count);
+  offset += count * 4;
+  const scales = new Float32Array(buffer, offset, isInt8 ? count : 0);
+  offset += isInt8 ? count * 4 : 0;
+  const data = isInt8
+    ? new Int8Array(buffer, offset, count * dimensions)
+    : new Float32Array(buffer, offset, count * dimensions);
+
+  return createEmbeddingMatrix({ format, dimensions, count, norms, scales, data });
+}
+
+/* wrap typed arrays with the similarity helpers search needs */
+export function createEmbeddingMatrix({ format, dimensions, count, norms, scales, data }) {
+  const isInt8 = format === 'int8';
+
+  // raw dot product of a stored row with a float vector
+  const dotRow = (row, vector) => {
+    const base = row * dimensions;
+    let sum = 0;
+    for (let i = 0; i < dimensions; i++) sum += data[base + i] * vector[i];
+    return isInt8 ? sum * scales[row] : sum;
+  };
+
+  return {
+    format,
+    dimensions,
+    count,
+
+    hasRow(row) {
+      return row !== null && row !== undefined && row < count && norms[row] > 0;
+    },
+
+    /* float copy of a stored row */
+    vector(row) {
+      const out = new Float32Array(dimensions);
+      const base = row * dimensions;
+      for (let i = 0; i < dimensions; i++) out[i] = isInt8 ? data[base + i] * scales[row] : data[base + i];
+      return out;
+    },
+
+    /* cosine similarity of a row with a query vector, queryNorm is the norm of the query */
+    cosine(row, query, queryNorm = vectorNorm(query)) {
+      if (!norms[row] || !queryNorm || query.length !== dimensions) return 0;
+      return dotRow(row, query) / (norms[row] * queryNorm);
+    },
+
+    /* cosine similarity between two stored rows */
+    cosineRows(rowA, rowB) {
+      if (!norms[rowA] || !norms[rowB]) return 0;
+      const baseA = rowA * dimensions;
+      const baseB = rowB * dimensions;
+      let sum = 0;
+      for (let i = 0; i < dimensions; i++) sum += data[baseA + i] * data[baseB + i];
+      if (isInt8) sum *= scales[rowA] * scales[rowB];
+      return sum / (norms[rowA] * norms[rowB]);
+    }
+  };
+}
@@ -0,0 +1,188 @@
+/* hnsw approximate nearest neighbour index (hierarchical navigable small world graphs)
+   nodes are integer ids, similarity is supplied by the caller so the index works
+   on any vector storage (float32 or int8 rows from embeddingStore) */
+
+// binary heap ordered by score, max heap by default
+function createHeap(compare = (a, b) => a.score - b.score) {
+  const items = [];
+
+  const swap = (i, j) => { [items[i], items[j]] = [items[j], items[i]]; };
+
+  return {
+    get size() { return items.length; },
+    peek: () => items[0],
+    toArray: () => [...items],
+
+    push(item) {
+      items.push(item);
+      let i = items.length - 1;
+      while (i > 0) {
+        const parent = (i - 1) >> 1;
+        if (compare(items[i], items[parent]) <= 0) break;
+        swap(i, parent);
+        i = parent;
+      }
+    },
+
+    pop() {
+      const top = items[0];
+      const last = items.pop();
+      if (items.length > 0) {
+        items[0] = last;
+        let i = 0;
+        while (true) {
+          const left = 2 * i + 1;
+          const right = left + 1;
+          let best = i;
+          if (left < items.length && compare(items[left], items[best]) > 0) best = left;
+          if (right < items.length && compare(items[right], items[best]) > 0) best = right;
+          if (best === i) break;
+          swap(i, best);
+          i = best;
+        }
+      }
+      return top;
+    }
+  };
+}
+
+// small seeded prng (mulberry32) so the same data always builds the same graph
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/* similarity(idA, idB) compares two stored nodes (higher is closer) */
+export function createHNSWIndex(options) {
+  const {
+    similarity,
+    M = 16,
+    efConstruction = 100,
+    seed = 42
+  } = options;
+
+  const maxNeighbours = (layer) => (layer === 0 ? M * 2 : M);
+  const levelMultiplier = 1 / Math.log(M);
+  const random = createRandom(seed);
+
+  const neighbours = new Map(); // id -> array of neighbour id arrays, one per layer
+  let entryPoint = null;
+  let maxLayer = -1;
+
+  // best first search on one layer, returns up to ef nodes closest to the query
+  function searchLayer(scoreOf, entryIds, ef, layer) {
+    const visited = new Set(entryIds);
+    const candidates = createHeap(); // closest first
+    const results = createHeap((a, b) => b.score - a.score); // worst first
+
+    entryIds.forEach(id => {
+      const item = { id, score: scoreOf(id) };
+      candidates.push(item);
+      results.push(item);
+    });
+
+    while (candidates.size > 0) {
+      const current = candidates.pop();
+      if (results.size >= ef && current.score < results.peek().score) break;
+
+      for (const next of neighbours.get(current.id)[layer] || []) {
+        if (visited.has(next)) continue;
+        visited.add(next);
+
+        const score = scoreOf(next);
+        if (results.size < ef || score > results.peek().score) {
+          const item = { id: next, score };
+          candidates.push(item);
+          results.push(item);
+          if (results.size > ef) results.pop();
+        }
+      }
+    }
+
+    return results.toArray().sort((a, b) => b.score - a.score);
+  }
+
+  // greedy descent through the upper layers
+  function descend(scoreOf, fromLayer, toLayer) {
+    let current = entryPoint;
+    for (let layer = fromLayer; layer > toLayer; layer--) {
+      current = searchLayer(scoreOf, [current], 1, layer)[0].id;
+    }
+    return current;
+  }
+
+  /* neighbour selection heuristic from the hnsw paper - a candidate is only kept when it is
+     closer to the node than to any neighbour already kept, so links into other clusters
+     survive (keeping just the nearest ones cuts the graph into islands) */
+  function selectNeighbours(candidates, max) {
+    const selected = [];
+    const skipped = [];
+
+    for (const candidate of candidates) {
+      if (selected.length >= max) break;
+      const diverse = selected.every(kept => similarity(candidate.id, kept.id) < candidate.score);
+      (diverse ? selected : skipped).push(candidate);
+    }
+
+    // fill up with the closest skipped ones
+    return [...selected, ...skipped.slice(0, max - selected.length)].map(item => item.id);
+  }
+
+  // shrink the neighbour list of a node after adding a link
+  function prune(id, layer) {
+    const list = neighbours.get(id)[layer];
+    if (list.length <= maxNeighbours(layer)) return;
+    const candidates = list
+      .map(other => ({ id: other, score: similarity(id, other) }))
+      .sort((a, b) => b.score - a.score);
+    neighbours.get(id)[layer] = selectNeighbours(candidates, maxNeighbours(layer));
+  }
+
+  return {
+    get size() { return neighbours.size; },
+
+    add(id) {
+      const level = Math.floor(-Math.log(1 - random()) * levelMultiplier);
+      neighbours.set(id, Array.from({ length: level + 1 }, () => []));
+
+      if (entryPoint === null) {
+        entryPoint = id;
+        maxLayer = level;
+        return;
+      }
+
+      const scoreOf = other => similarity(id, other);
+      let entryIds = [descend(scoreOf, maxLayer, level)];
+
+      for (let layer = Math.min(level, maxLayer); layer >= 0; layer--) {
+        const found = searchLayer(scoreOf, entryIds, efConstruction, layer);
+        const selected = selectNeighbours(found, maxNeighbours(layer));
+
+        neighbours.get(id)[layer] = selected;
+        selected.forEach(other => {
+          neighbours.get(other)[layer].push(id);
+          prune(other, layer);
+        });
+        entryIds = found.map(item => item.id);
+      }
+
+      if (level > maxLayer) {
+        maxLayer = level;
+        entryPoint = id;
+      }
+    },
+
+    /* scoreOf(id) is the similarity of a node to the query, returns [{ id, score }] best first */
+    search(scoreOf, k, ef = Math.max(k, 50)) {
+      if (entryPoint === null) return [];
+      const start = descend(scoreOf, maxLayer, 0);
+      return searchLayer(scoreOf, [start], Math.max(ef, k), 0).slice(0, k);
+    }
+  };
+}
@@ -0,0 +1,254 @@
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+
+/* knowledge base builds - every consolidate run gets a version and a manifest (source files and
+   their hashes, chunk counts per category, embedding model) and is kept as a snapshot in
+   knowledge-base/versions/<version>/ so two builds can be diffed before a refresh is deployed
+
+   versions/<version>/
+     manifest.json
+     unified-knowledge.json
+     unified-knowledge-embedded.json + unified-knowledge-embeddings-<build>.bin   (after generate-embeddings) */
+
+export const VERSIONS_DIR = 'versions';
+export const MANIFEST_FILE = 'manifest.json';
+
+// ********** hashing **********
+
+export function sha256(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+// keys that change on every build without the data changing
+const VOLATILE_METADATA = new Set(['created']);
+
+function stableMetadata(metadata = {}) {
+  return Object.fromEntries(Object.entries(metadata).filter(([key]) => !VOLATILE_METADATA.has(key)));
+}
+
+/* hash of everything a chunk says (title, category, content, metadata), build timestamps left out */
+export function chunkFingerprint(chunk) {
+  return sha256(JSON.stringify([chunk.title, chunk.category, chunk.content, stableMetadata(chunk.metadata)]));
+}
+
+/* names, sizes and mtimes of the source json files in knowledge-base/, changes when one is
+   uploaded, replaced or removed - loaders that cache parsed sources compare it to reload */
+export function sourceFilesSignature(knowledgeDir) {
+  try {
+    return fs.readdirSync(knowledgeDir)
+      .filter(file => file.endsWith('.json') && !file.startsWith('unified-knowledge'))
+      .map(file => {
+        const stat = fs.statSync(path.join(knowledgeDir, file));
+        return `${file}:${stat.size}:${stat.mtimeMs}`;
+      })
+      .join('|');
+  } catch {
+    return '';
+  }
+}
+
+// ********** versions **********
+
+/* build time -> "20251019-153000", sorts in build order */
+export function createVersionId(date = new Date()) {
+  return date.toISOString().replace(/\.\d+Z$/, '').replace(/[-:]/g, '').replace('T', '-');
+}
+
+/* version ids under knowledge-base/versions, oldest first */
+export function listVersions(knowledgeDir) {
+  const dir = path.join(knowledgeDir, VERSIONS_DIR);
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir)
+    .filter(name => fs.existsSync(path.join(dir, name, MANIFEST_FILE)))
+    .sort();
+}
+
+export function versionDir(knowledgeDir, version) {
+  return path.join(knowledgeDir, VERSIONS_DIR, version);
+}
+
+export function readManifest(knowledgeDir, version) {
+  return JSON.parse(fs.readFileSync(path.join(versionDir(knowledgeDir, version), MANIFEST_FILE), 'utf-8'));
+}
+
+/* manifest for a consolidated knowledge base
+   sources: [{ file, path }] of every input file that was read */
+export function createManifest({ version, created = new Date().toISOString(), sources, chunks, embedding = null }) {
+  const categories = {};
+  const types = {};
+  const chunksPerSource = {};
+  chunks.forEach(chunk => {
+    categories[chunk.category] = (categories[chunk.category] || 0) + 1;
+    const type = chunk.metadata?.type || 'text';
+    types[type] = (types[type] || 0) + 1;
+    // a merged duplicate counts for every source it came from
+    const sources = chunk.metadata?.sources || [chunk.metadata?.source];
+    sources.filter(Boolean).forEach(source => { chunksPerSource[source] = (chunksPerSource[source] || 0) + 1; });
+  });
+
+  return {
+    version,
+    created,
+    sources: sources.map(source => {
+      const data = fs.readFileSync(source.path);
+      return { file: source.file, sha256: sha256(data), bytes: data.length, chunks: chunksPerSource[source.file] || 0 };
+    }),
+    total_chunks: chunks.length,
+    categories,
+    types,
+    // one hash for the whole content, equal for two builds of the same data
+    content_hash: sha256(chunks.map(chunk => `${chunk.id}:${chunkFingerprint(chunk)}`).join('\n')),
+    embedding
+  };
+}
+
+/* write a build into versions/<version>/, files is { name: contents or { copyFrom: path } } */
+export function writeSnapshot(knowledgeDir, version, manifest, files = {}) {
+  const dir = versionDir(knowledgeDir, version);
+  fs.mkdirSync(dir, { recursive: true });
+  Object.entries(files).forEach(([name, value]) => {
+    if (value?.copyFrom) fs.copyFileSync(value.copyFrom, path.join(dir, name));
+    else fs.writeFileSync(path.join(dir, name), value);
+  });
+  fs.writeFileSync(path.join(dir, MANIFEST_FILE), JSON.stringify(manifest, null, 2));
+  return dir;
+}
+
+// ********** diff **********
+
+/* line level changes of a text, { removed, added } (order kept, duplicates counted) */
+function diffLines(before = '', after = '') {
+  const count = (lines) => lines.reduce((map, line) => map.set(line, (map.get(line) || 0) + 1), new Map());
+  const beforeLines = before.split('\n');
+  const afterLines = after.split('\n');
+  const beforeCount = count(beforeLines);
+  const afterCount = count(afterLines);
+
+  const pick = (lines, other) => {
+    const seen = new Map();
+    return lines.filter(line => {
+      seen.set(line, (seen.get(line) || 0) + 1);
+      return seen.get(line) > (other.get(line) || 0) && line.trim() !== '';
+    });
+  };
+  return { removed: pick(beforeLines, afterCount), added: pick(afterLines, beforeCount) };
+}
+
+function diffMetadata(before = {}, after = {}) {
+  const a = stableMetadata(before);
+  const b = stableMetadata(after);
+  return [...new Set([...Object.keys(a), ...Object.keys(b)])]
+    .filter(key => JSON.stringify(a[key]) !== JSON.stringify(b[key]))
+    .map(key => ({ key, before: a[key], after: b[key] }));
+}
+
+/* added, removed and changed chunks between two knowledge bases ({ chunks: [...] }), matched by id */
+export function diffKnowledgeBases(oldKb, newKb) {
+  const oldChunks = new Map(oldKb.chunks.map(chunk => [chunk.id, chunk]));
+  const newChunks = new Map(newKb.chunks.map(chunk => [chunk.id, chunk]));
+  const summary = (chunk) => ({ id: chunk.id, title: chunk.title, category: chunk.category, type: chunk.metadata?.type || 'text' });
+
+  const added = newKb.chunks.filter(chunk => !oldChunks.has(chunk.id)).map(summary);
+  const removed = oldKb.chunks.filter(chunk => !newChunks.has(chunk.id)).map(summary);
+  const changed = [];
+  let unchanged = 0;
+
+  newKb.chunks.forEach(chunk => {
+    const previous = oldChunks.get(chunk.id);
+    if (!previous) return;
+    if (chunkFingerprint(previous) === chunkFingerprint(chunk)) {
+      unchanged++;
+      return;
+    }
+    changed.push({
+      ...summary(chunk),
+      title_before: previous.title !== chunk.title ? previous.title : undefined,
+      category_before: previous.category !== chunk.category ? previous.category : undefined,
+      content: diffLines(previous.content, chunk.content),
+      metadata: diffMetadata(previous.metadata, chunk.metadata)
+    });
+  });
+
+  return {
+    from: oldKb.version || null,
+    to: newKb.version || null,
+    added,
+    removed,
+    changed,
+    unchanged
+  };
+}
+
+/* diff of two manifests: source files added, removed or with a new hash, category count changes */
+export function diffManifests(oldManifest, newManifest) {
+  const oldSources = new Map((oldManifest?.sources || []).map(source => [source.file, source]));
+  const newSources = new Map((newManifest?.sources || []).map(source => [source.file, source]));
+
+  const categories = [...new Set([...Object.keys(oldManifest?.categories || {}), ...Object.keys(newManifest?.categories || {})])]
+    .map(category => ({ category, before: oldManifest?.categories?.[category] || 0, after: newManifest?.categories?.[category] || 0 }))
+    .filter(entry => entry.before !== entry.after);
+
+  const model = (manifest) => manifest?.embedding ? `${manifest.embedding.provider}/${manifest.embedding.model}` : null;
+
+  return {
+    sources: {
+      added: [...newSources.keys()].filter(file => !oldSources.has(file)),
+      removed: [...oldSources.keys()].filter(file => !newSources.has(file)),
+      changed: [...newSources.keys()].filter(file => oldSources.has(file) && oldSources.get(file).sha256 !== newSources.get(file).sha256)
+    },
+    categories,
+    embeddingModel: model(oldManifest) !== model(newManifest) ? { before: model(oldManifest), after: model(newManifest) } : null
+  };
+}
+
+function formatValue(value) {
+  if (value === undefined) return '(none)';
+  const text = typeof value === 'string' ? value : JSON.stringify(value);
+  return text.length > 80 ? `${text.slice(0, 77)}...` : text;
+}
+
+/* markdown report for reviewers */
+export function formatDiffReport(diff, manifestDiff = null) {
+  const lines = [`# Knowledge base diff: ${diff.from || '?'} -> ${diff.to || '?'}`, ''];
+  lines.push(`${diff.added.length} added, ${diff.removed.length} removed, ${diff.changed.length} changed, ${diff.unchanged} unchanged chunks`);
+
+  if (manifestDiff) {
+    const { sources, categories, embeddingModel } = manifestDiff;
+    if (sources.added.length || sources.removed.length || sources.changed.length) {
+      lines.push('', '## Source files');
+      sources.added.forEach(file => lines.push(`+ ${file}`));
+      sources.removed.forEach(file => lines.push(`- ${file}`));
+      sources.changed.forEach(file => lines.push(`~ ${file}`));
+    }
+    if (categories.length) {
+      lines.push('', '## Chunks per category');
+      categories.forEach(entry => lines.push(`- ${entry.category}: ${entry.before} -> ${entry.after}`));
+    }
+    if (embeddingModel) {
+      lines.push('', `## Embedding model\n${embeddingModel.before || '(none)'} -> ${embeddingModel.after || '(none)'}`);
+    }
+  }
+
+  if (diff.added.length) {
+    lines.push('', '## Added');
+    diff.added.forEach(chunk => lines.push(`+ ${chunk.id}: ${chunk.title} (${chunk.category})`));
+  }
+  if (diff.removed.length) {
+    lines.push('', '## Removed');
+    diff.removed.forEach(chunk => lines.push(`- ${chunk.id}: ${chunk.title} (${chunk.category})`));
+  }
+  if (diff.changed.length) {
+    lines.push('', '## Changed');
+    diff.changed.forEach(chunk => {
+      lines.push('', `### ${chunk.id}: ${chunk.title}`);
+      if (chunk.title_before) lines.push(`title: ${chunk.title_before} -> ${chunk.title}`);
+      if (chunk.category_before) lines.push(`category: ${chunk.category_before} -> ${chunk.category}`);
+      chunk.content.removed.forEach(line => lines.push(`- ${line}`));
+      chunk.content.added.forEach(line => lines.push(`+ ${line}`));
+      chunk.metadata.forEach(change => lines.push(`metadata.${change.key}: ${formatValue(change.before)} -> ${formatValue(change.after)}`));
+    });
+  }
+
+  return lines.join('\n');
+}
@@ -0,0 +1,152 @@
+import fs from "fs";
+import path from "path";
+import { execFile } from "child_process";
+import { promisify } from "util";
+import { VERSIONS_DIR, diffKnowledgeBases, versionDir } from "./kbManifest.js";
+import { getKnowledgeStats, reloadKnowledgeBase } from "./vectorStore.js";
+
+/* publishes a new knowledge base version from what is in knowledge-base/ - runs the same two
+   scripts a developer would (consolidate, then incremental embeddings) and swaps the result in
+   needs a writable file system, so it works on a long running server, not on serverless */
+
+const execFileAsync = promisify(execFile);
+
+const KNOWLEDGE_DIR = path.join(process.cwd(), "knowledge-base");
+const SCRIPTS_DIR = path.join(process.cwd(), "scripts");
+const PUBLISH_TIMEOUT_MS = Number(process.env.KB_PUBLISH_TIMEOUT_MS || 10 * 60 * 1000);
+const LOG_LINES = 40;
+
+// publishes run one after another, two uploads at once would race on the same files
+let queue = Promise.resolve();
+
+/* run task (stage files, publish, roll back) while no other publish runs */
+export function withPublishLock(task) {
+  const run = queue.then(task);
+  queue = run.catch(() => {});
+  return run;
+}
+
+function tail(text) {
+  return text.split('\n').filter(line => line.trim()).slice(-LOG_LINES).join('\n');
+}
+
+async function runScript(name) {
+  try {
+    const { stdout, stderr } = await execFileAsync(process.execPath, [path.join(SCRIPTS_DIR, name)], {
+      cwd: process.cwd(),
+      env: process.env,
+      timeout: PUBLISH_TIMEOUT_MS,
+      maxBuffer: 10 * 1024 * 1024
+    });
+    return stdout + stderr;
+  } catch (error) {
+    const failure = new Error(`${name} failed${error.killed ? ' (timed out)' : ''}`);
+    failure.log = tail([error.stdout, error.stderr].filter(Boolean).join('\n'));
+    throw failure;
+  }
+}
+
+function readSnapshot(version) {
+  if (!version) return null;
+  const dir = versionDir(KNOWLEDGE_DIR, version);
+  const file = ['unified-knowledge.json', 'unified-knowledge-embedded.json']
+    .map(name => path.join(dir, name))
+    .find(candidate => fs.existsSync(candidate));
+  return file ? JSON.parse(fs.readFileSync(file, 'utf-8')) : null;
+}
+
+/* added / removed / changed chunk counts between two builds, null when a snapshot is missing */
+function summarizeChanges(fromVersion, toVersion) {
+  const before = readSnapshot(fromVersion);
+  const after = readSnapshot(toVersion);
+  if (!before || !after) return null;
+
+  const diff = diffKnowledgeBases(before, after);
+  return {
+    added: diff.added.length,
+    removed: diff.removed.length,
+    changed: diff.changed.length,
+    unchanged: diff.unchanged,
+    addedIds: diff.added.slice(0, 20).map(chunk => chunk.id),
+    changedIds: diff.changed.slice(0, 20).map(chunk => chunk.id)
+  };
+}
+
+// ********** rollback of generated files **********
+
+// what the two scripts write into knowledge-base/
+const GENERATED_FILES = ['unified-knowledge.json', 'unified-knowledge-embedded.json'];
+const isEmbeddingFile = name => name.startsWith('unified-knowledge-embeddings') && name.endsWith('.bin');
+
+function listDir(dir) {
+  return fs.existsSync(dir) ? fs.readdirSync(dir) : [];
+}
+
+/* the generated kb files as they are now, restore() puts them back and removes the vector files
+   and versions/ snapshots written since */
+function backupGeneratedFiles() {
+  const saved = new Map(GENERATED_FILES.map(name => {
+    const file = path.join(KNOWLEDGE_DIR, name);
+    return [name, fs.existsSync(file) ? fs.readFileSync(file) : null];
+  }));
+  const embeddingFiles = new Set(listDir(KNOWLEDGE_DIR).filter(isEmbeddingFile));
+  const versions = new Set(listDir(path.join(KNOWLEDGE_DIR, VERSIONS_DIR)));
+
+  return {
+    restore() {
+      saved.forEach((contents, name) => {
+        const file = path.join(KNOWLEDGE_DIR, name);
+        if (contents === null) {
+          fs.rmSync(file, { force: true });
+          return;
+        }
+        // temp file + rename like the scripts, the watcher never reads half a file
+        fs.writeFileSync(`${file}.tmp`, contents);
+        fs.renameSync(`${file}.tmp`, file);
+      });
+      listDir(KNOWLEDGE_DIR)
+        .filter(name => isEmbeddingFile(name) && !embeddingFiles.has(name))
+        .forEach(name => fs.rmSync(path.join(KNOWLEDGE_DIR, name), { force: true }));
+      listDir(path.join(KNOWLEDGE_DIR, VERSIONS_DIR))
+        .filter(name => !versions.has(name))
+        .forEach(name => fs.rmSync(versionDir(KNOWLEDGE_DIR, name), { recursive: true, force: true }));
+    }
+  };
+}
+
+// ********** publish **********
+
+/* consolidate + embed + reload, returns { previousVersion, version, totalChunks, changes, log }
+   throws (with error.log) when a step fails - the generated files are put back first, so the kb
+   that was serving keeps serving and stays the one on disk
+   call it inside withPublishLock */
+export async function publishKnowledgeBase() {
+  const previousVersion = getKnowledgeStats().version;
+  const backup = backupGeneratedFiles();
+  const log = [];
+
+  try {
+    log.push(await runScript('consolidate-knowledge.js'));
+    log.push(await runScript('generate-embeddings.js'));
+
+    const reload = reloadKnowledgeBase();
+    if (!reload.reloaded) {
+      const failure = new Error(`New build could not be loaded: ${reload.error}`);
+      failure.log = tail(log.join('\n'));
+      throw failure;
+    }
+  } catch (error) {
+    backup.restore();
+    throw error;
+  }
+
+  const stats = getKnowledgeStats();
+  return {
+    previousVersion,
+    version: stats.version,
+    totalChunks: stats.totalChunks,
+    sources: stats.manifest?.sources || [],
+    changes: summarizeChanges(previousVersion, stats.version),
+    log: tail(log.join('\n'))
+  };
+}
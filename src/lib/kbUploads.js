@@ -0,0 +1,141 @@
+import fs from "fs";
+import path from "path";
+import { DOCUMENT_EXTENSIONS, chunkDocument, documentToChunks, extractDocument, extractText } from "./documentProcessor.js";
+import { validateSource } from "./sourceSchemas.js";
+
+/* admin uploaded knowledge
+   - json sources (banner exports, dining hours) go into knowledge-base/ next to the others, so the
+     course and dining engines read them too
+   - documents (any type in the extractor registry: pdf, docx, txt, md, html, csv, xlsx) go into
+     knowledge-base/uploads/ with their title and category in uploads/index.json,
+     consolidate-knowledge.js turns them into kb chunks */
+
+export const UPLOADS_DIR = 'uploads';
+export const UPLOAD_INDEX_FILE = 'index.json';
+export const UPLOAD_EXTENSIONS = [...DOCUMENT_EXTENSIONS, '.json'];
+
+function uploadsPath(knowledgeDir) {
+  return path.join(knowledgeDir, UPLOADS_DIR);
+}
+
+/* "Dining Hours (Fall).PDF" -> "Dining_Hours_Fall_.pdf", no paths or hidden files */
+export function safeFileName(name) {
+  const base = path.basename(String(name || '')).trim();
+  const ext = path.extname(base).toLowerCase();
+  const stem = base.slice(0, base.length - ext.length).replace(/[^A-Za-z0-9_-]+/g, '_').replace(/^[_-]+/, '');
+  return stem ? `${stem}${ext}` : null;
+}
+
+/* { file: { title, category, uploaded_at, bytes } } */
+export function readUploadIndex(knowledgeDir) {
+  const indexPath = path.join(uploadsPath(knowledgeDir), UPLOAD_INDEX_FILE);
+  if (!fs.existsSync(indexPath)) return {};
+  return JSON.parse(fs.readFileSync(indexPath, 'utf-8'));
+}
+
+function writeUploadIndex(knowledgeDir, index) {
+  fs.mkdirSync(uploadsPath(knowledgeDir), { recursive: true });
+  fs.writeFileSync(path.join(uploadsPath(knowledgeDir), UPLOAD_INDEX_FILE), JSON.stringify(index, null, 2));
+}
+
+/* check an upload and write it into the knowledge base folder
+   returns { file, kind: 'json' | 'document', type, restore } where restore() puts back what was
+   there before (used when publishing fails), or { error, details } when the upload is rejected */
+export async function stageUpload(knowledgeDir, { name, buffer, title = null, category = null }) {
+  const file = safeFileName(name);
+  const ext = file ? path.extname(file) : '';
+  if (!file || !UPLOAD_EXTENSIONS.includes(ext)) {
+    return { error: `Unsupported file type "${ext || name}", expected ${UPLOAD_EXTENSIONS.join(', ')}` };
+  }
+
+  if (ext === '.json') {
+    if (file.startsWith('unified-knowledge')) return { error: `${file} is a generated file name` };
+    let data;
+    try {
+      data = JSON.parse(buffer.toString('utf-8'));
+    } catch (error) {
+      return { error: `${file} is not valid JSON: ${error.message}` };
+    }
+    const { type, errors } = validateSource(data);
+    if (errors.length > 0) return { error: `${file} does not match the ${type || 'Banner, dining hours or web crawl'} format`, details: errors };
+
+    const target = path.join(knowledgeDir, file);
+    const previous = fs.existsSync(target) ? fs.readFileSync(target) : null;
+    fs.writeFileSync(target, buffer);
+    return {
+      file,
+      kind: 'json',
+      type,
+      restore: () => previous ? fs.writeFileSync(target, previous) : fs.rmSync(target, { force: true })
+    };
+  }
+
+  const dir = uploadsPath(knowledgeDir);
+  fs.mkdirSync(dir, { recursive: true });
+  const target = path.join(dir, file);
+  const previous = fs.existsSync(target) ? fs.readFileSync(target) : null;
+  const index = readUploadIndex(knowledgeDir);
+  const previousEntry = index[file];
+  fs.writeFileSync(target, buffer);
+
+  const restore = () => {
+    if (previous) fs.writeFileSync(target, previous);
+    else fs.rmSync(target, { force: true });
+    const current = readUploadIndex(knowledgeDir);
+    if (previousEntry) current[file] = previousEntry;
+    else delete current[file];
+    writeUploadIndex(knowledgeDir, current);
+  };
+
+  // extractors return '' or an "[Error extracting ...]" note instead of throwing
+  const text = await extractText(target);
+  if (!text.trim() || /^\[Error extracting/.test(text)) {
+    restore();
+    return { error: `No text could be extracted from ${file}` };
+  }
+
+  index[file] = {
+    title: title || previousEntry?.title || file.replace(/\.[^.]+$/, '').replace(/_/g, ' '),
+    category: (category || previousEntry?.category || 'uploaded documents').toLowerCase(),
+    uploaded_at: new Date().toISOString(),
+    bytes: buffer.length
+  };
+  writeUploadIndex(knowledgeDir, index);
+
+  return { file, kind: 'document', type: 'document', restore };
+}
+
+/* kb chunks for every document in uploads/ (consolidate-knowledge.js)
+   returns { chunks, sources: [{ file, path }] } */
+export async function uploadedDocumentChunks(knowledgeDir) {
+  const dir = uploadsPath(knowledgeDir);
+  if (!fs.existsSync(dir)) return { chunks: [], sources: [] };
+
+  const index = readUploadIndex(knowledgeDir);
+  const files = fs.readdirSync(dir)
+    .filter(file => DOCUMENT_EXTENSIONS.includes(path.extname(file).toLowerCase()))
+    .sort();
+
+  const chunks = [];
+  const sources = [];
+  for (const file of files) {
+    const filePath = path.join(dir, file);
+    const { text, blocks } = await extractDocument(filePath);
+    if (!text.trim() || /^\[Error extracting/.test(text)) {
+      console.warn(`Skipping upload ${file}: no text extracted`);
+      continue;
+    }
+
+    const entry = index[file] || {};
+    const source = `${UPLOADS_DIR}/${file}`;
+    chunks.push(...documentToChunks({ fileName: file, chunks: chunkDocument(blocks) }, {
+      title: entry.title || file.replace(/\.[^.]+$/, '').replace(/_/g, ' '),
+      category: entry.category || 'uploaded documents',
+      idPrefix: 'upload',
+      source,
+      metadata: entry.uploaded_at ? { uploaded_at: entry.uploaded_at } : {}
+    }));
+    sources.push({ file: source, path: filePath });
+  }
+  return { chunks, sources };
+}
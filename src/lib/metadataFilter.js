@@ -0,0 +1,106 @@
+/* filter expressions over chunk metadata, compiled to a predicate that runs before ranking
+
+   { level: 'Graduate' }                              equality (strings ignore case)
+   { credits: { gte: 3, lte: 4 } }                    ranges: gt, gte, lt, lte
+   { term: { in: ['Fall 2025', 'Spring 2026'] } }     in-lists: in, nin
+   { instructor: { contains: 'chiu' } }               substring
+   { course_number: { ne: '500' } }, { week: { exists: true } }
+   { and: [...] }, { or: [...] }, { not: {...} }      combine expressions
+
+   several fields in one object must all match. field names are looked up in
+   chunk.metadata first, then on the chunk itself (category, id, title), "a.b" reads nested values */
+
+function readField(chunk, field) {
+  const lookup = (source) => field.split('.').reduce((value, key) => value?.[key], source);
+  const fromMetadata = lookup(chunk.metadata);
+  return fromMetadata !== undefined ? fromMetadata : lookup(chunk);
+}
+
+// compare strings without case, everything else as is
+const normalize = (value) => (typeof value === 'string' ? value.trim().toLowerCase() : value);
+
+function equals(actual, expected) {
+  if (Array.isArray(actual)) return actual.some(item => equals(item, expected));
+  return normalize(actual) === normalize(expected);
+}
+
+// numeric strings ("3") compare as numbers so ranges work on either
+function toComparable(value) {
+  if (typeof value === 'string' && value.trim() !== '' && !isNaN(Number(value))) return Number(value);
+  return normalize(value);
+}
+
+function compare(actual, expected, test) {
+  if (actual === undefined || actual === null) return false;
+  const a = toComparable(actual);
+  const b = toComparable(expected);
+  if (typeof a !== typeof b) return false;
+  return test(a, b);
+}
+
+const OPERATORS = {
+  eq: (actual, expected) => equals(actual, expected),
+  ne: (actual, expected) => !equals(actual, expected),
+  gt: (actual, expected) => compare(actual, expected, (a, b) => a > b),
+  gte: (actual, expected) => compare(actual, expected, (a, b) => a >= b),
+  lt: (actual, expected) => compare(actual, expected, (a, b) => a < b),
+  lte: (actual, expected) => compare(actual, expected, (a, b) => a <= b),
+  in: (actual, expected) => toList(expected, 'in').some(value => equals(actual, value)),
+  nin: (actual, expected) => !toList(expected, 'nin').some(value => equals(actual, value)),
+  contains: (actual, expected) => {
+    const needle = normalize(String(expected));
+    const values = Array.isArray(actual) ? actual : [actual];
+    return values.some(value => value !== undefined && value !== null && normalize(String(value)).includes(needle));
+  },
+  exists: (actual, expected) => (actual !== undefined && actual !== null) === Boolean(expected)
+};
+
+function toList(value, operator) {
+  if (!Array.isArray(value)) throw new Error(`Filter operator "${operator}" expects an array`);
+  return value;
+}
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// { gte: 3, lte: 4 } -> predicate over one field value
+function compileCondition(field, condition) {
+  if (!isPlainObject(condition)) {
+    return chunk => OPERATORS.eq(readField(chunk, field), condition);
+  }
+
+  const tests = Object.entries(condition).map(([operator, expected]) => {
+    const test = OPERATORS[operator];
+    if (!test) throw new Error(`Unknown filter operator "${operator}" on field "${field}"`);
+    return value => test(value, expected);
+  });
+
+  return chunk => {
+    const value = readField(chunk, field);
+    return tests.every(test => test(value));
+  };
+}
+
+/* compile an expression into chunk => boolean, null/undefined/{} match everything
+   throws on malformed expressions so bad filters fail loudly instead of matching nothing */
+export function compileFilter(expression) {
+  if (expression === null || expression === undefined) return () => true;
+  if (typeof expression === 'function') return expression;
+  if (!isPlainObject(expression)) throw new Error('Filter must be an object');
+
+  const predicates = Object.entries(expression).map(([key, value]) => {
+    if (key === 'and' || key === 'or') {
+      if (!Array.isArray(value)) throw new Error(`Filter "${key}" expects an array of expressions`);
+      const parts = value.map(compileFilter);
+      return key === 'and'
+        ? chunk => parts.every(part => part(chunk))
+        : chunk => parts.some(part => part(chunk));
+    }
+    if (key === 'not') {
+      const part = compileFilter(value);
+      return chunk => !part(chunk);
+    }
+    return compileCondition(key, value);
+  });
+
+  return chunk => predicates.every(predicate => predicate(chunk));
+}
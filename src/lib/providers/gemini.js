@@ -0,0 +1,77 @@
+import { GoogleGenerativeAI } from "@google/generative-ai";
+
+/* google gemini provider - generation, embeddings and google search grounding */
+
+export function createGeminiProvider(options = {}) {
+  const {
+    apiKey = process.env.GOOGLE_AI_API_KEY,
+    model = 'gemini-2.5-flash',
+    embeddingModel = 'gemini-embedding-001'
+  } = options;
+
+  const genAI = new GoogleGenerativeAI(apiKey);
+
+  // pipe a generateContentStream result to onToken, returns full text
+  async function collect(result, onToken) {
+    let text = '';
+    for await (const chunk of result.stream) {
+      const piece = chunk.text();
+      if (!piece) continue;
+      text += piece;
+      onToken(piece);
+    }
+    return text;
+  }
+
+  function getModel(generationOptions = {}, tools) {
+    const { temperature = 0.7, topK = 40, topP = 0.95, maxOutputTokens = 1024 } = generationOptions;
+    return genAI.getGenerativeModel({
+      model: generationOptions.model || model,
+      generationConfig: { temperature, topK, topP, maxOutputTokens },
+      ...(tools ? { tools } : {})
+    });
+  }
+
+  return {
+    name: 'gemini',
+    model,
+    embeddingModel,
+    supportsGroundedSearch: true,
+
+    /* stream a completion, onToken gets each text piece */
+    async streamText(prompt, generationOptions = {}, onToken = () => {}) {
+      const result = await getModel(generationOptions).generateContentStream(prompt);
+      const text = await collect(result, onToken);
+      return { text };
+    },
+
+    /* answer with google search grounding, returns the cited web sources */
+    async groundedSearch(prompt, generationOptions = {}, onToken = () => {}) {
+      const result = await getModel(generationOptions, [{ googleSearch: {} }]).generateContentStream(prompt);
+      const text = await collect(result, onToken);
+      const response = await result.response;
+
+      const groundingMetadata = response.candidates?.[0]?.groundingMetadata || null;
+      const sources = (groundingMetadata?.groundingChunks || [])
+        .filter(chunk => chunk.web?.uri)
+        .map(chunk => chunk.web.uri);
+
+      return { text, sources, groundingMetadata };
+    },
+
+    /* embed a list of texts, returns one vector per text */
+    async embed(texts) {
+      const embedder = genAI.getGenerativeModel({ model: embeddingModel });
+      if (texts.length === 1) {
+        const result = await embedder.embedContent(texts[0]);
+        return [result.embedding.values];
+      }
+      const result = await embedder.batchEmbedContents({
+        requests: texts.map(text => ({
+          content: { role: 'user', parts: [{ text }] }
+        }))
+      });
+      return result.embeddings.map(embedding => embedding.values);
+    }
+  };
+}
@@ -0,0 +1,69 @@
+import { createGeminiProvider } from './gemini.js';
+import { createOpenAICompatibleProvider } from './openaiCompatible.js';
+import { createMockProvider } from './mock.js';
+
+/* llm provider layer - every model call in the app goes through here
+
+   a provider is a plain object with:
+     name, model, embeddingModel, supportsGroundedSearch
+     streamText(prompt, options, onToken)     -> { text }
+     groundedSearch(prompt, options, onToken) -> { text, sources, groundingMetadata }
+     embed(texts)                             -> number[][]
+
+   options: temperature, topK, topP, maxOutputTokens, model (per call override)
+
+   configured with env vars:
+     LLM_PROVIDER        gemini (default) | openai | mock
+     LLM_MODEL           generation model for that provider
+     EMBEDDING_PROVIDER  defaults to LLM_PROVIDER
+     EMBEDDING_MODEL     embedding model, must match the one the kb was embedded with
+     OPENAI_BASE_URL     e.g. http://localhost:11434/v1 for ollama
+     OPENAI_API_KEY */
+
+const factories = {
+  gemini: createGeminiProvider,
+  openai: createOpenAICompatibleProvider,
+  mock: createMockProvider
+};
+
+const instances = new Map();
+
+/* create a provider by name, options override the env config */
+export function createProvider(name, options = {}) {
+  const factory = factories[name];
+  if (!factory) {
+    throw new Error(`Unknown LLM provider "${name}" (expected one of: ${Object.keys(factories).join(', ')})`);
+  }
+  return factory(options);
+}
+
+function getCached(name, options) {
+  const key = `${name}:${JSON.stringify(options)}`;
+  if (!instances.has(key)) {
+    instances.set(key, createProvider(name, options));
+  }
+  return instances.get(key);
+}
+
+// drop undefined so factory defaults apply
+function definedOnly(options) {
+  return Object.fromEntries(Object.entries(options).filter(([, value]) => value !== undefined));
+}
+
+/* provider used for answer generation and grounded search */
+export function getLLMProvider() {
+  const name = process.env.LLM_PROVIDER || 'gemini';
+  return getCached(name, definedOnly({ model: process.env.LLM_MODEL }));
+}
+
+/* provider used for query and chunk embeddings */
+export function getEmbeddingProvider() {
+  const name = process.env.EMBEDDING_PROVIDER || process.env.LLM_PROVIDER || 'gemini';
+  return getCached(name, definedOnly({ embeddingModel: process.env.EMBEDDING_MODEL }));
+}
+
+/* embed a single text */
+export async function embedText(text) {
+  const [vector] = await getEmbeddingProvider().embed([text]);
+  return vector;
+}
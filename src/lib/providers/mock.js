@@ -0,0 +1,79 @@
+/* deterministic offline provider for local runs and ci
+   same input always gives the same answer and the same embedding, no network */
+
+const MOCK_DIMENSIONS = 256;
+
+// stable 32 bit string hash (fnv-1a)
+function hashString(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/* bag of words feature hashing - texts sharing words get similar vectors */
+export function mockEmbedding(text, dimensions = MOCK_DIMENSIONS) {
+  const vector = new Array(dimensions).fill(0);
+  const tokens = text.toLowerCase().match(/[a-z0-9]+/g) || [];
+
+  tokens.forEach(token => {
+    const hash = hashString(token);
+    vector[hash % dimensions] += (hash & 0x80000000) ? -1 : 1;
+  });
+
+  const norm = Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0)) || 1;
+  return vector.map(v => v / norm);
+}
+
+/* pull the users question out of a prompt so the mock answer mentions it */
+function extractQuestion(prompt) {
+  const match = prompt.match(/(?:USER QUESTION|User question|The user asked):\s*"?([^\n"]+)"?/);
+  return match ? match[1].trim() : prompt.trim().split('\n').pop();
+}
+
+function defaultRespond(prompt, { model }) {
+  return `[${model}] Answer to: ${extractQuestion(prompt)}`;
+}
+
+export function createMockProvider(options = {}) {
+  const {
+    model = 'mock-llm',
+    embeddingModel = 'mock-embedding',
+    dimensions = MOCK_DIMENSIONS,
+    respond = defaultRespond
+  } = options;
+
+  // emit word by word so streaming code paths get exercised
+  const streamWords = (text, onToken) => {
+    text.split(/(?<=\s)/).forEach(piece => onToken(piece));
+  };
+
+  return {
+    name: 'mock',
+    model,
+    embeddingModel,
+    supportsGroundedSearch: true,
+
+    async streamText(prompt, generationOptions = {}, onToken = () => {}) {
+      const text = respond(prompt, { model: generationOptions.model || model, grounded: false });
+      streamWords(text, onToken);
+      return { text };
+    },
+
+    async groundedSearch(prompt, generationOptions = {}, onToken = () => {}) {
+      const text = respond(prompt, { model: generationOptions.model || model, grounded: true });
+      streamWords(text, onToken);
+      return {
+        text,
+        sources: ['https://www.binghamton.edu/'],
+        groundingMetadata: null
+      };
+    },
+
+    async embed(texts) {
+      return texts.map(text => mockEmbedding(text, dimensions));
+    }
+  };
+}
@@ -0,0 +1,95 @@
+/* openai compatible http provider
+   works with api.openai.com and local servers that speak the same api (ollama, llama.cpp, vllm) */
+
+export function createOpenAICompatibleProvider(options = {}) {
+  const {
+    baseUrl = process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1',
+    apiKey = process.env.OPENAI_API_KEY,
+    model = 'gpt-4o-mini',
+    embeddingModel = 'text-embedding-3-small'
+  } = options;
+
+  const root = baseUrl.replace(/\/+$/, '');
+
+  async function post(endpoint, body) {
+    const response = await fetch(`${root}${endpoint}`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {})
+      },
+      body: JSON.stringify(body)
+    });
+
+    if (!response.ok) {
+      const detail = await response.text().catch(() => '');
+      throw new Error(`${root}${endpoint} returned ${response.status}: ${detail.slice(0, 200)}`);
+    }
+    return response;
+  }
+
+  // read "data: {...}" lines from a chat completion stream
+  async function collect(response, onToken) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    let text = '';
+
+    const handleLine = (line) => {
+      if (!line.startsWith('data:')) return;
+      const data = line.slice(5).trim();
+      if (!data || data === '[DONE]') return;
+      const piece = JSON.parse(data).choices?.[0]?.delta?.content;
+      if (!piece) return;
+      text += piece;
+      onToken(piece);
+    };
+
+    while (true) {
+      const { value, done } = await reader.read();
+      if (done) break;
+      buffer += decoder.decode(value, { stream: true });
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+      lines.forEach(line => handleLine(line.trim()));
+    }
+    handleLine(buffer.trim());
+
+    return text;
+  }
+
+  return {
+    name: 'openai',
+    model,
+    embeddingModel,
+    supportsGroundedSearch: false,
+
+    /* stream a completion, onToken gets each text piece */
+    async streamText(prompt, generationOptions = {}, onToken = () => {}) {
+      const { temperature = 0.7, topP = 0.95, maxOutputTokens = 1024 } = generationOptions;
+      const response = await post('/chat/completions', {
+        model: generationOptions.model || model,
+        messages: [{ role: 'user', content: prompt }],
+        temperature,
+        top_p: topP,
+        max_tokens: maxOutputTokens,
+        stream: true
+      });
+      const text = await collect(response, onToken);
+      return { text };
+    },
+
+    async groundedSearch() {
+      throw new Error(`Provider "openai" (${root}) does not support grounded search`);
+    },
+
+    /* embed a list of texts, returns one vector per text */
+    async embed(texts) {
+      const response = await post('/embeddings', { model: embeddingModel, input: texts });
+      const { data } = await response.json();
+      return data
+        .sort((a, b) => a.index - b.index)
+        .map(item => item.embedding);
+    }
+  };
+}
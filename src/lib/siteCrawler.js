@@ -0,0 +1,307 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import crypto from 'crypto';
+import { decodeEntities } from './documentChunker.js';
+import { extractDocument, htmlPageBlocks, isDocumentFile } from './documentExtractors.js';
+import { chunkDocument, documentToChunks } from './documentProcessor.js';
+
+/* crawler for a vetted snapshot of university web pages (scripts/crawl-site.js)
+   walks a local mirror directory (the layout wget --mirror writes) or the pages of a sitemap on
+   a local server, follows internal links, drops duplicates (same canonical url or same main
+   text) and turns every page into chunks whose metadata keeps the url to cite.
+   linked files the extractor registry reads (pdf, docx, xlsx, ...) are crawled as pages too */
+
+export const DEFAULT_MAX_PAGES = Number(process.env.CRAWL_MAX_PAGES || 500);
+export const DEFAULT_WEB_CATEGORY = 'university web pages';
+const FETCH_TIMEOUT_MS = 15000;
+const MAX_REDIRECTS = 5;
+
+// ********** urls **********
+
+// analytics parameters that make one page look like many
+const TRACKING_PARAMS = /^(utm_\w+|fbclid|gclid|_ga|_gl)$/i;
+
+/* absolute http(s) url without fragment, tracking parameters or "index.html", null when it is
+   not a web link (mailto:, javascript:, ...) */
+export function normalizeUrl(href, base) {
+  let url;
+  try {
+    url = new URL(decodeEntities(String(href)).trim(), base);
+  } catch {
+    return null;
+  }
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') return null;
+  url.hash = '';
+  [...url.searchParams.keys()].filter(key => TRACKING_PARAMS.test(key)).forEach(key => url.searchParams.delete(key));
+  url.searchParams.sort();
+  url.pathname = url.pathname.replace(/\/{2,}/g, '/').replace(/\/index\.html?$/i, '/');
+  return url.href;
+}
+
+function attribute(tag, name) {
+  const match = tag.match(new RegExp(`\\b${name}\\s*=\\s*(?:"([^"]*)"|'([^']*)'|([^\\s>]+))`, 'i'));
+  return match ? match[1] ?? match[2] ?? match[3] : null;
+}
+
+/* links, canonical url and robots flags of a page */
+function pageInfo(html, pageUrl) {
+  const baseTag = html.match(/<base\b[^>]*>/i)?.[0];
+  const base = (baseTag && normalizeUrl(attribute(baseTag, 'href') || '', pageUrl)) || pageUrl;
+
+  const links = [...html.replace(/<!--[\s\S]*?-->/g, '').matchAll(/<a\b[^>]*>/gi)]
+    .map(([tag]) => attribute(tag, 'href'))
+    .filter(Boolean)
+    .map(href => normalizeUrl(href, base))
+    .filter(Boolean);
+
+  const canonicalTag = [...html.matchAll(/<link\b[^>]*>/gi)].map(match => match[0]).find(tag => /^canonical$/i.test(attribute(tag, 'rel') || ''));
+  const canonical = canonicalTag ? normalizeUrl(attribute(canonicalTag, 'href') || '', base) : null;
+
+  const robotsTag = [...html.matchAll(/<meta\b[^>]*>/gi)].map(match => match[0]).find(tag => /^robots$/i.test(attribute(tag, 'name') || ''));
+  const robots = (robotsTag && attribute(robotsTag, 'content') || '').toLowerCase();
+
+  return { links, canonical, noindex: /noindex|none/.test(robots), nofollow: /nofollow|none/.test(robots) };
+}
+
+// ********** loaders **********
+// a loader has start (default seed), isInternal(url), load(url) -> { url, html } or
+// { url, blocks, title } (null when there is no such page) and optionally cite(url), the url to
+// keep for a url it was given or found
+
+// wget keeps server side pages under their own name ("apply.php", "page.php?id=2")
+const looksLikeHtml = text => !text.includes('\0') && /<(!doctype html|html|head|body|main|div|p)\b/i.test(text.slice(0, 4096));
+
+/* the page for a url in a mirror directory, baseUrl is the public address the mirror was taken from
+   /a/ -> a/index.html, /a -> a, a.html or a/index.html, ?id=2 -> "a?id=2" or "a?id=2.html" (wget) */
+export function mirrorLoader(dir, baseUrl) {
+  const root = path.resolve(dir);
+  const base = new URL(normalizeUrl(baseUrl));
+  const basePath = base.pathname.endsWith('/') ? base.pathname : `${base.pathname}/`;
+
+  const isInternal = url => {
+    const target = new URL(url);
+    return target.origin === base.origin && (`${target.pathname}/`).startsWith(basePath);
+  };
+
+  const fileFor = url => {
+    const { pathname, search } = new URL(url);
+    let relative;
+    try {
+      relative = decodeURIComponent(pathname.slice(basePath.length));
+    } catch {
+      return null;
+    }
+    const stems = search ? [`${relative}${search}`, relative] : [relative];
+    const candidates = stems.flatMap(stem => !stem || stem.endsWith('/')
+      ? [`${stem}index.html`, `${stem}index.htm`]
+      : [stem, `${stem}.html`, `${stem}.htm`, `${stem}/index.html`]);
+    return candidates
+      .map(candidate => path.resolve(root, candidate))
+      // never outside the mirror (../ in a link)
+      .find(file => file.startsWith(root + path.sep) && fs.existsSync(file) && fs.statSync(file).isFile()) || null;
+  };
+
+  return {
+    start: base.href,
+    isInternal,
+    async load(url) {
+      const file = fileFor(url);
+      if (!file) return null;
+      if (isDocumentFile(file) && !/\.html?$/i.test(file)) {
+        const { text, blocks } = await extractDocument(file);
+        return { url, blocks: /^\[Error extracting/.test(text) ? [] : blocks, title: path.basename(file) };
+      }
+      const html = await fs.promises.readFile(file, 'utf-8');
+      return looksLikeHtml(html) ? { url, html } : null;
+    }
+  };
+}
+
+/* text of a sitemap url or file */
+async function readLocation(location) {
+  if (!/^https?:\/\//i.test(location)) return fs.promises.readFile(location, 'utf-8');
+  const response = await fetch(location, { signal: AbortSignal.timeout(FETCH_TIMEOUT_MS) });
+  if (!response.ok) throw new Error(`${location}: HTTP ${response.status}`);
+  return response.text();
+}
+
+/* page urls of a sitemap, sitemap index files are followed */
+export async function sitemapUrls(location, seen = new Set()) {
+  if (seen.has(location)) return [];
+  seen.add(location);
+  const xml = await readLocation(location);
+  const locs = [...xml.matchAll(/<loc>\s*([\s\S]*?)\s*<\/loc>/gi)].map(match => decodeEntities(match[1]));
+  if (/<sitemapindex\b/i.test(xml)) {
+    const nested = [];
+    for (const loc of locs) nested.push(...await sitemapUrls(loc, seen));
+    return nested;
+  }
+  return locs.map(loc => normalizeUrl(loc)).filter(Boolean);
+}
+
+/* pages fetched over http from the origin of the sitemap (a local server with the snapshot)
+   with publicUrl, pages are cited under the public site instead of the local server
+   redirects are followed only while they stay on the site, one that leaves it is an error */
+export function httpLoader(origin, publicUrl = null) {
+  const { origin: site } = new URL(origin);
+  const cited = publicUrl ? new URL(publicUrl).origin : site;
+  const swap = (url, from, to) => url.startsWith(`${from}/`) || url === from ? `${to}${url.slice(from.length)}` : url;
+  const isInternal = url => [site, cited].includes(new URL(url).origin);
+
+  // { response, url } of the page a url ends up at
+  const fetchInternal = async (url) => {
+    let current = url;
+    for (let redirects = 0; ; redirects++) {
+      const response = await fetch(swap(current, cited, site), { signal: AbortSignal.timeout(FETCH_TIMEOUT_MS), redirect: 'manual' });
+      const location = response.status >= 300 && response.status < 400 ? response.headers.get('location') : null;
+      if (!location) return { response, url: current };
+      if (redirects >= MAX_REDIRECTS) throw new Error(`more than ${MAX_REDIRECTS} redirects`);
+      current = new URL(location, swap(current, cited, site)).href;
+      if (!isInternal(current)) throw new Error(`redirects off site to ${current}`);
+    }
+  };
+
+  return {
+    start: `${cited}/`,
+    isInternal,
+    cite: url => swap(url, site, cited),
+    async load(url) {
+      const { response, url: loadedUrl } = await fetchInternal(url);
+      if (!response.ok) return null;
+      const finalUrl = normalizeUrl(loadedUrl);
+      if (/html/i.test(response.headers.get('content-type') || 'text/html')) {
+        return { url: finalUrl, html: await response.text() };
+      }
+      // other files go through the extractor registry, which reads from disk
+      const name = path.basename(new URL(finalUrl).pathname);
+      if (!isDocumentFile(name)) return null;
+      const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'crawl-'));
+      try {
+        const file = path.join(dir, name);
+        await fs.promises.writeFile(file, Buffer.from(await response.arrayBuffer()));
+        const { text, blocks } = await extractDocument(file);
+        return { url: finalUrl, blocks: /^\[Error extracting/.test(text) ? [] : blocks, title: name };
+      } finally {
+        await fs.promises.rm(dir, { recursive: true, force: true });
+      }
+    }
+  };
+}
+
+// ********** crawl **********
+
+/* breadth first from the seed urls, at most maxPages loads
+   returns { pages: [{ url, title, aliases, content_hash, blocks }] sorted by url,
+             skipped: [{ url, reason }], truncated } */
+export async function crawlSite(loader, options = {}) {
+  const { seeds = [loader.start], maxPages = DEFAULT_MAX_PAGES, onPage = null } = options;
+  const queue = [];
+  const seen = new Set();
+  const cite = url => (loader.cite ? loader.cite(url) : url);
+  const enqueue = found => {
+    const url = found && cite(found);
+    if (url && !seen.has(url) && loader.isInternal(url)) {
+      seen.add(url);
+      queue.push(url);
+    }
+  };
+  seeds.map(seed => normalizeUrl(seed, loader.start)).forEach(enqueue);
+
+  const pages = [];
+  const byUrl = new Map();
+  const byHash = new Map();
+  const skipped = [];
+  let loads = 0;
+
+  while (queue.length > 0 && loads < maxPages) {
+    const url = queue.shift();
+    loads++;
+    let loaded;
+    try {
+      loaded = await loader.load(url);
+    } catch (error) {
+      skipped.push({ url, reason: error.message });
+      continue;
+    }
+    if (!loaded) {
+      skipped.push({ url, reason: 'not found' });
+      continue;
+    }
+
+    let { blocks, title } = loaded;
+    let pageUrl = cite(loaded.url || url);
+    // a loader that followed a redirect can end up on another site
+    if (!loader.isInternal(pageUrl)) {
+      skipped.push({ url, reason: `redirects off site to ${pageUrl}` });
+      continue;
+    }
+    if (loaded.html !== undefined) {
+      const info = pageInfo(loaded.html, pageUrl);
+      if (!info.nofollow) info.links.forEach(enqueue);
+      if (info.noindex) {
+        skipped.push({ url, reason: 'noindex' });
+        continue;
+      }
+      // the canonical url is the one to cite, and it need not be loaded again
+      const canonical = info.canonical && cite(info.canonical);
+      if (canonical && loader.isInternal(canonical)) {
+        pageUrl = canonical;
+        seen.add(canonical);
+      }
+      ({ title, blocks } = htmlPageBlocks(loaded.html));
+    }
+
+    const text = blocks.map(block => block.text).join('\n');
+    if (!text.trim()) {
+      skipped.push({ url, reason: 'no text' });
+      continue;
+    }
+
+    // the same page under another url (canonical, /about vs /about/index.html, a print view)
+    const hash = crypto.createHash('sha256').update(text).digest('hex');
+    const duplicate = byUrl.get(pageUrl) || byHash.get(hash);
+    if (duplicate) {
+      new Set([url, pageUrl]).forEach(alias => {
+        if (alias !== duplicate.url && !duplicate.aliases.includes(alias)) duplicate.aliases.push(alias);
+      });
+      continue;
+    }
+
+    const page = { url: pageUrl, title: title || new URL(pageUrl).pathname, aliases: url !== pageUrl ? [url] : [], content_hash: hash, blocks };
+    pages.push(page);
+    byUrl.set(pageUrl, page);
+    byHash.set(hash, page);
+    if (onPage) onPage(page);
+  }
+
+  pages.sort((a, b) => a.url.localeCompare(b.url));
+  return { pages, skipped, truncated: queue.length > 0 };
+}
+
+// ********** chunks **********
+
+// "https://www.example.edu/registrar/final-exams/" -> "registrar-final-exams"
+function urlSlug(url) {
+  const { pathname, search } = new URL(url);
+  return `${pathname}${search}`.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'home';
+}
+
+/* kb chunks for crawled pages, cited by url: metadata { type: 'web_page', url, source: url } */
+export function pagesToChunks(pages, options = {}) {
+  const { category = DEFAULT_WEB_CATEGORY } = options;
+  const slugs = new Map();
+  return pages.flatMap(page => {
+    // ids stay unique when two urls give the same slug (/a-b and /a/b)
+    const slug = urlSlug(page.url);
+    slugs.set(slug, (slugs.get(slug) || 0) + 1);
+    const fileName = slugs.get(slug) > 1 ? `${slug}-${slugs.get(slug)}` : slug;
+
+    return documentToChunks({ fileName, chunks: chunkDocument(page.blocks) }, {
+      title: page.title,
+      category,
+      idPrefix: 'web',
+      source: page.url
+    }).map(chunk => ({ ...chunk, metadata: { ...chunk.metadata, type: 'web_page', url: page.url } }));
+  });
+}
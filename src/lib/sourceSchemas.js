@@ -0,0 +1,356 @@
+/* schemas for the knowledge-base source files, checked before consolidation so a file with the
+   wrong shape fails loudly instead of turning into zero chunks
+
+   a schema is a plain object:
+     type                'object' | 'array' | 'string' | 'number' | 'integer' | 'boolean' | 'null' (or a list)
+     required            keys an object must have
+     properties          { key: schema }
+     additionalProperties false to reject keys not in properties (typos like "regular_hour")
+     keys                schema every property name must match (for date range / day keys)
+     values              schema for every property value
+     minProperties / minItems / items / enum / pattern
+     byType              { string: schema, array: schema, ... } picks a schema by the values type
+     check               (value) => error message or null, for rules a pattern cant express
+
+   errors are [{ path, message }] with paths like
+     $.locations[10].special_hours["10/07/2025 - 10/15/2025"].tuesday_to_wednesday[1] */
+
+// ********** checker **********
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+function childPath(path, key) {
+  return /^[A-Za-z_$][\w$]*$/.test(key) ? `${path}.${key}` : `${path}[${JSON.stringify(key)}]`;
+}
+
+/* errors of value against schema (empty when valid) */
+export function validate(schema, value, path = '$', errors = []) {
+  const start = errors.length;
+  if (schema.byType) {
+    const branch = schema.byType[typeOf(value)] || (typeOf(value) === 'integer' ? schema.byType.number : undefined);
+    if (!branch) {
+      errors.push({ path, message: `expected ${Object.keys(schema.byType).join(' or ')}, got ${typeOf(value)}` });
+      return errors;
+    }
+    return validate(branch, value, path, errors);
+  }
+
+  if (schema.type) {
+    const types = [].concat(schema.type);
+    if (!types.some(type => matchesType(value, type))) {
+      errors.push({ path, message: `expected ${types.join(' or ')}, got ${typeOf(value)}` });
+      return errors;
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ path, message: `expected one of ${schema.enum.map(item => JSON.stringify(item)).join(', ')}, got ${JSON.stringify(value)}` });
+  }
+
+  if (typeof value === 'string' && schema.pattern && !schema.pattern.test(value)) {
+    errors.push({ path, message: `${JSON.stringify(value)} does not match ${schema.description || schema.pattern}` });
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push({ path, message: `expected at least ${schema.minItems} item(s), got ${value.length}` });
+    }
+    if (schema.items) value.forEach((item, i) => validate(schema.items, item, `${path}[${i}]`, errors));
+  }
+
+  if (typeOf(value) === 'object') {
+    const keys = Object.keys(value);
+    (schema.required || []).forEach(key => {
+      if (value[key] === undefined) errors.push({ path, message: `missing required property "${key}"` });
+    });
+    if (schema.minProperties !== undefined && keys.length < schema.minProperties) {
+      errors.push({ path, message: `expected at least ${schema.minProperties} propert${schema.minProperties === 1 ? 'y' : 'ies'}` });
+    }
+
+    keys.forEach(key => {
+      const keyPath = childPath(path, key);
+      if (schema.keys) {
+        validate(schema.keys, key, keyPath, []).forEach(error => errors.push({ path: keyPath, message: `key ${error.message}` }));
+      }
+      const propertySchema = schema.properties?.[key];
+      if (propertySchema) validate(propertySchema, value[key], keyPath, errors);
+      else if (schema.values) validate(schema.values, value[key], keyPath, errors);
+      else if (schema.additionalProperties === false) errors.push({ path: keyPath, message: 'unknown property' });
+    });
+  }
+
+  // check runs on values that passed the rest, so a bad pattern isnt reported twice
+  if (schema.check && !errors.slice(start).some(error => error.path === path)) {
+    const message = schema.check(value);
+    if (message) errors.push({ path, message });
+  }
+
+  return errors;
+}
+
+// ********** dining hours **********
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+// "10/07/2025" -> "2025-10-07", null for dates that dont exist (02/30/2025)
+function toISODate(text) {
+  const match = text.trim().match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
+  if (!match) return null;
+  const [, month, day, year] = match.map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) return null;
+  return date.toISOString().slice(0, 10);
+}
+
+/* "10/07/2025 - 10/15/2025" or a single "10/07/2025" */
+const DATE_RANGE = {
+  type: 'string',
+  pattern: /^\d{1,2}\/\d{1,2}\/\d{4}(\s+-\s+\d{1,2}\/\d{1,2}\/\d{4})?$/,
+  description: 'MM/DD/YYYY - MM/DD/YYYY',
+  check(value) {
+    const [from, to = from] = value.split(/\s+-\s+/);
+    if (!toISODate(from)) return `"${from}" is not a valid date`;
+    if (!toISODate(to)) return `"${to}" is not a valid date`;
+    if (toISODate(from) > toISODate(to)) return `range ends (${to}) before it starts (${from})`;
+    return null;
+  }
+};
+
+/* "monday", "monday_to_thursday" (same rules as parseDayKey in diningHours.js) */
+const DAY_KEY = {
+  type: 'string',
+  pattern: /^[a-z]+(_to_[a-z]+)?$/,
+  description: 'a weekday or weekday_to_weekday',
+  check(value) {
+    const unknown = value.split('_to_').find(day => !WEEKDAYS.includes(day));
+    return unknown ? `"${unknown}" is not a weekday` : null;
+  }
+};
+
+/* "11:00 AM - 01:30 PM", "09:00 PM - 01:00 AM (Digman bus stop)", "All Day" or "Closed" */
+const INTERVAL = {
+  type: 'string',
+  pattern: /^(all day|closed|\d{1,2}:\d{2}\s*[AP]M\s*-\s*\d{1,2}:\d{2}\s*[AP]M\s*(\(.*\))?)$/i,
+  description: '"hh:mm AM - hh:mm PM", "All Day" or "Closed"',
+  check(value) {
+    const bad = (value.match(/\d{1,2}:\d{2}/g) || []).find(clock => {
+      const [hours, minutes] = clock.split(':').map(Number);
+      return hours < 1 || hours > 12 || minutes > 59;
+    });
+    return bad ? `"${bad}" is not a valid 12 hour time` : null;
+  }
+};
+
+/* one days hours: an interval, a list of intervals or meal windows ({ lunch: interval, ... }) */
+const HOURS_VALUE = {
+  byType: {
+    string: INTERVAL,
+    array: { type: 'array', minItems: 1, items: INTERVAL },
+    object: {
+      type: 'object',
+      minProperties: 1,
+      keys: { type: 'string', pattern: /^[a-z][a-z_ ]*$/i, description: 'a meal name' },
+      values: INTERVAL
+    }
+  }
+};
+
+/* { monday_to_friday: hours, saturday: hours } */
+const WEEK_HOURS = {
+  type: 'object',
+  minProperties: 1,
+  keys: DAY_KEY,
+  values: HOURS_VALUE,
+  check(value) {
+    // two keys covering the same day make the result depend on key order
+    const seen = new Map();
+    for (const key of Object.keys(value)) {
+      if (!DAY_KEY.pattern.test(key) || DAY_KEY.check(key)) continue;
+      const [from, to = from] = key.split('_to_').map(day => WEEKDAYS.indexOf(day));
+      for (let day = from; ; day = (day + 1) % 7) {
+        if (seen.has(day)) return `${WEEKDAYS[day]} is listed in both "${seen.get(day)}" and "${key}"`;
+        seen.set(day, key);
+        if (day === to) break;
+      }
+    }
+    return null;
+  }
+};
+
+export const DINING_HOURS_SCHEMA = {
+  type: 'object',
+  required: ['locations'],
+  properties: {
+    week: DATE_RANGE,
+    locations: {
+      type: 'array',
+      minItems: 1,
+      items: {
+        type: 'object',
+        required: ['name'],
+        additionalProperties: false,
+        properties: {
+          name: { type: 'string', pattern: /\S/, description: 'a non empty name' },
+          regular_hours: WEEK_HOURS,
+          special_hours: { type: 'object', keys: DATE_RANGE, values: WEEK_HOURS }
+        },
+        check: (location) => location.regular_hours || location.special_hours ? null : 'needs regular_hours or special_hours'
+      }
+    }
+  }
+};
+
+// ********** banner search results **********
+
+const BANNER_TIME = { type: ['string', 'null'], pattern: /^([01]\d|2[0-3])[0-5]\d$/, description: 'HHMM (24 hour)' };
+const DAY_FLAG = { type: 'boolean' };
+const COUNT = { type: 'integer' };
+const OPTIONAL_COUNT = { type: ['integer', 'null'] };
+const CREDITS = { type: ['number', 'null'] };
+
+const BANNER_SECTION = {
+  type: 'object',
+  required: ['term', 'termDesc', 'courseReferenceNumber', 'subject', 'courseNumber', 'sequenceNumber', 'courseTitle'],
+  properties: {
+    term: { type: 'string', pattern: /^\d{6}$/, description: 'a 6 digit term code' },
+    termDesc: { type: 'string' },
+    courseReferenceNumber: { type: 'string', pattern: /^\d+$/, description: 'a numeric CRN' },
+    subject: { type: 'string', pattern: /^[A-Z0-9]+$/, description: 'an upper case subject code' },
+    subjectDescription: { type: 'string' },
+    courseNumber: { type: 'string', pattern: /^\d+[A-Z]?$/, description: 'a course number like "559"' },
+    sequenceNumber: { type: 'string' },
+    courseTitle: { type: 'string', pattern: /\S/, description: 'a non empty title' },
+    scheduleTypeDescription: { type: 'string' },
+    instructionalMethod: { type: ['string', 'null'] },
+    instructionalMethodDescription: { type: ['string', 'null'] },
+    creditHourLow: CREDITS,
+    creditHours: CREDITS,
+    creditHourHigh: CREDITS,
+    maximumEnrollment: COUNT,
+    enrollment: COUNT,
+    seatsAvailable: COUNT,
+    waitCapacity: COUNT,
+    waitCount: COUNT,
+    waitAvailable: COUNT,
+    openSection: { type: 'boolean' },
+    crossList: { type: ['string', 'null'] },
+    crossListCapacity: OPTIONAL_COUNT,
+    crossListCount: OPTIONAL_COUNT,
+    crossListAvailable: OPTIONAL_COUNT,
+    linkIdentifier: { type: ['string', 'null'] },
+    isSectionLinked: { type: 'boolean' },
+    faculty: {
+      type: 'array',
+      items: { type: 'object', properties: { displayName: { type: 'string' }, primaryIndicator: { type: 'boolean' } } }
+    },
+    meetingsFaculty: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['meetingTime'],
+        properties: {
+          meetingTime: {
+            type: 'object',
+            properties: {
+              beginTime: BANNER_TIME,
+              endTime: BANNER_TIME,
+              monday: DAY_FLAG,
+              tuesday: DAY_FLAG,
+              wednesday: DAY_FLAG,
+              thursday: DAY_FLAG,
+              friday: DAY_FLAG,
+              saturday: DAY_FLAG,
+              sunday: DAY_FLAG,
+              building: { type: ['string', 'null'] },
+              buildingDescription: { type: ['string', 'null'] },
+              room: { type: ['string', 'null'] }
+            },
+            check: (meeting) => BANNER_TIME.pattern.test(meeting.beginTime) && BANNER_TIME.pattern.test(meeting.endTime) && meeting.endTime <= meeting.beginTime
+              ? `ends (${meeting.endTime}) before it begins (${meeting.beginTime})`
+              : null
+          }
+        }
+      }
+    }
+  },
+  check: (section) => [section.creditHourLow, section.creditHours, section.creditHourHigh].some(value => typeof value === 'number')
+    ? null
+    : 'no credit hours (creditHourLow, creditHours or creditHourHigh)'
+};
+
+export const BANNER_SCHEMA = {
+  type: 'object',
+  required: ['data'],
+  properties: {
+    success: { type: 'boolean', check: (value) => value === false ? 'export says success: false' : null },
+    totalCount: COUNT,
+    data: { type: 'array', minItems: 1, items: BANNER_SECTION }
+  }
+};
+
+// ********** web crawl (scripts/crawl-site.js) **********
+
+const NON_EMPTY = { type: 'string', pattern: /\S/, description: 'a non empty string' };
+const WEB_URL = { type: 'string', pattern: /^https?:\/\/\S+$/, description: 'an http(s) url' };
+
+export const WEB_CRAWL_SCHEMA = {
+  type: 'object',
+  required: ['crawl', 'chunks'],
+  properties: {
+    crawl: {
+      type: 'object',
+      required: ['source', 'pages'],
+      properties: {
+        source: NON_EMPTY,
+        pages: { type: 'array', items: { type: 'object', required: ['url'], properties: { url: WEB_URL } } }
+      }
+    },
+    chunks: {
+      type: 'array',
+      minItems: 1,
+      items: {
+        type: 'object',
+        required: ['id', 'title', 'category', 'content', 'metadata'],
+        properties: {
+          id: NON_EMPTY,
+          title: NON_EMPTY,
+          category: NON_EMPTY,
+          content: NON_EMPTY,
+          metadata: { type: 'object', required: ['url'], properties: { url: WEB_URL } }
+        }
+      }
+    }
+  }
+};
+
+// ********** source files **********
+
+/* which schema a parsed source file should follow, detected from its top level keys
+   ('banner' | 'dining' | 'web' | null) - loose on purpose so a broken file still gets validated */
+export function detectSourceType(data) {
+  if (data && typeof data === 'object' && !Array.isArray(data)) {
+    if ('data' in data) return 'banner';
+    if ('locations' in data) return 'dining';
+    if ('crawl' in data) return 'web';
+  }
+  return null;
+}
+
+const SCHEMAS = { banner: BANNER_SCHEMA, dining: DINING_HOURS_SCHEMA, web: WEB_CRAWL_SCHEMA };
+
+/* { type, errors } for a parsed source file, type null when it is no known format */
+export function validateSource(data) {
+  const type = detectSourceType(data);
+  if (!type) return { type, errors: [{ path: '$', message: 'not a Banner export ({ data: [...] }), dining hours file ({ locations: [...] }) or web crawl ({ crawl, chunks })' }] };
+  return { type, errors: validate(SCHEMAS[type], data) };
+}
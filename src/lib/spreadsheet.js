@@ -0,0 +1,221 @@
+import zlib from 'zlib';
+import { decodeEntities } from './documentChunker.js';
+
+/* spreadsheet readers for the csv and xlsx extractors (documentExtractors.js)
+   both return rows as arrays of cell strings, dates and times written out the way they show
+   in excel. xlsx is a zip of xml parts, read here with zlib so no extra dependency is needed */
+
+// ********** csv **********
+
+/* the delimiter used most on the first line - comma, semicolon (european excel) or tab */
+function detectDelimiter(text) {
+  const firstLine = text.slice(0, text.indexOf('\n') >= 0 ? text.indexOf('\n') : text.length).replace(/"[^"]*"/g, '');
+  const counts = [',', ';', '\t'].map(delimiter => [delimiter, firstLine.split(delimiter).length - 1]);
+  counts.sort((a, b) => b[1] - a[1]);
+  return counts[0][1] > 0 ? counts[0][0] : ',';
+}
+
+/* csv text -> rows, quoted cells can hold delimiters, "" quotes and line breaks */
+export function parseCSV(text, delimiter = null) {
+  let input = String(text);
+  if (input.charCodeAt(0) === 0xfeff) input = input.slice(1); // byte order mark
+  const separator = delimiter || detectDelimiter(input);
+
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (quoted) {
+      if (char !== '"') cell += char;
+      else if (input[i + 1] === '"') cell += input[++i];
+      else quoted = false;
+    } else if (char === '"' && !cell.trim()) {
+      quoted = true;
+      cell = '';
+    } else if (char === separator) {
+      row.push(cell.trim());
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(cell.trim());
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  if (cell || row.length > 0) {
+    row.push(cell.trim());
+    rows.push(row);
+  }
+  return rows;
+}
+
+// ********** zip **********
+
+/* name -> () => Buffer for every file in a zip (stored or deflated, no zip64) */
+function readZip(buffer) {
+  // end of central directory record, only a comment (at most 64k) comes after it
+  let end = -1;
+  for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 22 - 0xffff); i--) {
+    if (buffer.readUInt32LE(i) === 0x06054b50) {
+      end = i;
+      break;
+    }
+  }
+  if (end < 0) throw new Error('Not a zip file');
+
+  const entries = new Map();
+  let offset = buffer.readUInt32LE(end + 16);
+  const count = buffer.readUInt16LE(end + 10);
+  for (let n = 0; n < count; n++) {
+    if (buffer.readUInt32LE(offset) !== 0x02014b50) throw new Error('Broken zip directory');
+    const method = buffer.readUInt16LE(offset + 10);
+    const size = buffer.readUInt32LE(offset + 20);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const skip = nameLength + buffer.readUInt16LE(offset + 30) + buffer.readUInt16LE(offset + 32);
+    const local = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+    // the local header has its own name and extra field lengths
+    const start = local + 30 + buffer.readUInt16LE(local + 26) + buffer.readUInt16LE(local + 28);
+    const data = buffer.subarray(start, start + size);
+    entries.set(name, () => {
+      if (method === 0) return data;
+      if (method === 8) return zlib.inflateRawSync(data);
+      throw new Error(`Unsupported zip compression method ${method} for ${name}`);
+    });
+    offset += 46 + skip;
+  }
+  return entries;
+}
+
+// ********** xlsx **********
+
+function attributes(tag) {
+  const values = {};
+  for (const [, name, double, single] of tag.matchAll(/([\w:]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g)) {
+    values[name] = decodeEntities(double ?? single);
+  }
+  return values;
+}
+
+// text of <t> runs, without the phonetic guides japanese sheets carry
+function runText(xml) {
+  return decodeEntities([...xml.replace(/<rPh\b[\s\S]*?<\/rPh>/g, '').matchAll(/<t\b[^>]*>([\s\S]*?)<\/t>/g)].map(match => match[1]).join(''));
+}
+
+// built in number formats that are dates or times (ecma-376 18.8.30)
+const BUILTIN_FORMATS = {
+  14: 'date', 15: 'date', 16: 'date', 17: 'date',
+  18: 'time', 19: 'time', 20: 'time', 21: 'time', 45: 'time', 46: 'time', 47: 'time',
+  22: 'datetime'
+};
+
+/* 'date' | 'time' | 'datetime' | 'percent' | null for a custom format code */
+function formatKind(code) {
+  // quoted text, escapes and [Red] / [$-409] sections are not part of the pattern
+  const pattern = code.replace(/"[^"]*"|\\.|\[(?!h\]|m\]|s\])[^\]]*\]/gi, '').split(';')[0];
+  const date = /[dy]/i.test(pattern) || /m{3,}/i.test(pattern);
+  const time = /[hs]/i.test(pattern) || /am\/pm/i.test(pattern);
+  if (date && time) return 'datetime';
+  if (date) return 'date';
+  if (time) return 'time';
+  return pattern.includes('%') ? 'percent' : null;
+}
+
+const pad = value => String(value).padStart(2, '0');
+
+/* excel serial day number -> "MM/DD/YYYY", "9:30 AM" or both */
+function formatSerial(serial, kind, date1904) {
+  const epoch = date1904 ? Date.UTC(1904, 0, 1) : Date.UTC(1899, 11, 30);
+  const date = new Date(epoch + Math.round(serial * 86400) * 1000);
+  const day = `${pad(date.getUTCMonth() + 1)}/${pad(date.getUTCDate())}/${date.getUTCFullYear()}`;
+  const hours = date.getUTCHours();
+  const time = `${hours % 12 || 12}:${pad(date.getUTCMinutes())} ${hours < 12 ? 'AM' : 'PM'}`;
+  if (kind === 'date') return day;
+  if (kind === 'time') return time;
+  return `${day} ${time}`;
+}
+
+// column letters of a cell reference -> 0 based index ("C7" -> 2)
+function columnIndex(reference) {
+  const letters = reference.match(/^[A-Z]+/i)?.[0].toUpperCase() || '';
+  return [...letters].reduce((index, letter) => index * 26 + letter.charCodeAt(0) - 64, 0) - 1;
+}
+
+/* xlsx file contents -> [{ name, rows }] for every visible sheet, in workbook order */
+export function readXLSX(buffer) {
+  const zip = readZip(buffer);
+  const read = name => zip.has(name) ? zip.get(name)().toString('utf8') : '';
+
+  const workbook = read('xl/workbook.xml');
+  if (!workbook) throw new Error('No xl/workbook.xml, not an xlsx file');
+  const date1904 = /<workbookPr\b[^>]*date1904\s*=\s*["'](?:1|true)["']/i.test(workbook);
+
+  const targets = new Map();
+  for (const [tag] of read('xl/_rels/workbook.xml.rels').matchAll(/<Relationship\b[^>]*>/g)) {
+    const { Id, Target } = attributes(tag);
+    targets.set(Id, Target.startsWith('/') ? Target.slice(1) : `xl/${Target}`);
+  }
+
+  const shared = [...read('xl/sharedStrings.xml').matchAll(/<si\b[^>]*>([\s\S]*?)<\/si>/g)].map(match => runText(match[1]));
+
+  // number format of every cell style, so date serials can be told from plain numbers
+  const styles = read('xl/styles.xml');
+  const customFormats = new Map();
+  for (const [tag] of styles.matchAll(/<numFmt\b[^>]*>/g)) {
+    const { numFmtId, formatCode } = attributes(tag);
+    customFormats.set(Number(numFmtId), formatKind(formatCode || ''));
+  }
+  const cellXfs = styles.match(/<cellXfs\b[^>]*>([\s\S]*?)<\/cellXfs>/)?.[1] || '';
+  const styleKinds = [...cellXfs.matchAll(/<xf\b[^>]*>/g)].map(([tag]) => {
+    const id = Number(attributes(tag).numFmtId || 0);
+    return customFormats.has(id) ? customFormats.get(id) : BUILTIN_FORMATS[id] || null;
+  });
+
+  const cellValue = (attrs, inner) => {
+    const value = inner.match(/<v>([\s\S]*?)<\/v>/)?.[1];
+    switch (attrs.t) {
+      case 's': return shared[Number(value)] ?? '';
+      case 'inlineStr': return runText(inner);
+      case 'str': return decodeEntities(value ?? '');
+      case 'b': return value === '1' ? 'TRUE' : 'FALSE';
+      case 'e': return '';
+      case 'd': return value ? formatSerial((Date.parse(value) - Date.UTC(1899, 11, 30)) / 86400000, 'date', false) : '';
+      default: {
+        if (value === undefined || value === '') return '';
+        const number = Number(value);
+        const kind = styleKinds[Number(attrs.s || 0)];
+        if (kind === 'percent') return `${parseFloat((number * 100).toPrecision(12))}%`;
+        if (kind) return formatSerial(number, kind, date1904);
+        return String(parseFloat(number.toPrecision(15)));
+      }
+    }
+  };
+
+  const sheets = [];
+  for (const [tag] of workbook.matchAll(/<sheet\b[^>]*>/g)) {
+    const sheet = attributes(tag);
+    if (sheet.state === 'hidden' || sheet.state === 'veryHidden') continue;
+    const xml = read(targets.get(sheet['r:id']) || '');
+
+    const rows = [];
+    for (const [, rowAttrs, rowInner = ''] of xml.matchAll(/<row\b([^>]*?)(?:\/>|>([\s\S]*?)<\/row>)/g)) {
+      const row = [];
+      for (const [, cellAttrs, inner = ''] of rowInner.matchAll(/<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g)) {
+        const attrs = attributes(cellAttrs);
+        const column = attrs.r ? columnIndex(attrs.r) : row.length;
+        while (row.length < column) row.push('');
+        row[column] = cellValue(attrs, inner).trim();
+      }
+      const number = Number(attributes(rowAttrs).r) || rows.length + 1;
+      while (rows.length < number - 1) rows.push([]);
+      rows[number - 1] = row;
+    }
+    sheets.push({ name: sheet.name, rows });
+  }
+  return sheets;
+}
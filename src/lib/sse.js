@@ -0,0 +1,93 @@
+/* server-sent events helpers shared by the chat routes and the browser client
+   events: token {text}, reset {}, done {message, metadata}, error {message, error} */
+
+const encoder = new TextEncoder();
+
+/* check if the caller asked for an event stream insted of json */
+export function acceptsEventStream(req) {
+  return (req.headers.get('accept') || '').includes('text/event-stream');
+}
+
+/* encode one sse event */
+export function encodeSSE(event, data) {
+  return encoder.encode(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+/* build a streaming response - producer gets a send(event, data) function */
+export function createSSEResponse(producer) {
+  const stream = new ReadableStream({
+    async start(controller) {
+      let closed = false;
+      const send = (event, data) => {
+        if (closed) return;
+        try {
+          controller.enqueue(encodeSSE(event, data));
+        } catch {
+          // client went away, stop writing
+          closed = true;
+        }
+      };
+
+      try {
+        await producer(send);
+      } catch (error) {
+        console.error('SSE producer failed:', error.message);
+        send('error', {
+          message: "Sorry, I encountered an error processing your request.",
+          error: error.message
+        });
+      } finally {
+        if (!closed) controller.close();
+      }
+    }
+  });
+
+  return new Response(stream, {
+    headers: {
+      'Content-Type': 'text/event-stream; charset=utf-8',
+      'Cache-Control': 'no-cache, no-transform',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    }
+  });
+}
+
+/* stream an already complete answer (cache hits etc) */
+export function createSSETextResponse(message, metadata) {
+  return createSSEResponse(async (send) => {
+    send('token', { text: message });
+    send('done', { message, metadata });
+  });
+}
+
+/* read an sse response incrementaly, calls onEvent(event, data) for each event */
+export async function readSSEStream(response, onEvent) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  const dispatch = (raw) => {
+    let event = 'message';
+    const dataLines = [];
+    raw.split('\n').forEach(line => {
+      if (line.startsWith('event:')) event = line.slice(6).trim();
+      else if (line.startsWith('data:')) dataLines.push(line.slice(5).trimStart());
+    });
+    if (dataLines.length === 0) return;
+    onEvent(event, JSON.parse(dataLines.join('\n')));
+  };
+
+  while (true) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+
+    let boundary;
+    while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+      dispatch(buffer.slice(0, boundary));
+      buffer = buffer.slice(boundary + 2);
+    }
+  }
+
+  if (buffer.trim()) dispatch(buffer);
+}
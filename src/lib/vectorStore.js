@@ -1,26 +1,225 @@
-import { GoogleGenerativeAI } from "@google/generative-ai";
 import fs from "fs";
 import path from "path";
+import { embedText } from "./providers/index.js";
+import { createBM25Index, tokenize } from "./bm25.js";
+import { createEmbeddingMatrix, readEmbeddingFile, vectorNorm } from "./embeddingStore.js";
+import { createHNSWIndex } from "./hnsw.js";
+import { compileFilter } from "./metadataFilter.js";
+import { applyOverrides, overridesPath, readOverrides } from "./chunkOverrides.js";
+import { isExpired } from "./chunkValidity.js";
 
-const genAI = new GoogleGenerativeAI(process.env.GOOGLE_AI_API_KEY);
+// knowledge base on the file sytem - loaded on first use, not at import
+const knowledgeBaseDir = path.join(process.cwd(), "knowledge-base");
+const knowledgeBasePath = path.join(knowledgeBaseDir, "unified-knowledge-embedded.json");
 
-// load knowledge base from file sytem
-const knowledgeBasePath = path.join(process.cwd(), "knowledge-base", "unified-knowledge-embedded.json");
-const knowledgeBase = JSON.parse(fs.readFileSync(knowledgeBasePath, "utf-8"));
+// how often the kb file is checked for a new build (ms), 0 turns hot reload off
+const WATCH_INTERVAL_MS = Number(process.env.KB_WATCH_INTERVAL_MS ?? 5000);
+
+// score factor for chunks past their validUntil, 0.5 ranks an expired chunk below nearly every current match
+const EXPIRED_WEIGHT = Number(process.env.KB_EXPIRED_WEIGHT ?? 0.5);
+
+// bm25 weight factor for queries naming a course code or crn - embeddings place "CS 559" close to
+// every other cs course, only the exact token tells them apart
+const IDENTIFIER_BM25_BOOST = Number(process.env.KB_IDENTIFIER_BM25_BOOST ?? 3);
+
+/* course code ("cs559", see bm25 tokenize) and crn tokens of a query */
+function identifierTokens(query) {
+  return tokenize(query).filter(token => /^[a-z]{1,4}\d{3}[a-z]?$/.test(token) || /^\d{5}$/.test(token));
+}
+
+/* embeddings come from the binary sidecar of this build (checked against its sha256 and count),
+   older kb files still have them inline per chunk */
+function loadEmbeddings(kb) {
+  if (kb.embeddings?.file) {
+    return readEmbeddingFile(path.join(knowledgeBaseDir, kb.embeddings.file), {
+      sha256: kb.embeddings.sha256,
+      count: kb.embeddings.count
+    });
+  }
+
+  // legacy: move inline arrays into a float32 matrix
+  const rows = kb.chunks.filter(chunk => chunk.embedding);
+  const dimensions = rows[0]?.embedding.length || 0;
+  const data = new Float32Array(kb.chunks.length * dimensions);
+  const norms = new Float32Array(kb.chunks.length);
+
+  kb.chunks.forEach((chunk, row) => {
+    chunk.embedding_row = chunk.embedding ? row : null;
+    if (!chunk.embedding) return;
+    data.set(chunk.embedding, row * dimensions);
+    norms[row] = vectorNorm(chunk.embedding);
+    delete chunk.embedding;
+  });
+
+  return createEmbeddingMatrix({
+    format: 'float32',
+    dimensions,
+    count: kb.chunks.length,
+    norms,
+    scales: new Float32Array(0),
+    data
+  });
+}
+
+// ********** store - one loaded kb build with its indexes **********
+
+/* everything derived from one kb build (vectors, ann + bm25 indexes, parent / child links)
+   with the admin chunk overrides applied (chunkOverrides.js) - disabled chunks are left out of
+   every index, edited chunks are searched with their new text
+   a reload builds a new store and swaps it in whole, so a request that started on one
+   version never mixes in chunks or vectors of the next */
+function createStore(kb, overrides = {}) {
+  const embeddings = loadEmbeddings(kb);
+
+  // a row past the end of the sidecar means the json and the vectors are from different builds
+  const badChunk = kb.chunks.find(chunk => chunk.embedding_row != null && chunk.embedding_row >= embeddings.count);
+  if (badChunk) {
+    throw new Error(`chunk ${badChunk.id} points at vector row ${badChunk.embedding_row}, the embedding file has ${embeddings.count}`);
+  }
+
+  const applied = applyOverrides(kb.chunks, overrides);
+  const chunks = applied.chunks;
+
+  // row -> chunk for the chunks that have a vector
+  const chunksByRow = new Map(
+    chunks
+      .filter(chunk => embeddings.hasRow(chunk.embedding_row))
+      .map(chunk => [chunk.embedding_row, chunk])
+  );
+  // edited chunks carry their own vector, scored directly
+  const inlineChunks = chunks.filter(chunk => chunk.embedding);
+
+  // ann index
+  const annIndex = createHNSWIndex({
+    similarity: (rowA, rowB) => embeddings.cosineRows(rowA, rowB)
+  });
+  chunksByRow.forEach((chunk, row) => annIndex.add(row));
+
+  // parent / child links - course chunks and their section chunks (a merged cross-listed
+  // section has a parent per course, see chunkDedup.js)
+  const chunksById = new Map(chunks.map(chunk => [chunk.id, chunk]));
+  const childrenById = new Map();
+  chunks.forEach(chunk => {
+    parentIds(chunk).forEach(parentId => {
+      if (!childrenById.has(parentId)) childrenById.set(parentId, []);
+      childrenById.get(parentId).push(chunk);
+    });
+  });
+
+  return {
+    kb,
+    chunks,
+    overrides,
+    applied,
+    embeddings,
+    chunksByRow,
+    inlineChunks,
+    annIndex,
+    bm25Index: createBM25Index(chunks),
+    chunksById,
+    childrenById,
+    // index over kb + extra chunks, rebuilt only when a different extra chunks array is passed
+    combinedIndex: null,
+    combinedExtraChunks: null,
+    loadedAt: new Date().toISOString()
+  };
+}
+
+let store = null;
+let reloads = 0;
+let lastReloadError = null;
+let failedSignature = null;
+let watching = false;
+
+// mtime + size of the kb file and the overrides, changes when a new build or override is written
+function fileSignature() {
+  try {
+    const stat = fs.statSync(knowledgeBasePath);
+    const overrides = fs.existsSync(overridesPath(knowledgeBaseDir)) ? fs.statSync(overridesPath(knowledgeBaseDir)) : null;
+    return `${stat.mtimeMs}:${stat.size}:${overrides ? overrides.mtimeMs : 0}`;
+  } catch {
+    return null;
+  }
+}
+
+function loadStore() {
+  const signature = fileSignature();
+  if (!signature) {
+    throw new Error(`${path.basename(knowledgeBasePath)} not found, run scripts/consolidate-knowledge.js and scripts/generate-embeddings.js`);
+  }
+  const kb = JSON.parse(fs.readFileSync(knowledgeBasePath, "utf-8"));
+  return { ...createStore(kb, readOverrides(knowledgeBaseDir)), status: 'ready', error: null, signature };
+}
+
+/* no kb file (or a broken one): search runs over an empty kb so chat still answers from
+   the other stages, getKnowledgeStats reports status 'degraded' with the reason */
+function degradedStore(error) {
+  return { ...createStore({ chunks: [], categories: [] }), status: 'degraded', error: error.message, signature: null };
+}
+
+/* current store, loads the kb on first use */
+function getStore() {
+  if (!store) {
+    try {
+      store = loadStore();
+      console.log(`Knowledge base loaded: version ${store.kb.version || 'unknown'} (${store.kb.chunks.length} chunks)`);
+    } catch (error) {
+      console.error(`Knowledge base unavailable, running in degraded mode: ${error.message}`);
+      store = degradedStore(error);
+      failedSignature = fileSignature();
+    }
+    watchKnowledgeBase();
+  }
+  return store;
+}
+
+/* load the kb file again and swap it in, a file that fails to load keeps the current kb serving
+   returns { reloaded, version, error } */
+export function reloadKnowledgeBase() {
+  const signature = fileSignature();
+  try {
+    const next = loadStore();
+    store = next; // requests already running keep the store they started with
+    reloads++;
+    lastReloadError = null;
+    failedSignature = null;
+    console.log(`Knowledge base reloaded: version ${next.kb.version || 'unknown'} (${next.kb.chunks.length} chunks)`);
+    return { reloaded: true, version: next.kb.version || null, error: null };
+  } catch (error) {
+    lastReloadError = { message: error.message, at: new Date().toISOString() };
+    failedSignature = signature;
+    console.error(`Knowledge base reload failed, still serving ${store?.kb.version || 'nothing'}: ${error.message}`);
+    return { reloaded: false, version: store?.kb.version || null, error: error.message };
+  }
+}
+
+/* poll the kb file and the overrides, reload when a new build or override lands
+   (also recovers from degraded mode) */
+function watchKnowledgeBase() {
+  if (watching || !(WATCH_INTERVAL_MS > 0)) return;
+  watching = true;
+  const onChange = () => {
+    const signature = fileSignature();
+    // deleted file keeps the loaded kb, a build that already failed is not retried until it changes
+    if (!signature || signature === store?.signature || signature === failedSignature) return;
+    reloadKnowledgeBase();
+  };
+  // not persistent, scripts that import this module still exit
+  fs.watchFile(knowledgeBasePath, { interval: WATCH_INTERVAL_MS, persistent: false }, onChange);
+  fs.watchFile(overridesPath(knowledgeBaseDir), { interval: WATCH_INTERVAL_MS, persistent: false }, onChange);
+}
 
 /* genrate embedding for a querry */
 export async function generateQueryEmbedding(query) {
   try {
-    const model = genAI.getGenerativeModel({ model: "gemini-embedding-001" });
-    const result = await model.embedContent(query);
-    return result.embedding.values;
+    return await embedText(query);
   } catch (error) {
     console.error('Error generating embedding:', error);
     throw error;
   }
 }
 
-/* calculate cosine similarity between two vectrs */
+/* calculate cosine similarity between two vectrs (used for extra chunks with inline embeddings) */
 function cosineSimilarity(vecA, vecB) {
   if (!vecA || !vecB || vecA.length !== vecB.length) return 0;
   
@@ -31,33 +230,222 @@ function cosineSimilarity(vecA, vecB) {
   return dotProduct / (magnitudeA * magnitudeB);
 }
 
-/* find most relevent chunks for query using vector similrity */
+function getBM25Index(current, extraChunks) {
+  if (extraChunks.length === 0) return current.bm25Index;
+
+  if (extraChunks !== current.combinedExtraChunks) {
+    current.combinedIndex = createBM25Index([...current.chunks, ...extraChunks]);
+    current.combinedExtraChunks = extraChunks;
+  }
+  return current.combinedIndex;
+}
+
+/* add linked chunks to results - a section hit brings its course, a course hit its sections
+   expand: 'parent', 'children' or 'both', linked chunks go right after the hit that pulled them in
+   with expandedFrom set and no scores, limit caps how many are added in total */
+export function expandChunks(results, options = {}) {
+  return expandWith(getStore(), results, options);
+}
+
+// parent_id and the parents of the copies merged into the chunk
+function parentIds(chunk) {
+  const { parent_id: parentId, merged_parent_ids: mergedParentIds = [] } = chunk.metadata || {};
+  return parentId ? [parentId, ...mergedParentIds] : mergedParentIds;
+}
+
+function expandWith(current, results, options = {}) {
+  const { expand = 'both', maxChildren = 10, limit = Infinity, filter = null } = options;
+  const { chunksById, childrenById } = current;
+  const seen = new Set(results.map(result => result.id));
+  let added = 0;
+
+  return results.flatMap(result => {
+    const linked = [];
+    if (expand !== 'children') {
+      linked.push(...parentIds(result).map(id => chunksById.get(id)));
+    }
+    if (expand !== 'parent') {
+      linked.push(...(childrenById.get(result.id) || []).slice(0, maxChildren));
+    }
+
+    const fresh = linked
+      .filter(chunk => chunk && !seen.has(chunk.id) && (!filter || filter(chunk)))
+      .slice(0, Math.max(limit - added, 0));
+    fresh.forEach(chunk => seen.add(chunk.id));
+    added += fresh.length;
+
+    return [
+      result,
+      ...fresh.map(chunk => ({ ...chunk, expandedFrom: result.id, similarity: null, bm25Score: null, score: null }))
+    ];
+  });
+}
+
+/* reciprocal rank fusion - rankings is [{ items: [...best first], weight }]
+   returns Map item -> fused score */
+export function reciprocalRankFusion(rankings, k = 60) {
+  const fused = new Map();
+  rankings.forEach(({ items, weight = 1 }) => {
+    items.forEach((item, rank) => {
+      fused.set(item, (fused.get(item) || 0) + weight / (k + rank + 1));
+    });
+  });
+  return fused;
+}
+
+/* vector search over the kb - ann by default, exact brute force when exact is set
+   filter (chunk => boolean) runs before ranking, returns [{ chunk, similarity }] best first */
+export function vectorSearch(queryEmbedding, options = {}) {
+  return searchVectors(getStore(), queryEmbedding, options);
+}
+
+function searchVectors(current, queryEmbedding, options = {}) {
+  const { topK = 5, filter = null } = options;
+  const hits = searchRows(current, queryEmbedding, options);
+  if (current.inlineChunks.length === 0) return hits;
+
+  // edited chunks (few) brute force, merged into the row hits
+  const inlineHits = current.inlineChunks
+    .filter(chunk => !filter || filter(chunk))
+    .map(chunk => ({ chunk, similarity: cosineSimilarity(queryEmbedding, chunk.embedding) }));
+  return [...hits, ...inlineHits].sort((a, b) => b.similarity - a.similarity).slice(0, topK);
+}
+
+function searchRows(current, queryEmbedding, options = {}) {
+  const { topK = 5, exact = false, filter = null, ef = 100 } = options;
+  const { embeddings, chunksByRow, annIndex } = current;
+  const queryNorm = vectorNorm(queryEmbedding);
+  const scoreOf = row => embeddings.cosine(row, queryEmbedding, queryNorm);
+
+  // [row, chunk] pairs the filter lets through, without a filter the map itself is scanned
+  const rows = filter ? [...chunksByRow].filter(([, chunk]) => filter(chunk)) : null;
+  const rowCount = rows ? rows.length : chunksByRow.size;
+
+  const exactSearch = () => {
+    const hits = [];
+    for (const [row, chunk] of rows || chunksByRow) hits.push({ chunk, similarity: scoreOf(row) });
+    return hits.sort((a, b) => b.similarity - a.similarity).slice(0, topK);
+  };
+
+  // a selective filter leaves few rows - scanning them is cheaper than walking the graph
+  const selective = rowCount * 4 < chunksByRow.size;
+  if (exact || selective || queryEmbedding.length !== embeddings.dimensions) return exactSearch();
+
+  // broad filter: oversample the ann results, fall back to exact when too few pass
+  const allowed = rows ? new Set(rows.map(([row]) => row)) : null;
+  const wanted = filter ? topK * 4 : topK;
+  const hits = annIndex.search(scoreOf, wanted, Math.max(ef, wanted))
+    .filter(({ id }) => !allowed || allowed.has(id))
+    .map(({ id, score }) => ({ chunk: chunksByRow.get(id), similarity: score }))
+    .slice(0, topK);
+
+  return hits.length < Math.min(topK, rowCount) ? exactSearch() : hits;
+}
+
+/* category and filter expression combined into one predicate, null when nothing to filter */
+function buildFilter(category, filter) {
+  const matchesFilter = filter ? compileFilter(filter) : null;
+  if (!category && !matchesFilter) return null;
+  const inCategory = chunk => chunk.category === category || Boolean(chunk.metadata?.categories?.includes(category));
+  return chunk => (!category || inCategory(chunk)) && (!matchesFilter || matchesFilter(chunk));
+}
+
+/* find most relevent chunks for query - hybrid of vector similarity and bm25, fused by rank
+   weights: { vector, bm25 } relative weight of each ranking (0 turns one off)
+   identifierBoost: when the query has a course code ("CS 559") or crn, the bm25 ranking keeps only
+            chunks with that token and counts this many times more (rank fusion alone would let
+            CS 220 in on "cs" and vector similarity)
+   exact: brute force vector search instead of the ann index (for checking recall)
+   filter: metadata expression (see metadataFilter.js), e.g. { level: 'Graduate', credits: { gte: 3 } }
+           chunks that dont match are dropped before ranking
+   expand: 'parent' | 'children' | 'both' adds linked course / section chunks to the top k (see expandChunks)
+   asOf: ISO campus date, chunks whose validity window ended before it (chunkValidity.js) have their
+         score multiplied by expiredWeight - they only come first when nothing current matches
+   extraChunks are searched together with the kb (e.g. chunks from raw documents) */
 export async function findRelevantChunks(query, options = {}) {
   const {
     topK = 5,
     minScore = 0.3,
-    category = null
+    category = null,
+    filter = null,
+    extraChunks = [],
+    weights = { vector: 1, bm25: 1 },
+    identifierBoost = IDENTIFIER_BM25_BOOST,
+    rrfK = 60,
+    candidates = 50,
+    exact = false,
+    expand = null,
+    maxChildren = 10,
+    expandLimit = topK,
+    asOf = null,
+    expiredWeight = EXPIRED_WEIGHT
   } = options;
+  const { vector: vectorWeight = 1, bm25: bm25Weight = 1 } = weights;
   
   try {
-    // genrate query embedding
-    const queryEmbedding = await generateQueryEmbedding(query);
+    // one store for the whole search, a reload while the query is embedded doesnt mix versions
+    const current = getStore();
+    const matches = buildFilter(category, filter);
+    const inScope = chunk => !matches || matches(chunk);
+    // rankings are keyed by chunk object, ids are not guaranteed unique across sources
+    const rankings = [];
+    const similarities = new Map();
     
-    // calulate similarity for all chunks
-    let chunks = knowledgeBase.chunks
-      .filter(chunk => chunk.embedding) // only chunks with embedings
-      .filter(chunk => !category || chunk.category === category)
-      .map(chunk => ({
-        ...chunk,
-        similarity: cosineSimilarity(queryEmbedding, chunk.embedding)
-      }))
-      .filter(chunk => chunk.similarity >= minScore);
+    // vector ranking
+    if (vectorWeight > 0) {
+      const queryEmbedding = await generateQueryEmbedding(query);
+      
+      // kb chunks through the ann index, extra chunks (few) brute force
+      const vectorHits = [
+        ...searchVectors(current, queryEmbedding, { topK: candidates, exact, filter: matches }),
+        ...extraChunks
+          .filter(chunk => chunk.embedding) // only chunks with embedings
+          .filter(inScope)
+          .map(chunk => ({ chunk, similarity: cosineSimilarity(queryEmbedding, chunk.embedding) }))
+      ];
+      
+      vectorHits.forEach(hit => similarities.set(hit.chunk, hit.similarity));
+      rankings.push({
+        weight: vectorWeight,
+        items: vectorHits
+          .filter(hit => hit.similarity >= minScore)
+          .sort((a, b) => b.similarity - a.similarity)
+          .slice(0, candidates)
+          .map(hit => hit.chunk)
+      });
+    }
     
-    // sort by similarity (higest first)
-    chunks.sort((a, b) => b.similarity - a.similarity);
+    // bm25 ranking
+    const bm25Scores = new Map();
+    if (bm25Weight > 0) {
+      let bm25Hits = getBM25Index(current, extraChunks).search(query, { filter: matches });
+      let weight = bm25Weight;
+      const identifiers = identifierTokens(query);
+      const named = bm25Hits.filter(hit => hit.matches.some(term => identifiers.includes(term)));
+      if (named.length > 0) {
+        bm25Hits = named;
+        weight *= identifierBoost;
+      }
+      bm25Hits = bm25Hits.slice(0, candidates);
+      bm25Hits.forEach(hit => bm25Scores.set(hit.chunk, hit.score));
+      rankings.push({ weight, items: bm25Hits.map(hit => hit.chunk) });
+    }
     
-    // return top k results
-    return chunks.slice(0, topK);
+    // fuse, down-rank expired chunks and return top k results
+    const fused = reciprocalRankFusion(rankings, rrfK);
+    
+    const results = [...fused.entries()]
+      .map(([chunk, score]) => [chunk, isExpired(chunk, asOf) ? score * expiredWeight : score])
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, topK)
+      .map(([chunk, score]) => ({
+        ...chunk,
+        similarity: similarities.get(chunk) ?? null,
+        bm25Score: bm25Scores.get(chunk) ?? null,
+        score
+      }));
+    
+    return expand ? expandWith(current, results, { expand, maxChildren, limit: expandLimit, filter: matches }) : results;
     
   } catch (error) {
     console.error('Vector search error:', error);
@@ -65,42 +453,103 @@ export async function findRelevantChunks(query, options = {}) {
   }
 }
 
-/* keyword based fallbak search (if vector serch fails) */
-export function keywordSearch(query, topK = 5) {
-  const queryWords = query.toLowerCase().split(/\s+/).filter(w => w.length > 2);
+/* keyword search with bm25 (fallbak when embedding the query fails), asOf / expiredWeight as in findRelevantChunks */
+export function keywordSearch(query, topK = 5, options = {}) {
+  const {
+    extraChunks = [],
+    category = null,
+    filter = null,
+    expand = null,
+    maxChildren = 10,
+    expandLimit = topK,
+    asOf = null,
+    expiredWeight = EXPIRED_WEIGHT
+  } = options;
+  const current = getStore();
+  const matchesFilter = buildFilter(category, filter);
   
-  const chunks = knowledgeBase.chunks.map(chunk => {
-    const contentLower = chunk.content.toLowerCase();
-    const titleLower = chunk.title.toLowerCase();
-    
-    const contentMatches = queryWords.filter(word => contentLower.includes(word)).length;
-    const titleMatches = queryWords.filter(word => titleLower.includes(word)).length;
-    const keywordMatches = queryWords.filter(word => chunk.keywords?.includes(word)).length;
-    
-    const matchScore = (contentMatches + titleMatches * 2 + keywordMatches * 1.5) / queryWords.length;
-    
-    return {
+  const results = getBM25Index(current, extraChunks)
+    .search(query, { filter: matchesFilter })
+    .map(hit => isExpired(hit.chunk, asOf) ? { ...hit, score: hit.score * expiredWeight } : hit)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, topK)
+    .map(({ chunk, score, matches }) => ({
       ...chunk,
-      matchScore,
-      matches: queryWords.filter(word => 
-        contentLower.includes(word) || 
-        titleLower.includes(word) || 
-        chunk.keywords?.includes(word)
-      )
-    };
-  })
-  .filter(chunk => chunk.matchScore > 0)
-  .sort((a, b) => b.matchScore - a.matchScore);
+      matchScore: score,
+      matches
+    }));
   
-  return chunks.slice(0, topK);
+  return expand ? expandWith(current, results, { expand, maxChildren, limit: expandLimit, filter: matchesFilter }) : results;
+}
+
+function countBy(chunks, keyOf) {
+  return chunks.reduce((counts, chunk) => {
+    const key = keyOf(chunk);
+    counts[key] = (counts[key] || 0) + 1;
+    return counts;
+  }, {});
 }
 
-/* get knowledge base statistcs */
+/* get knowledge base statistcs - loaded version, chunk counts and reload state (/api/kb/status) */
 export function getKnowledgeStats() {
+  const current = getStore();
+  const { kb, embeddings } = current;
+  const manifest = kb.manifest || null;
+
+  return {
+    status: current.status,
+    error: current.error,
+    version: kb.version || null,
+    lastUpdated: kb.last_updated || null,
+    loadedAt: current.loadedAt,
+    totalChunks: kb.chunks.length,
+    categories: kb.categories || [],
+    chunksPerCategory: countBy(kb.chunks, chunk => chunk.category),
+    chunksPerType: countBy(kb.chunks, chunk => chunk.metadata?.type || 'text'),
+    manifest: manifest && {
+      contentHash: manifest.content_hash,
+      created: manifest.created,
+      sources: manifest.sources.map(source => ({ file: source.file, sha256: source.sha256, chunks: source.chunks }))
+    },
+    embeddings: {
+      provider: kb.embedding_provider || null,
+      model: kb.embedding_model || null,
+      format: embeddings.format,
+      dimensions: embeddings.dimensions,
+      vectors: current.chunksByRow.size,
+      annIndexSize: current.annIndex.size
+    },
+    overrides: {
+      activeChunks: current.chunks.length,
+      disabled: current.applied.disabled.length,
+      edited: current.applied.edited.length,
+      stale: current.applied.stale.length
+    },
+    reload: {
+      watching,
+      intervalMs: WATCH_INTERVAL_MS,
+      reloads,
+      lastError: lastReloadError
+    }
+  };
+}
+
+/* source files of the loaded build (its manifest), [] for a build without one */
+export function getBuildSources() {
+  return getStore().kb.manifest?.sources.map(source => source.file) || [];
+}
+
+/* the loaded build for the admin kb page - generated chunks plus the overrides applied on top
+   returns { version, categories, chunks, overrides, disabled: [id], edited: [id], stale: [id] } */
+export function getLoadedKnowledgeBase() {
+  const current = getStore();
   return {
-    totalChunks: knowledgeBase.total_chunks,
-    categories: knowledgeBase.categories,
-    lastUpdated: knowledgeBase.last_updated,
-    version: knowledgeBase.version
+    version: current.kb.version || null,
+    categories: current.kb.categories || [],
+    chunks: current.kb.chunks,
+    overrides: current.overrides,
+    disabled: current.applied.disabled,
+    edited: current.applied.edited,
+    stale: current.applied.stale
   };
 }